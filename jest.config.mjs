@@ -1,3 +1,7 @@
+// Tests run in a time zone other than UTC, so that dates read in the local
+// time zone of the server fail them
+process.env.TZ = 'America/New_York';
+
 export default {
   testEnvironment: 'node',
   transform: {},
@@ -0,0 +1,101 @@
+import fs from "node:fs";
+import { ConfigError, InputError } from "./errors.js";
+
+// Header that makes the primary account act on behalf of one of its subaccounts
+export const ON_BEHALF_OF_HEADER = 'X-Mailgun-On-Behalf-Of';
+
+/**
+ * Reads the named Mailgun account profiles
+ *
+ * The JSON file named by MAILGUN_MCP_ACCOUNTS_FILE maps profile names to an
+ * API key, a region and a subaccount, all optional. Profiles without a key
+ * use MAILGUN_API_KEY, e.g. to name the subaccounts of the primary account.
+ * The file is read on every call, so edits apply without a restart.
+ * @param {Object} env - Environment variables
+ * @returns {Map<string, Object>|null} - Profiles by name, null if no file is configured
+ */
+export function loadAccounts(env = process.env) {
+  const filePath = env.MAILGUN_MCP_ACCOUNTS_FILE;
+  if (!filePath) {
+    return null;
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(`Failed to load accounts file ${filePath}: ${error.message}`);
+  }
+  if (typeof config?.accounts !== 'object' || config.accounts === null || Array.isArray(config.accounts)) {
+    throw new ConfigError(`Accounts file ${filePath} needs an accounts object keyed by profile name`);
+  }
+
+  const accounts = new Map();
+  for (const [name, account] of Object.entries(config.accounts)) {
+    if (typeof account !== 'object' || account === null) {
+      throw new ConfigError(`Account '${name}' of accounts file ${filePath} must be an object`);
+    }
+    for (const key of ['mailgun_api_key', 'region', 'subaccount', 'description']) {
+      if (account[key] !== undefined && (typeof account[key] !== 'string' || account[key] === '')) {
+        throw new ConfigError(`Account '${name}' of accounts file ${filePath} has an invalid ${key}, expected a non-empty string`);
+      }
+    }
+    accounts.set(name, {
+      name,
+      apiKey: account.mailgun_api_key,
+      region: account.region,
+      subaccount: account.subaccount,
+      description: account.description,
+    });
+  }
+  return accounts;
+}
+
+/**
+ * Looks up an account profile by name
+ * @param {Map<string, Object>|null} accounts - Profiles returned by loadAccounts
+ * @param {string} name - Profile name
+ * @returns {Object} - Profile with optional API key, region and subaccount
+ */
+export function findAccount(accounts, name) {
+  if (!accounts) {
+    throw new InputError(`Unknown Mailgun account '${name}', no accounts are configured. Set MAILGUN_MCP_ACCOUNTS_FILE`);
+  }
+  const account = accounts.get(name);
+  if (!account) {
+    const names = [...accounts.keys()];
+    throw new InputError(`Unknown Mailgun account '${name}', expected one of: ${names.length > 0 ? names.join(', ') : '(none)'}`);
+  }
+  return account;
+}
+
+/**
+ * Describes the account profiles without their API keys
+ * @param {Map<string, Object>|null} accounts - Profiles returned by loadAccounts
+ * @returns {Object[]} - Name, region, subaccount, description and whether the profile has its own key
+ */
+export function describeAccounts(accounts) {
+  return [...(accounts?.values() || [])].map(account => ({
+    name: account.name,
+    region: account.region ?? null,
+    subaccount: account.subaccount ?? null,
+    description: account.description ?? null,
+    own_api_key: account.apiKey !== undefined,
+  }));
+}
+
+/**
+ * Summarizes a page of the subaccounts list
+ * @param {Object} result - Response of GET /v5/accounts/subaccounts
+ * @returns {Object} - Summary line and the result to return
+ */
+export function summarizeSubaccounts(result) {
+  const subaccounts = result.subaccounts || [];
+  const disabled = subaccounts.filter(subaccount => subaccount.status === 'disabled').length;
+  const total = result.total ?? subaccounts.length;
+  return {
+    summary: `Subaccounts: ${subaccounts.length} of ${total} shown${disabled > 0 ? `, ${disabled} disabled` : ''}; ` +
+      `pass an id as subaccount to act on its behalf`,
+    result,
+  };
+}
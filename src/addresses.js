@@ -0,0 +1,237 @@
+import { parseCsv } from "./lists.js";
+import { InputError } from "./errors.js";
+
+// Domains of well-known disposable mailbox services, subdomains included
+export const DISPOSABLE_DOMAINS = new Set([
+  '10minutemail.com',
+  '20minutemail.com',
+  '33mail.com',
+  'burnermail.io',
+  'discard.email',
+  'dispostable.com',
+  'emailondeck.com',
+  'fakeinbox.com',
+  'getairmail.com',
+  'getnada.com',
+  'grr.la',
+  'guerrillamail.biz',
+  'guerrillamail.com',
+  'guerrillamail.de',
+  'guerrillamail.net',
+  'guerrillamail.org',
+  'mailcatch.com',
+  'maildrop.cc',
+  'mailinator.com',
+  'mailnesia.com',
+  'mintemail.com',
+  'moakt.com',
+  'mohmal.com',
+  'mytemp.email',
+  'sharklasers.com',
+  'spamgourmet.com',
+  'temp-mail.org',
+  'tempmail.com',
+  'tempr.email',
+  'throwawaymail.com',
+  'trashmail.com',
+  'yopmail.com',
+]);
+
+// Local parts that reach a team or a function rather than a person
+export const ROLE_LOCAL_PARTS = new Set([
+  'abuse',
+  'admin',
+  'administrator',
+  'billing',
+  'careers',
+  'contact',
+  'enquiries',
+  'help',
+  'hostmaster',
+  'hr',
+  'info',
+  'jobs',
+  'marketing',
+  'no-reply',
+  'noc',
+  'noreply',
+  'office',
+  'postmaster',
+  'press',
+  'privacy',
+  'root',
+  'sales',
+  'security',
+  'support',
+  'team',
+  'webmaster',
+]);
+
+// Column names of the address in uploaded CSV content
+const ADDRESS_COLUMNS = ['email', 'email_address', 'address'];
+
+// Characters of an unquoted local part (RFC 5322 atext, plus non-ASCII letters)
+const LOCAL_PART_PATTERN = /^[\p{L}\p{N}!#$%&'*+/=?^_`{|}~-]+(\.[\p{L}\p{N}!#$%&'*+/=?^_`{|}~-]+)*$/u;
+
+// A quoted local part, e.g. "john smith"
+const QUOTED_LOCAL_PART_PATTERN = /^"([^"\\\r\n]|\\.)+"$/;
+
+// A domain label, letters of internationalized domains included
+const DOMAIN_LABEL_PATTERN = /^[\p{L}\p{N}]([\p{L}\p{N}-]{0,61}[\p{L}\p{N}])?$/u;
+
+// Top-level domains are alphabetic, or punycode
+const TLD_PATTERN = /^(\p{L}{2,63}|xn--[a-z0-9-]{1,59})$/u;
+
+/**
+ * Checks the syntax of an address
+ * @param {string} address - Address without display name
+ * @returns {string|null} - What is wrong with the address, null if the syntax is valid
+ */
+export function findSyntaxError(address) {
+  if (address.length > 254) {
+    return 'the address is longer than 254 characters';
+  }
+  const at = address.lastIndexOf('@');
+  if (at === -1) {
+    return 'the address has no @';
+  }
+
+  const localPart = address.substring(0, at);
+  const domain = address.substring(at + 1);
+  if (localPart === '') {
+    return 'the part before the @ is empty';
+  }
+  if (localPart.length > 64) {
+    return 'the part before the @ is longer than 64 characters';
+  }
+  if (!LOCAL_PART_PATTERN.test(localPart) && !QUOTED_LOCAL_PART_PATTERN.test(localPart)) {
+    return `'${localPart}' is not a valid mailbox name`;
+  }
+
+  const labels = domain.split('.');
+  if (domain === '') {
+    return 'the domain is empty';
+  }
+  if (labels.length < 2) {
+    return `'${domain}' has no top-level domain`;
+  }
+  if (!labels.every(label => DOMAIN_LABEL_PATTERN.test(label)) || !TLD_PATTERN.test(labels[labels.length - 1])) {
+    return `'${domain}' is not a valid domain`;
+  }
+  return null;
+}
+
+/**
+ * Checks whether a domain or one of its parents is a disposable mailbox service
+ * @param {string} domain - Domain of the address, lower case
+ * @returns {boolean} - True for disposable domains
+ */
+function isDisposableDomain(domain) {
+  const labels = domain.split('.');
+  return labels.some((_, index) => DISPOSABLE_DOMAINS.has(labels.slice(index).join('.')));
+}
+
+/**
+ * Checks an address locally before Mailgun is asked
+ *
+ * Addresses with invalid syntax or on a disposable domain get a result in
+ * the form of Mailgun's response, so validating them does not use API quota.
+ * Role addresses are flagged, but still need Mailgun's verdict.
+ * @param {string} address - Address to check
+ * @returns {Object} - Local result, `result` is null if Mailgun should validate the address
+ */
+export function precheckAddress(address) {
+  const trimmed = String(address ?? '').trim();
+  const syntaxError = findSyntaxError(trimmed);
+  if (syntaxError) {
+    return {
+      address: trimmed,
+      result: 'undeliverable',
+      risk: 'high',
+      reason: ['invalid_syntax'],
+      syntax_error: syntaxError,
+      is_disposable_address: false,
+      is_role_address: false,
+    };
+  }
+
+  const at = trimmed.lastIndexOf('@');
+  const localPart = trimmed.substring(0, at).toLowerCase();
+  const isDisposable = isDisposableDomain(trimmed.substring(at + 1).toLowerCase());
+  const isRole = ROLE_LOCAL_PARTS.has(localPart.split('+')[0]);
+  return {
+    address: trimmed,
+    result: isDisposable ? 'do_not_send' : null,
+    risk: isDisposable ? 'high' : null,
+    reason: [
+      ...(isDisposable ? ['mailbox_is_disposable_address'] : []),
+      ...(isRole ? ['mailbox_is_role_address'] : []),
+    ],
+    is_disposable_address: isDisposable,
+    is_role_address: isRole,
+  };
+}
+
+/**
+ * Reads addresses from CSV or JSON content
+ *
+ * JSON content is a list of addresses, or of objects with an address or
+ * email property. CSV content has a header row with an email, email_address
+ * or address column; content of a single column without header works too.
+ * @param {string} content - CSV or JSON content
+ * @returns {Object[]} - Addresses with the row or position they came from
+ */
+export function parseAddressContent(content) {
+  const trimmed = content.trim();
+  if (trimmed.startsWith('[')) {
+    let entries;
+    try {
+      entries = JSON.parse(trimmed);
+    } catch (error) {
+      throw new InputError(`The JSON content could not be parsed: ${error.message}`);
+    }
+    return entries.map((entry, index) => ({
+      row: index + 1,
+      address: typeof entry === 'string' ? entry : String(entry?.address ?? entry?.email ?? ''),
+    }));
+  }
+
+  const rows = parseCsv(content);
+  const header = (rows[0] || []).map(column => column.trim().toLowerCase());
+  const column = header.findIndex(name => ADDRESS_COLUMNS.includes(name));
+  if (column === -1) {
+    if (header.length > 1) {
+      throw new InputError('The CSV header row needs an email, email_address or address column');
+    }
+    // Row numbers count from the first line
+    return rows.map((fields, index) => ({ row: index + 1, address: fields[0] }));
+  }
+  // Row numbers count the header row as row 1
+  return rows.slice(1).map((fields, index) => ({ row: index + 2, address: fields[column] ?? '' }));
+}
+
+/**
+ * Builds the CSV file of a bulk validation job
+ * @param {string[]} addresses - Addresses to validate
+ * @returns {string} - CSV content with an email column
+ */
+export function toValidationCsv(addresses) {
+  const quoteField = value => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+  return `email\n${addresses.map(quoteField).join('\n')}\n`;
+}
+
+/**
+ * Summarizes the validation of an address
+ * @param {Object} result - Response of GET /v4/address/validate or a local result
+ * @returns {string} - Summary line
+ */
+export function summarizeAddressValidation(result) {
+  let summary = `${result.address}: ${result.result ?? 'unknown'}, ${result.risk ?? 'unknown'} risk`;
+  if (result.reason?.length > 0) {
+    summary += ` (${result.reason.join(', ')})`;
+  }
+  if (result.did_you_mean) {
+    summary += `, did you mean ${result.did_you_mean}?`;
+  }
+  return summary;
+}
@@ -0,0 +1,193 @@
+import { z } from "zod";
+import fs from "node:fs";
+import * as path from 'path';
+import { ConfigError, InputError } from "./errors.js";
+
+// Mailgun rejects messages larger than 25 MB, attachments included
+const DEFAULT_MAX_ATTACHMENT_BYTES = 25 * 1024 * 1024;
+
+// Content types inferred from file extensions when none is given
+const CONTENT_TYPES = {
+  '.csv': 'text/csv',
+  '.gif': 'image/gif',
+  '.htm': 'text/html',
+  '.html': 'text/html',
+  '.ics': 'text/calendar',
+  '.jpeg': 'image/jpeg',
+  '.jpg': 'image/jpeg',
+  '.json': 'application/json',
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.txt': 'text/plain',
+  '.webp': 'image/webp',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.zip': 'application/zip',
+};
+
+/**
+ * A file to be sent as a part of a multipart/form-data request body.
+ * The content is either held in memory or read from disk when the
+ * request body is streamed.
+ */
+export class FilePart {
+  /**
+   * @param {Object} options - File part options
+   * @param {string} options.filename - Filename reported to Mailgun
+   * @param {string} options.contentType - MIME type of the file
+   * @param {number} options.size - Size of the file in bytes
+   * @param {Buffer} [options.data] - In-memory file content
+   * @param {string} [options.filePath] - Path of the file on disk
+   */
+  constructor({ filename, contentType, size, data = null, filePath = null }) {
+    this.filename = filename;
+    this.contentType = contentType;
+    this.size = size;
+    this.data = data;
+    this.filePath = filePath;
+  }
+}
+
+/**
+ * Returns the maximum combined attachment size of a single request
+ * @returns {number} - Size limit in bytes
+ */
+export function getMaxAttachmentBytes() {
+  const configured = Number(process.env.MAILGUN_ATTACHMENT_MAX_BYTES);
+  return Number.isFinite(configured) && configured > 0
+    ? configured
+    : DEFAULT_MAX_ATTACHMENT_BYTES;
+}
+
+/**
+ * Infers a MIME type from a filename
+ * @param {string} filename - Filename including extension
+ * @returns {string} - MIME type, application/octet-stream when unknown
+ */
+export function inferContentType(filename) {
+  return CONTENT_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Resolves a file path inside the allow-listed attachment directory
+ * @param {string} filePath - Absolute path or path relative to the attachment directory
+ * @returns {string} - Real path of the file
+ */
+export function resolveAttachmentPath(filePath) {
+  const allowedDir = process.env.MAILGUN_ATTACHMENT_DIR;
+  if (!allowedDir) {
+    throw new ConfigError('Attachments from file paths are disabled, set MAILGUN_ATTACHMENT_DIR to allow them');
+  }
+
+  // Compare real paths so symlinks cannot point outside of the directory
+  const realDir = fs.realpathSync(allowedDir);
+  const realPath = fs.realpathSync(path.resolve(realDir, filePath));
+  const relative = path.relative(realDir, realPath);
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw new InputError(`Attachment path '${filePath}' is outside of the allowed attachment directory`);
+  }
+  if (!fs.statSync(realPath).isFile()) {
+    throw new InputError(`Attachment path '${filePath}' is not a file`);
+  }
+
+  return realPath;
+}
+
+/**
+ * Converts a validated file input into a file part
+ * @param {Object} input - File input as accepted by fileInputSchema
+ * @returns {FilePart} - File part ready to be encoded
+ */
+export function toFilePart(input) {
+  const maxBytes = getMaxAttachmentBytes();
+  let filePart;
+
+  if (input.content !== undefined) {
+    const data = Buffer.from(input.content, 'base64');
+    filePart = new FilePart({
+      filename: input.filename,
+      contentType: input.content_type || inferContentType(input.filename),
+      size: data.length,
+      data,
+    });
+  } else {
+    const filePath = resolveAttachmentPath(input.path);
+    const filename = input.filename || path.basename(filePath);
+    filePart = new FilePart({
+      filename,
+      contentType: input.content_type || inferContentType(filename),
+      size: fs.statSync(filePath).size,
+      filePath,
+    });
+  }
+
+  if (filePart.size > maxBytes) {
+    throw new InputError(`Attachment '${filePart.filename}' is ${filePart.size} bytes, the limit is ${maxBytes} bytes`);
+  }
+
+  return filePart;
+}
+
+/**
+ * Checks the combined size of all file parts in a request payload
+ * @param {Object} data - Request payload data
+ */
+export function assertAttachmentSize(data) {
+  const maxBytes = getMaxAttachmentBytes();
+  let total = 0;
+
+  for (const value of Object.values(data)) {
+    for (const item of Array.isArray(value) ? value : [value]) {
+      if (item instanceof FilePart) {
+        total += item.size;
+      }
+    }
+  }
+
+  if (total > maxBytes) {
+    throw new InputError(`Attachments total ${total} bytes, the limit is ${maxBytes} bytes`);
+  }
+}
+
+/**
+ * Builds the Zod schema of a binary field (attachments, inline images, import files)
+ *
+ * Each field needs its own instance, otherwise the listed tool schema refers
+ * to the first one with a $ref.
+ * @returns {z.ZodType} - File input schema that converts inputs to FileParts
+ */
+export function fileInputSchema() {
+  return z.object({
+    filename: z.string().optional()
+      .describe('Filename shown to recipients, required with content'),
+    content: z.string().base64().optional()
+      .describe('Base64 encoded file content'),
+    path: z.string().optional()
+      .describe('Path of a file inside the configured attachment directory'),
+    content_type: z.string().regex(/^[\w.+-]+\/[\w.+-]+$/, 'Invalid MIME type').optional()
+      .describe('MIME type, inferred from the filename when omitted'),
+  }).superRefine((input, ctx) => {
+    if ((input.content === undefined) === (input.path === undefined)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: 'Provide exactly one of content or path',
+        fatal: true,
+      });
+    }
+    if (input.content !== undefined && !input.filename) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: 'A filename is required with base64 content',
+        path: ['filename'],
+        fatal: true,
+      });
+    }
+  }).transform((input, ctx) => {
+    try {
+      return toFilePart(input);
+    } catch (error) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: error.message });
+      return z.NEVER;
+    }
+  });
+}
@@ -0,0 +1,216 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import { ConfigError } from "./errors.js";
+
+// Headers a client passes its own Mailgun credentials in
+const API_KEY_HEADER = 'x-mailgun-api-key';
+const REGION_HEADER = 'x-mailgun-region';
+
+// Header that carries the client token as an API key instead of a bearer token
+const CLIENT_KEY_HEADER = 'x-api-key';
+
+// Request headers browsers may send to the MCP endpoints
+const CORS_ALLOWED_HEADERS = [
+  'Authorization',
+  'Content-Type',
+  'Last-Event-ID',
+  'Mcp-Protocol-Version',
+  'Mcp-Session-Id',
+  'X-API-Key',
+  'X-Mailgun-Api-Key',
+  'X-Mailgun-Region',
+];
+
+/**
+ * Error returned when a request to the HTTP server is not authorized
+ */
+export class AuthError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status code, 401 or 403
+   */
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+/**
+ * Hashes a secret so it can be looked up without comparing it directly
+ * @param {string} value - Token or API key
+ * @returns {string} - Hex SHA-256 digest
+ */
+function hashSecret(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Splits a comma separated environment variable
+ * @param {string} value - Variable value
+ * @returns {string[]|null} - Trimmed entries or null if unset
+ */
+function splitList(value) {
+  if (value === undefined) return null;
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Reads the clients of the auth file
+ *
+ * A client's `accounts` list names the account profiles of
+ * MAILGUN_MCP_ACCOUNTS_FILE it may switch to, clients without one cannot
+ * switch to any.
+ * @param {string} filePath - Path of the JSON auth file
+ * @returns {Object[]} - Clients with name, token, optional Mailgun credentials and granted accounts
+ */
+function readAuthFile(filePath) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(`Failed to load auth file ${filePath}: ${error.message}`);
+  }
+
+  if (!Array.isArray(config.clients)) {
+    throw new ConfigError(`Auth file ${filePath} needs a clients list`);
+  }
+  return config.clients.map((client, index) => {
+    if (typeof client?.name !== 'string' || typeof client.token !== 'string' || client.token === '') {
+      throw new ConfigError(`Client ${index + 1} of auth file ${filePath} needs a name and a token`);
+    }
+    const accounts = client.accounts ?? [];
+    if (!Array.isArray(accounts) || accounts.some(account => typeof account !== 'string')) {
+      throw new ConfigError(`Client ${client.name} of auth file ${filePath} needs a list of account profile names as accounts`);
+    }
+    return {
+      name: client.name,
+      token: client.token,
+      credentials: client.mailgun_api_key
+        ? { apiKey: client.mailgun_api_key, ...(client.region ? { region: client.region } : {}) }
+        : null,
+      accounts,
+    };
+  });
+}
+
+/**
+ * Returns the HTTP server's authentication settings from the environment
+ *
+ * Client tokens come from MAILGUN_MCP_AUTH_TOKENS (comma separated) and the
+ * JSON file named by MAILGUN_MCP_AUTH_FILE, which can map a token to Mailgun
+ * credentials. MAILGUN_MCP_ALLOWED_ORIGINS and MAILGUN_MCP_ALLOWED_HOSTS
+ * restrict the Origin and Host headers of requests.
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} - Auth settings, null if none of the variables is set
+ */
+export function getAuthConfig(env = process.env) {
+  const tokens = splitList(env.MAILGUN_MCP_AUTH_TOKENS);
+  const allowedOrigins = splitList(env.MAILGUN_MCP_ALLOWED_ORIGINS);
+  const allowedHosts = splitList(env.MAILGUN_MCP_ALLOWED_HOSTS);
+  if (!tokens && !env.MAILGUN_MCP_AUTH_FILE && !allowedOrigins && !allowedHosts) {
+    return null;
+  }
+
+  const clients = [
+    ...(tokens || []).map((token, index) => ({ name: `token-${index + 1}`, token, credentials: null, accounts: [] })),
+    ...(env.MAILGUN_MCP_AUTH_FILE ? readAuthFile(env.MAILGUN_MCP_AUTH_FILE) : []),
+  ];
+  const clientsByToken = new Map();
+  for (const { token, ...client } of clients) {
+    clientsByToken.set(hashSecret(token), client);
+  }
+
+  return {
+    clients: clientsByToken,
+    allowedOrigins: allowedOrigins?.map(origin => origin.toLowerCase()) ?? null,
+    allowedHosts: allowedHosts?.map(host => host.toLowerCase()) ?? null,
+  };
+}
+
+/**
+ * Checks the Origin and Host headers of a request against the allowed ones
+ *
+ * Guards against DNS rebinding, where a web page makes the browser send
+ * requests to a server on the user's machine or network.
+ * @param {Object} config - Auth settings from getAuthConfig
+ * @param {Object} headers - Request headers, lower case names
+ */
+export function checkRequestOrigin(config, headers) {
+  const origin = headers.origin?.toLowerCase();
+  if (origin && config.allowedOrigins && !config.allowedOrigins.includes(origin)) {
+    throw new AuthError(`Origin ${headers.origin} is not allowed`, 403);
+  }
+  const host = headers.host?.toLowerCase();
+  if (config.allowedHosts && !config.allowedHosts.includes(host)) {
+    throw new AuthError(`Host ${headers.host} is not allowed`, 403);
+  }
+}
+
+/**
+ * Identifies the client of a request and the Mailgun credentials it uses
+ *
+ * Clients send their token as `Authorization: Bearer <token>` or in the
+ * X-API-Key header. Mailgun credentials are those mapped from the token,
+ * or else the ones in the X-Mailgun-Api-Key and X-Mailgun-Region headers.
+ * Without either, the server's MAILGUN_API_KEY is used.
+ * @param {Object|null} config - Auth settings from getAuthConfig
+ * @param {Object} headers - Request headers, lower case names
+ * @returns {Object} - Client ID, name, Mailgun credentials (null for the server's) and granted account profiles
+ */
+export function authenticateRequest(config, headers) {
+  let client = { name: null, credentials: null, accounts: [] };
+  if (config?.clients.size > 0) {
+    const bearer = headers.authorization?.match(/^Bearer\s+(\S+)\s*$/i)?.[1];
+    const token = bearer ?? headers[CLIENT_KEY_HEADER];
+    if (!token) {
+      throw new AuthError('Missing client token, send it as a bearer token or in the X-API-Key header');
+    }
+    client = config.clients.get(hashSecret(token));
+    if (!client) {
+      throw new AuthError('Invalid client token');
+    }
+  }
+
+  let { credentials } = client;
+  const apiKey = headers[API_KEY_HEADER];
+  if (apiKey) {
+    if (credentials) {
+      throw new AuthError(`Client ${client.name} uses the Mailgun credentials of its token, do not send X-Mailgun-Api-Key`, 403);
+    }
+    credentials = { apiKey, ...(headers[REGION_HEADER] ? { region: headers[REGION_HEADER] } : {}) };
+  }
+
+  // Sessions are bound to this ID, so another client cannot use them
+  const id = [
+    client.name !== null ? `client:${client.name}` : null,
+    apiKey ? `key:${hashSecret(apiKey).substring(0, 16)}` : null,
+  ].filter(Boolean).join(',') || 'anonymous';
+  return { id, name: client.name, credentials, accounts: client.accounts };
+}
+
+/**
+ * Sets the CORS headers of a request from an allowed origin
+ * @param {Object} config - Auth settings from getAuthConfig
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {boolean} - True if the request is a preflight request that was answered
+ */
+export function applyCors(config, req, res) {
+  const origin = req.get('origin');
+  if (!origin || !config?.allowedOrigins?.includes(origin.toLowerCase())) {
+    return false;
+  }
+
+  res.set('Access-Control-Allow-Origin', origin);
+  res.set('Access-Control-Expose-Headers', 'Mcp-Session-Id');
+  res.vary('Origin');
+  if (req.method !== 'OPTIONS') {
+    return false;
+  }
+  res.set('Access-Control-Allow-Methods', 'GET, POST, DELETE');
+  res.set('Access-Control-Allow-Headers', CORS_ALLOWED_HEADERS.join(', '));
+  res.set('Access-Control-Max-Age', '600');
+  res.status(204).end();
+  return true;
+}
@@ -0,0 +1,173 @@
+import { z } from "zod";
+import { InputError } from "./errors.js";
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Length of the units accepted in relative times, months and years are calendar based
+const UNIT_MILLISECONDS = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+};
+
+// "3 days ago", "last 7 days", "past hour"
+const RELATIVE_PATTERNS = [
+  /^(\d+)\s+(second|minute|hour|day|week|month|year)s?\s+ago$/,
+  /^(?:last|past)\s+(\d+)?\s*(second|minute|hour|day|week|month|year)s?$/,
+];
+
+// "in 2 hours", for times in the future
+const FUTURE_PATTERN = /^in\s+(\d+)\s+(second|minute|hour|day|week|month|year)s?$/;
+
+// Local date and time without a UTC offset, "2024-05-01 09:30" or "2024-05-01T09:30:00.000"
+const LOCAL_DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?$/;
+
+// UTC offset or zone name ending a date string, e.g. "Z", "+02:00", "+0200", "GMT" or "EST"
+const ZONE_SUFFIX_PATTERN = /(?:z|[+-]\d{2}:?\d{2}|\b(?:ut|utc|gmt|[ecmp][sd]t))$/i;
+
+export const DATE_INPUT_HINT = 'Accepts ISO 8601 or RFC 2822 dates, epoch seconds, or relative times such as "now", "yesterday", "3 days ago" or "last 7 days". Dates without a UTC offset are read as UTC';
+
+/**
+ * Parses a date given as a Date, epoch seconds, date string or relative time
+ *
+ * Date strings without a UTC offset are read as UTC, never in the time zone
+ * the server happens to run in.
+ * @param {Date|number|string} value - Date input
+ * @param {Date} now - Reference time for relative inputs
+ * @returns {Date|null} - Parsed date or null if the input is not a date
+ */
+export function parseDateInput(value, now = new Date()) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value;
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? new Date(value * 1000) : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const input = value.trim().toLowerCase();
+  if (/^\d+$/.test(input)) {
+    return new Date(Number(input) * 1000);
+  }
+  if (input === 'now') {
+    return new Date(now);
+  }
+  if (input === 'today' || input === 'yesterday') {
+    const date = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    if (input === 'yesterday') {
+      date.setUTCDate(date.getUTCDate() - 1);
+    }
+    return date;
+  }
+  const future = input.match(FUTURE_PATTERN);
+  if (future) {
+    return subtractTime(now, -Number(future[1]), future[2]);
+  }
+  for (const pattern of RELATIVE_PATTERNS) {
+    const match = input.match(pattern);
+    if (match) {
+      return subtractTime(now, Number(match[1] || 1), match[2]);
+    }
+  }
+
+  const local = parseZonedDateTime(value, 'UTC');
+  if (local) {
+    return local;
+  }
+  const trimmed = value.trim();
+  const timestamp = Date.parse(ZONE_SUFFIX_PATTERN.test(trimmed) ? trimmed : `${trimmed} UTC`);
+  return Number.isNaN(timestamp) ? null : new Date(timestamp);
+}
+
+/**
+ * Moves a date back by a number of units
+ * @param {Date} date - Reference date
+ * @param {number} amount - Number of units
+ * @param {string} unit - second, minute, hour, day, week, month or year
+ * @returns {Date} - Earlier date
+ */
+function subtractTime(date, amount, unit) {
+  const result = new Date(date);
+  if (unit === 'month') {
+    result.setUTCMonth(result.getUTCMonth() - amount);
+  } else if (unit === 'year') {
+    result.setUTCFullYear(result.getUTCFullYear() - amount);
+  } else {
+    result.setTime(result.getTime() - amount * UNIT_MILLISECONDS[unit]);
+  }
+  return result;
+}
+
+/**
+ * Returns how far a time zone is ahead of UTC at a moment
+ * @param {number} timestamp - Moment in milliseconds
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} - Offset in milliseconds
+ */
+function timeZoneOffset(timestamp, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(new Date(timestamp)).map(part => [part.type, Number(part.value)]));
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Parses a local date and time in a time zone, e.g. "2024-05-01 09:30" in Europe/Berlin
+ * @param {string} value - Date, optionally with a time, without a UTC offset
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date|null} - Parsed date or null if the value is not a local date and time
+ */
+export function parseZonedDateTime(value, timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch {
+    throw new InputError(`Unknown time zone '${timeZone}', expected an IANA name such as Europe/Berlin`);
+  }
+  const match = String(value).trim().match(LOCAL_DATE_TIME_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const [year, month, day, hour, minute, second] = match.slice(1, 7).map(part => Number(part ?? 0));
+  const milliseconds = Number((match[7] ?? '').padEnd(3, '0'));
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second, milliseconds);
+  // The offset at the wall clock time can differ from the one at the result around DST changes
+  const guess = wallClock - timeZoneOffset(wallClock, timeZone);
+  return new Date(wallClock - timeZoneOffset(guess, timeZone));
+}
+
+/**
+ * Formats a date as RFC 2822 in UTC, e.g. "Wed, 01 May 2024 10:00:00 +0000"
+ * @param {Date} date - Date to format
+ * @returns {string} - RFC 2822 date
+ */
+export function toRfc2822Date(date) {
+  const pad = number => String(number).padStart(2, '0');
+  return `${DAY_NAMES[date.getUTCDay()]}, ${pad(date.getUTCDate())} ${MONTH_NAMES[date.getUTCMonth()]} ${date.getUTCFullYear()} `
+    + `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} +0000`;
+}
+
+/**
+ * Builds the Zod schema of a date parameter, checked with parseDateInput
+ *
+ * Every parameter gets its own instance, since the JSON schema of a tool
+ * refers to an instance used twice with a $ref that many clients ignore.
+ * @returns {z.ZodType} - Date input schema
+ */
+export function dateInputSchema() {
+  return z.union([z.string(), z.number()])
+    .refine(value => parseDateInput(value) !== null, { message: `Not a recognized date. ${DATE_INPUT_HINT}` });
+}
@@ -0,0 +1,156 @@
+import { z } from "zod";
+
+// DNS record as published by the user, compared by the domain health tool
+export const dnsRecordSchema = z.object({
+  record_type: z.string().describe('Record type, e.g. TXT, MX or CNAME'),
+  name: z.string().optional().describe('Host name of the record, the domain itself when omitted'),
+  value: z.string().describe('Published record value'),
+  priority: z.union([z.string(), z.number()]).optional().describe('Priority of MX records'),
+});
+
+/**
+ * Normalizes a host name for comparison
+ * @param {string} host - Host name
+ * @returns {string} - Lower-cased host name without trailing dot
+ */
+function normalizeHost(host) {
+  return String(host ?? '').trim().toLowerCase().replace(/\.$/, '');
+}
+
+/**
+ * Normalizes a record value for comparison
+ *
+ * TXT values lose surrounding quotes and repeated whitespace, host name
+ * values of MX and CNAME records are compared like host names.
+ * @param {string} recordType - Record type
+ * @param {string} value - Record value
+ * @returns {string} - Normalized value
+ */
+function normalizeValue(recordType, value) {
+  const text = String(value ?? '').trim().replace(/^"(.*)"$/s, '$1').replace(/"\s*"/g, '').replace(/\s+/g, ' ');
+  return ['MX', 'CNAME'].includes(recordType) ? normalizeHost(text) : text;
+}
+
+/**
+ * Checks whether a published SPF record includes everything Mailgun requires
+ * @param {string} expected - SPF record Mailgun expects
+ * @param {string} published - Published SPF record
+ * @returns {boolean} - True if all include mechanisms are present
+ */
+function spfIncludes(expected, published) {
+  const terms = published.toLowerCase().split(' ');
+  return expected.toLowerCase().split(' ')
+    .filter(term => term.startsWith('include:'))
+    .every(term => terms.includes(term));
+}
+
+/**
+ * Compares one record Mailgun expects with the published records
+ * @param {Object} expected - Expected record with normalized type, name and value
+ * @param {Object[]} published - Published records with normalized fields
+ * @returns {Object} - Status (ok, missing or wrong) and the values found
+ */
+function compareRecord(expected, published) {
+  const candidates = published.filter(record => record.type === expected.type && record.name === expected.name);
+  const isSpf = expected.type === 'TXT' && expected.value.toLowerCase().startsWith('v=spf1');
+
+  const match = candidates.find(record => (isSpf
+    ? record.value.toLowerCase().startsWith('v=spf1') && spfIncludes(expected.value, record.value)
+    : record.value === expected.value));
+  if (match) {
+    const priorityDiffers = expected.priority !== undefined && match.priority !== undefined
+      && String(expected.priority) !== String(match.priority);
+    return { status: priorityDiffers ? 'wrong' : 'ok', found: [match.value] };
+  }
+
+  // Records that take the place of the expected one, e.g. an outdated DKIM key.
+  // A host may have several MX records, so an unmatched MX record is missing.
+  let counterparts = [];
+  if (isSpf) {
+    counterparts = candidates.filter(record => record.value.toLowerCase().startsWith('v=spf1'));
+  } else if (expected.type !== 'MX') {
+    counterparts = candidates;
+  }
+  return counterparts.length > 0
+    ? { status: 'wrong', found: counterparts.map(record => record.value) }
+    : { status: 'missing', found: [] };
+}
+
+/**
+ * Compares the DNS records Mailgun expects for a domain with published ones
+ *
+ * Without published records, Mailgun's own verification result is reported.
+ * @param {Object} domainResult - Response of GET /v4/domains/{name}
+ * @param {Object[]} [publishedRecords] - Records as published by the user
+ * @returns {Object} - Health report with a status per record
+ */
+export function checkDomainHealth(domainResult, publishedRecords) {
+  const domainName = normalizeHost(domainResult.domain?.name);
+  const published = publishedRecords?.map(record => {
+    const type = String(record.record_type).toUpperCase();
+    return {
+      type,
+      name: normalizeHost(record.name || domainName),
+      value: normalizeValue(type, record.value),
+      priority: record.priority,
+    };
+  });
+
+  const expectedRecords = [
+    ...(domainResult.sending_dns_records || []).map(record => ({ ...record, category: 'sending' })),
+    ...(domainResult.receiving_dns_records || []).map(record => ({ ...record, category: 'receiving' })),
+  ];
+  const records = expectedRecords.map(record => {
+    const type = String(record.record_type).toUpperCase();
+    const expected = {
+      type,
+      name: normalizeHost(record.name || domainName),
+      value: normalizeValue(type, record.value),
+      priority: record.priority,
+    };
+    const comparison = published
+      ? compareRecord(expected, published)
+      : { status: record.valid === 'valid' ? 'ok' : 'unverified', found: record.cached || [] };
+
+    return {
+      category: record.category,
+      record_type: type,
+      name: expected.name,
+      expected: record.value,
+      ...(record.priority !== undefined ? { priority: record.priority } : {}),
+      status: comparison.status,
+      found: comparison.found,
+      mailgun_status: record.valid,
+    };
+  });
+
+  const summary = { ok: 0, missing: 0, wrong: 0, unverified: 0 };
+  records.forEach(record => { summary[record.status] += 1; });
+
+  return {
+    domain: domainName,
+    state: domainResult.domain?.state ?? null,
+    healthy: records.every(record => record.status === 'ok'),
+    summary,
+    records,
+  };
+}
+
+/**
+ * Formats a health report as a short readable summary
+ * @param {Object} report - Report returned by checkDomainHealth
+ * @returns {string} - One line per record that is not ok, after a summary line
+ */
+export function formatDomainHealth(report) {
+  const counts = Object.entries(report.summary)
+    .filter(([, count]) => count > 0)
+    .map(([status, count]) => `${count} ${status}`)
+    .join(', ');
+  const lines = [`Domain ${report.domain} (${report.state ?? 'unknown state'}): ${counts || 'no DNS records'}`];
+
+  for (const record of report.records.filter(item => item.status !== 'ok')) {
+    const found = record.found.length > 0 ? `, found '${record.found.join("', '")}'` : '';
+    lines.push(`✗ ${record.record_type} ${record.name}: ${record.status}, expected '${record.expected}'${found}`);
+  }
+  return lines.join('\n');
+}
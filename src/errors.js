@@ -0,0 +1,238 @@
+import { STATUS_CODES } from "node:http";
+import { z } from "zod";
+import { PolicyViolationError } from "./policy.js";
+
+// Longest raw response body kept on errors
+const MAX_RAW_BODY_LENGTH = 500;
+
+// Error codes of failed connections, as set by node:net and node:dns
+const NETWORK_ERROR_CODES = [
+  'EAI_AGAIN',
+  'ECONNABORTED',
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'ENOTFOUND',
+  'EPIPE',
+  'ETIMEDOUT',
+];
+
+/**
+ * Error returned by the Mailgun API, or raised while talking to it
+ */
+export class MailgunApiError extends Error {
+  /**
+   * @param {string} message - Mailgun error message or response body
+   * @param {Object} details - Request details
+   * @param {number} [details.status] - HTTP status code
+   * @param {string} [details.method] - HTTP method of the request
+   * @param {string} [details.path] - Request path
+   * @param {number} [details.attempts] - Number of attempts made
+   * @param {string} [details.rawBody] - Response body that was not JSON
+   */
+  constructor(message, { status = null, method = null, path = null, attempts = 1, rawBody = null } = {}) {
+    const suffix = attempts > 1 ? ` (after ${attempts} attempts)` : '';
+    super(`Mailgun API error: ${message}${suffix}`);
+    this.name = 'MailgunApiError';
+    this.status = status;
+    this.mailgunMessage = message;
+    this.method = method;
+    this.path = path;
+    this.attempts = attempts;
+    this.rawBody = rawBody;
+  }
+
+  /**
+   * Returns the error as a plain object for tool results and logs
+   * @returns {Object} - Structured error details
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      status: this.status,
+      message: this.mailgunMessage,
+      method: this.method,
+      path: this.path,
+      attempts: this.attempts,
+    };
+  }
+}
+
+/**
+ * Error raised when Mailgun does not accept the connection or answer in time
+ */
+export class MailgunTimeoutError extends Error {
+  /**
+   * @param {string} phase - Either connect or response
+   * @param {number} timeout - Timeout that elapsed in milliseconds
+   * @param {Object} details - Request details
+   * @param {string} [details.method] - HTTP method of the request
+   * @param {string} [details.path] - Request path
+   */
+  constructor(phase, timeout, { method = null, path = null } = {}) {
+    super(`Mailgun API ${phase} timed out after ${timeout} ms`);
+    this.name = 'MailgunTimeoutError';
+    this.phase = phase;
+    this.timeout = timeout;
+    this.method = method;
+    this.path = path;
+  }
+}
+
+/**
+ * Error raised when a request is cancelled through its AbortSignal
+ */
+export class MailgunAbortError extends Error {
+  /**
+   * @param {Object} details - Request details
+   * @param {string} [details.method] - HTTP method of the request
+   * @param {string} [details.path] - Request path
+   */
+  constructor({ method = null, path = null } = {}) {
+    super('Mailgun API request was cancelled');
+    this.name = 'MailgunAbortError';
+    this.method = method;
+    this.path = path;
+  }
+}
+
+/**
+ * Error raised when the arguments of a tool call are invalid
+ */
+export class InputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InputError';
+  }
+}
+
+/**
+ * Error raised when the server's own configuration is invalid, such as an
+ * unreadable policy file or an unknown region in the environment
+ */
+export class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+/**
+ * Builds a MailgunApiError from an unsuccessful response
+ *
+ * JSON bodies carry Mailgun's message. Other bodies, such as the HTML pages
+ * of a proxy returning 502, are summarized by their status and kept raw.
+ * @param {Object} response - Response status and raw body
+ * @param {Object} details - Request details, see MailgunApiError
+ * @returns {MailgunApiError} - Error describing the response
+ */
+export function createResponseError(response, details = {}) {
+  let message;
+  let rawBody = null;
+  try {
+    const parsed = JSON.parse(response.body);
+    message = parsed.message || parsed.error || response.body;
+  } catch (e) {
+    const statusText = STATUS_CODES[response.status] || 'Unknown status';
+    message = `${response.status} ${statusText} (non-JSON response)`;
+    rawBody = response.body.substring(0, MAX_RAW_BODY_LENGTH);
+  }
+  return new MailgunApiError(message, { ...details, status: response.status, rawBody });
+}
+
+/**
+ * Classifies an error thrown while handling a tool call
+ * @param {Error} error - Thrown error
+ * @returns {string} - One of auth, not_found, validation, rate_limit, upstream,
+ *   network, timeout, cancelled, policy, config, internal
+ */
+export function classifyError(error) {
+  if (error instanceof PolicyViolationError) {
+    return 'policy';
+  }
+  if (error instanceof MailgunTimeoutError) {
+    return 'timeout';
+  }
+  if (error instanceof MailgunAbortError) {
+    return 'cancelled';
+  }
+  if (error instanceof MailgunApiError) {
+    const { status } = error;
+    if (status === 401 || status === 403) return 'auth';
+    if (status === 404) return 'not_found';
+    if (status === 429) return 'rate_limit';
+    if (status >= 400 && status < 500) return 'validation';
+    return 'upstream';
+  }
+  if (NETWORK_ERROR_CODES.includes(error?.code)) {
+    return 'network';
+  }
+  if (error instanceof InputError || error instanceof z.ZodError) {
+    return 'validation';
+  }
+  if (error instanceof ConfigError) {
+    return 'config';
+  }
+  // Everything else is a bug or an unexpected failure of the server
+  return 'internal';
+}
+
+/**
+ * Converts an error into an MCP tool result flagged with isError
+ *
+ * The first content block is a readable message, the second the
+ * machine-readable error payload as JSON.
+ * @param {Error} error - Thrown error
+ * @param {Object} context - Call details used when the error has none
+ * @param {string} [context.method] - HTTP method of the tool
+ * @param {string} [context.path] - Request path of the tool call
+ * @returns {Object} - MCP tool result
+ */
+export function toToolErrorResult(error, context = {}) {
+  const payload = {
+    category: classifyError(error),
+    status: error?.status ?? null,
+    method: error?.method ?? context.method ?? null,
+    path: error?.path ?? context.path ?? null,
+    message: error?.mailgunMessage ?? error?.message ?? String(error),
+  };
+  if (error?.attempts !== undefined) {
+    payload.attempts = error.attempts;
+  }
+  if (error?.rawBody) {
+    payload.raw_body = error.rawBody;
+  }
+  if (error?.issues) {
+    payload.issues = error.issues;
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: `Error: ${error?.message || String(error)}`,
+      },
+      {
+        type: "text",
+        text: JSON.stringify({ error: payload }, null, 2),
+      },
+    ],
+    isError: true,
+  };
+}
+
+/**
+ * Converts a failed zod parse into an error with one issue per parameter
+ * @param {z.ZodError} zodError - Validation error
+ * @returns {InputError} - Error carrying the validation issues
+ */
+export function fromZodError(zodError) {
+  const issues = zodError.issues.map(issue => ({
+    path: issue.path.join('.'),
+    message: issue.message,
+  }));
+  const error = new InputError(`Invalid parameters: ${issues.map(issue => `${issue.path || '(root)'}: ${issue.message}`).join('; ')}`);
+  error.issues = issues;
+  return error;
+}
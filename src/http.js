@@ -0,0 +1,187 @@
+import express from "express";
+import crypto from "node:crypto";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import { AuthError, applyCors, authenticateRequest, checkRequestOrigin } from "./auth.js";
+
+// Header that carries the session ID of Streamable HTTP requests
+const SESSION_ID_HEADER = 'mcp-session-id';
+
+/**
+ * Sends a JSON-RPC error response that is not tied to a request
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ */
+function sendJsonRpcError(res, status, message) {
+  res.status(status).json({
+    jsonrpc: "2.0",
+    error: { code: -32000, message },
+    id: null,
+  });
+}
+
+/**
+ * Describes a client to the MCP SDK, which passes it on to tool calls
+ * @param {Object} client - Client returned by authenticateRequest
+ * @returns {Object} - Auth info with the client's Mailgun credentials and granted account profiles
+ */
+function toAuthInfo(client) {
+  return {
+    token: '',
+    clientId: client.id,
+    scopes: [],
+    extra: {
+      ...(client.credentials ? { mailgun: client.credentials } : {}),
+      accounts: client.accounts ?? [],
+    },
+  };
+}
+
+/**
+ * Creates the Express app that serves MCP over HTTP
+ *
+ * Streamable HTTP is served at /mcp. The older SSE transport is kept for
+ * clients that do not support it yet: GET /sse opens the event stream and
+ * messages are posted to /messages?sessionId=... Every client session gets
+ * its own server and transport, and a client disconnecting only closes its
+ * own session.
+ *
+ * Sessions belong to the client that started them and keep its Mailgun
+ * credentials, later requests of other clients are answered as if the
+ * session did not exist.
+ * @param {Object} options - Options
+ * @param {Function} options.createServer - Creates the MCP server of a new session, given its client
+ * @param {Object} [options.auth] - Auth settings from getAuthConfig, null to accept every client
+ * @returns {Object} - The app, the session map and a function that closes all sessions
+ */
+export function createHttpApp({ createServer, auth = null }) {
+  const app = express();
+  const sessions = new Map();
+  const startedAt = Date.now();
+
+  // Closing the server closes the transport, whose onclose calls this again
+  const closeSession = async (sessionId) => {
+    const session = sessions.get(sessionId);
+    if (!session) return;
+    sessions.delete(sessionId);
+    try {
+      await session.server.close();
+    } catch (error) {
+      console.error(`Failed to close session ${sessionId}: ${error.message}`);
+    }
+  };
+
+  const closeSessions = async () => {
+    await Promise.all([...sessions.keys()].map(closeSession));
+  };
+
+  /**
+   * Finds the session of a request to a given transport type
+   * @param {Object} req - Express request of an authenticated client
+   * @param {string} sessionId - Session ID sent by the client
+   * @param {string} type - Transport type, streamable or sse
+   * @param {Object} res - Express response the error is sent to
+   * @returns {Object|null} - Session, or null after an error was sent
+   */
+  const findSession = (req, sessionId, type, res) => {
+    if (!sessionId) {
+      sendJsonRpcError(res, 400, 'Bad Request: no session ID provided');
+      return null;
+    }
+    const session = sessions.get(sessionId);
+    if (!session || session.type !== type || session.client.id !== req.client.id) {
+      sendJsonRpcError(res, 404, `Session ${sessionId} not found`);
+      return null;
+    }
+    req.auth = toAuthInfo(session.client);
+    return session;
+  };
+
+  // Checks the origin and identifies the client of every MCP request
+  app.use(["/mcp", "/sse", "/messages"], (req, res, next) => {
+    try {
+      if (auth) {
+        if (applyCors(auth, req, res)) return;
+        checkRequestOrigin(auth, req.headers);
+      }
+      req.client = authenticateRequest(auth, req.headers);
+    } catch (error) {
+      if (!(error instanceof AuthError)) throw error;
+      if (error.status === 401) res.set('WWW-Authenticate', 'Bearer');
+      sendJsonRpcError(res, error.status, error.message);
+      return;
+    }
+    next();
+  });
+
+  app.post("/mcp", express.json({ limit: "10mb" }), async (req, res) => {
+    const sessionId = req.get(SESSION_ID_HEADER);
+    if (sessionId) {
+      const session = findSession(req, sessionId, 'streamable', res);
+      if (session) {
+        await session.transport.handleRequest(req, res, req.body);
+      }
+      return;
+    }
+    if (!isInitializeRequest(req.body)) {
+      sendJsonRpcError(res, 400, 'Bad Request: no session ID provided');
+      return;
+    }
+
+    const { client } = req;
+    const server = createServer(client);
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => crypto.randomUUID(),
+      onsessioninitialized: (id) => {
+        sessions.set(id, { type: 'streamable', client, server, transport, createdAt: Date.now() });
+      },
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) closeSession(transport.sessionId);
+    };
+    await server.connect(transport);
+    req.auth = toAuthInfo(client);
+    await transport.handleRequest(req, res, req.body);
+  });
+
+  // GET opens the stream of server-initiated messages, DELETE ends the session
+  const handleSessionRequest = async (req, res) => {
+    const session = findSession(req, req.get(SESSION_ID_HEADER), 'streamable', res);
+    if (session) {
+      await session.transport.handleRequest(req, res);
+    }
+  };
+  app.get("/mcp", handleSessionRequest);
+  app.delete("/mcp", handleSessionRequest);
+
+  app.get("/sse", async (req, res) => {
+    const server = createServer(req.client);
+    const transport = new SSEServerTransport("/messages", res);
+    sessions.set(transport.sessionId, { type: 'sse', client: req.client, server, transport, createdAt: Date.now() });
+    transport.onclose = () => closeSession(transport.sessionId);
+    await server.connect(transport);
+  });
+
+  app.post("/messages", async (req, res) => {
+    const session = findSession(req, req.query.sessionId, 'sse', res);
+    if (session) {
+      await session.transport.handlePostMessage(req, res);
+    }
+  });
+
+  app.get("/health", (req, res) => {
+    const counts = { streamable: 0, sse: 0 };
+    for (const session of sessions.values()) {
+      counts[session.type] += 1;
+    }
+    res.json({
+      status: "ok",
+      uptime_seconds: Math.round((Date.now() - startedAt) / 1000),
+      sessions: counts,
+    });
+  });
+
+  return { app, sessions, closeSessions };
+}
@@ -0,0 +1,239 @@
+import { z } from "zod";
+import { InputError } from "./errors.js";
+
+// Mailgun accepts up to 1000 members per bulk upload call
+export const MEMBERS_BATCH_SIZE = 1000;
+
+// Items listed in a result of the list and member tools, unless max_items is set
+export const MAX_LISTED_ITEMS = 100;
+
+// Member columns of an uploaded CSV, other columns become member variables
+const MEMBER_COLUMNS = ['address', 'name', 'subscribed', 'vars'];
+
+// A mailing list member as accepted by the bulk upload tool
+export const listMemberSchema = z.union([
+  z.string(),
+  z.object({
+    address: z.string().describe('Email address, e.g. "Alice <alice@example.com>" or alice@example.com'),
+    name: z.string().optional(),
+    vars: z.record(z.any()).optional().describe('Custom member variables'),
+    subscribed: z.boolean().optional(),
+  }),
+]);
+
+/**
+ * Parses CSV content into rows of fields
+ *
+ * Follows RFC 4180: fields may be quoted, quoted fields may contain commas,
+ * line breaks and doubled quotes.
+ * @param {string} content - CSV content
+ * @returns {string[][]} - Rows without the empty ones
+ */
+export function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new InputError('CSV content ends inside a quoted field');
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Reads a boolean CSV cell
+ * @param {string} value - Cell value
+ * @returns {boolean|undefined} - Parsed value, undefined for an empty cell
+ */
+function parseBooleanCell(value) {
+  const normalized = value.trim().toLowerCase();
+  if (normalized === '') return undefined;
+  if (['true', 'yes', '1'].includes(normalized)) return true;
+  if (['false', 'no', '0'].includes(normalized)) return false;
+  throw new InputError(`'${value}' is not a boolean`);
+}
+
+/**
+ * Converts CSV content with a header row into members
+ * @param {string} content - CSV content, the header row must have an address column
+ * @returns {Object} - Members and the rows that were skipped with the reason
+ */
+export function parseMembersCsv(content) {
+  const [header, ...rows] = parseCsv(content);
+  const columns = (header || []).map(column => column.trim().toLowerCase());
+  if (!columns.includes('address')) {
+    throw new InputError('The CSV header row needs an address column');
+  }
+
+  const members = [];
+  const skipped = [];
+  rows.forEach((fields, index) => {
+    // Row numbers count the header row as row 1
+    const row = index + 2;
+    try {
+      const member = {};
+      const vars = {};
+      columns.forEach((column, position) => {
+        const value = fields[position] ?? '';
+        if (column === 'subscribed') {
+          const subscribed = parseBooleanCell(value);
+          if (subscribed !== undefined) member.subscribed = subscribed;
+        } else if (column === 'vars') {
+          if (value.trim()) Object.assign(vars, JSON.parse(value));
+        } else if (MEMBER_COLUMNS.includes(column)) {
+          if (value.trim()) member[column] = value.trim();
+        } else if (column && value.trim()) {
+          vars[column] = value.trim();
+        }
+      });
+      if (Object.keys(vars).length > 0) {
+        member.vars = vars;
+      }
+      members.push({ row, member });
+    } catch (error) {
+      skipped.push({ row, reason: error.message });
+    }
+  });
+
+  return { members, skipped };
+}
+
+/**
+ * Checks members and splits off the invalid ones
+ * @param {Object[]} entries - Members with the row or index they came from
+ * @returns {Object} - Valid members and the skipped entries with the reason
+ */
+export function validateMembers(entries) {
+  const members = [];
+  const skipped = [];
+  const seen = new Set();
+
+  for (const { row, member } of entries) {
+    const address = member.address?.match(/<([^>]+)>/)?.[1] || member.address;
+    if (!address || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address.trim())) {
+      skipped.push({ row, reason: `'${member.address ?? ''}' is not an email address` });
+    } else if (seen.has(address.trim().toLowerCase())) {
+      skipped.push({ row, reason: `${address.trim()} is listed more than once` });
+    } else {
+      seen.add(address.trim().toLowerCase());
+      members.push(member);
+    }
+  }
+
+  return { members, skipped };
+}
+
+/**
+ * Splits a list into batches
+ * @param {Array} items - Items to split
+ * @param {number} size - Batch size
+ * @returns {Array[]} - Batches
+ */
+export function toBatches(items, size = MEMBERS_BATCH_SIZE) {
+  const batches = [];
+  for (let i = 0; i < items.length; i += size) {
+    batches.push(items.slice(i, i + size));
+  }
+  return batches;
+}
+
+/**
+ * Adds a note about a listing cut within a page to a summary
+ * @param {string} summary - Summary line
+ * @param {Object} result - Result returned by collectPages
+ * @returns {string} - Summary line
+ */
+function withCutNote(summary, result) {
+  return result.pagination?.skip_items
+    ? `${summary}; cut at ${result.items.length} items, pass paging.next and pagination.skip_items to fetch-next-page for the rest`
+    : summary;
+}
+
+/**
+ * Summarizes a page of mailing lists
+ * @param {Object} result - Response of GET /v3/lists/pages
+ * @returns {Object} - Summary line and the result to return
+ */
+export function summarizeLists(result) {
+  const items = result.items || [];
+  const members = items.reduce((total, list) => total + (Number(list.members_count) || 0), 0);
+  return {
+    summary: withCutNote(`Mailing lists: ${items.length} with ${members} members in total`, result),
+    result,
+  };
+}
+
+/**
+ * Summarizes a mailing list
+ * @param {Object} result - Response of GET /v3/lists/{list_address}
+ * @returns {Object} - Summary line and the result to return
+ */
+export function summarizeList(result) {
+  const list = result.list || {};
+  return {
+    summary: `Mailing list ${list.address}: ${list.members_count ?? 'unknown number of'} members`,
+    result,
+  };
+}
+
+/**
+ * Summarizes a page of mailing list members
+ * @param {Object} result - Response of GET /v3/lists/{list_address}/members/pages
+ * @returns {Object} - Summary line and the result to return
+ */
+export function summarizeMembers(result) {
+  const items = result.items || [];
+  const subscribed = items.filter(member => member.subscribed !== false).length;
+  return {
+    summary: withCutNote(
+      `Members: ${items.length} (${subscribed} subscribed, ${items.length - subscribed} unsubscribed)`,
+      result
+    ),
+    result,
+  };
+}
+
+/**
+ * Summarizes a mailing list validation job
+ * @param {Object} result - Response of GET /v3/lists/{list_address}/validate
+ * @returns {Object} - Summary line and the result to return
+ */
+export function summarizeListValidation(result) {
+  let summary = `Validation of ${result.id}: ${result.status}, ${result.records_processed ?? 0} of ${result.quantity ?? '?'} addresses processed`;
+  const counts = Object.entries(result.summary?.result || {})
+    .map(([category, count]) => `${count} ${category}`);
+  if (counts.length > 0) {
+    summary += ` (${counts.join(', ')})`;
+  }
+  return { summary, result };
+}
@@ -1,26 +1,104 @@
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { z } from "zod";
+import http from "node:http";
 import https from "node:https";
+import crypto from "node:crypto";
 import { URL } from "node:url";
 import yaml from "js-yaml";
 import fs from "node:fs";
+import { Readable } from "node:stream";
 import * as path from 'path';
 import { fileURLToPath } from 'url';
+import { FilePart, assertAttachmentSize, fileInputSchema } from "./attachments.js";
+import {
+  collectPages,
+  isPaginatedOperation,
+  matchPagingPath,
+  paginationParamsSchema,
+  toApiPath,
+} from "./pagination.js";
+import { PolicyViolationError, assertRequestAllowed, isEndpointAllowed, loadPolicy } from "./policy.js";
+import {
+  ConfigError,
+  InputError,
+  MailgunAbortError,
+  MailgunApiError,
+  MailgunTimeoutError,
+  createResponseError,
+  fromZodError,
+  toToolErrorResult,
+} from "./errors.js";
+import { computeRetryDelay, getRetryConfig, isRetryable, sleep } from "./retry.js";
+import { getQueryParamDefinition, queryParamToZod, serializeQueryParams } from "./query.js";
+import { applyTemplateVariables, renderTemplate, templateVariablesParamsSchema } from "./templates.js";
+import { checkDomainHealth, dnsRecordSchema, formatDomainHealth } from "./domains.js";
+import { DATE_INPUT_HINT, dateInputSchema, parseDateInput, toRfc2822Date } from "./dates.js";
+import {
+  listMemberSchema,
+  MAX_LISTED_ITEMS,
+  parseMembersCsv,
+  summarizeList,
+  summarizeListValidation,
+  summarizeLists,
+  summarizeMembers,
+  toBatches,
+  validateMembers,
+} from "./lists.js";
+import {
+  buildDeliverabilityReport,
+  formatReportMarkdown,
+  pickRecentTags,
+  REPORT_EVENTS,
+} from "./reports.js";
+import { matchRoutes, prepareRouteBody, routeParamsSchema } from "./routes.js";
+import { formatStoredMessage, parseStorageUrl, storedMessagePath } from "./storage.js";
+import { applySpecPatches } from "./spec-patches.js";
+import { ON_BEHALF_OF_HEADER, describeAccounts, findAccount, loadAccounts, summarizeSubaccounts } from "./accounts.js";
+import {
+  parseAddressContent,
+  precheckAddress,
+  summarizeAddressValidation,
+  toValidationCsv,
+} from "./addresses.js";
+import {
+  applyDeliveryTime,
+  BATCH_SIZE,
+  batchRecipientSchema,
+  deliveryTimeParamsSchema,
+  toBatchFields,
+} from "./sending.js";
 
 
 // Resolve directory path when using ES modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Initialize Model Context Protocol server
-export const server = new McpServer({
+// Name and version reported to MCP clients
+const SERVER_INFO = {
   name: "mailgun",
   version: "1.0.0",
-});
+};
+
+// Initialize Model Context Protocol server
+export const server = new McpServer(SERVER_INFO);
+
+/**
+ * Creates a server for a single client session
+ *
+ * An MCP server is connected to one transport at a time, so the HTTP server
+ * creates one per session and registers the tools on each.
+ * @param {Object} context - Spec and policy the tools are built from, see loadToolContext
+ * @param {Object} [client] - Client of the session, see authenticateRequest
+ * @returns {McpServer} - Server to connect to the session's transport
+ */
+export function createSessionServer(context, client = null) {
+  const sessionServer = new McpServer(SERVER_INFO);
+  registerTools(sessionServer, context, client);
+  return sessionServer;
+}
 
 // Mailgun API configuration
 const MAILGUN_API_KEY = process.env.MAILGUN_API_KEY;
-const MAILGUN_API_HOSTNAME = "api.mailgun.net";
 const OPENAPI_YAML = path.resolve(__dirname, 'openapi-final.yaml');
 
 
@@ -29,7 +107,59 @@ const endpoints = [
     "POST /v3/{domain_name}/messages",
     "GET /v4/domains",
     "GET /v4/domains/{name}",
+    "POST /v4/domains",
+    "PUT /v4/domains/{name}",
+    "DELETE /v3/domains/{name}",
+    "PUT /v4/domains/{name}/verify",
+    "GET /v3/domains/{name}/tracking",
+    "PUT /v3/domains/{name}/tracking/click",
+    "PUT /v3/domains/{name}/tracking/open",
+    "PUT /v3/domains/{name}/tracking/unsubscribe",
+    "GET /v4/domains/{authority_name}/keys",
+    "PUT /v4/domains/{authority_name}/keys/{selector}/activate",
+    "PUT /v4/domains/{authority_name}/keys/{selector}/deactivate",
+    "PUT /v3/domains/{name}/dkim_authority",
+    "PUT /v3/domains/{name}/dkim_selector",
+    "PUT /v1/dkim_management/domains/{name}/rotation",
+    "POST /v1/dkim_management/domains/{name}/rotate",
+    "GET /v3/domains/{name}/connection",
+    "PUT /v3/domains/{name}/connection",
     "GET /v3/domains/{name}/sending_queues",
+    "DELETE /v3/{domain_name}/envelopes",
+    "GET /v3/routes",
+    "POST /v3/routes",
+    "GET /v3/routes/{id}",
+    "PUT /v3/routes/{id}",
+    "DELETE /v3/routes/{id}",
+    "GET /v3/routes/match",
+    "GET /v3/lists/pages",
+    "POST /v3/lists",
+    "GET /v3/lists/{list_address}",
+    "PUT /v3/lists/{list_address}",
+    "DELETE /v3/lists/{list_address}",
+    "GET /v3/lists/{list_address}/members/pages",
+    "POST /v3/lists/{list_address}/members",
+    "GET /v3/lists/{list_address}/members/{member_address}",
+    "PUT /v3/lists/{list_address}/members/{member_address}",
+    "DELETE /v3/lists/{list_address}/members/{member_address}",
+    "POST /v3/lists/{list_address}/validate",
+    "GET /v3/lists/{list_address}/validate",
+    "DELETE /v3/lists/{list_address}/validate",
+    "GET /v4/address/validate/bulk",
+    "GET /v4/address/validate/bulk/{list_id}",
+    "DELETE /v4/address/validate/bulk/{list_id}",
+    "GET /v3/domains/{domain}/webhooks",
+    "POST /v3/domains/{domain}/webhooks",
+    "GET /v3/domains/{domain_name}/webhooks/{webhook_name}",
+    "PUT /v3/domains/{domain_name}/webhooks/{webhook_name}",
+    "DELETE /v3/domains/{domain_name}/webhooks/{webhook_name}",
+    "GET /v5/accounts/subaccounts",
+    "POST /v5/accounts/subaccounts",
+    "DELETE /v5/accounts/subaccounts",
+    "GET /v5/accounts/subaccounts/{subaccount_id}",
+    "POST /v5/accounts/subaccounts/{subaccount_id}/disable",
+    "POST /v5/accounts/subaccounts/{subaccount_id}/enable",
+    "PUT /v5/accounts/subaccounts/{subaccount_id}/features",
     "GET /v5/accounts/subaccounts/ip_pools",
     "GET /v3/ips",
     "GET /v3/ips/{ip}",
@@ -38,6 +168,17 @@ const endpoints = [
     "GET /v3/ip_pools/{pool_id}",
     "GET /v3/ip_pools/{pool_id}/domains",
     "GET /v3/{domain_name}/events",
+    "GET /v3/{domain_name}/templates",
+    "POST /v3/{domain_name}/templates",
+    "GET /v3/{domain_name}/templates/{template_name}",
+    "PUT /v3/{domain_name}/templates/{template_name}",
+    "DELETE /v3/{domain_name}/templates/{template_name}",
+    "GET /v3/{domain_name}/templates/{template_name}/versions",
+    "POST /v3/{domain_name}/templates/{template_name}/versions",
+    "GET /v3/{domain_name}/templates/{template_name}/versions/{version_name}",
+    "PUT /v3/{domain_name}/templates/{template_name}/versions/{version_name}",
+    "DELETE /v3/{domain_name}/templates/{template_name}/versions/{version_name}",
+    "PUT /v3/{domain_name}/templates/{template_name}/versions/{version_name}/copy/{new_version_name}",
     "GET /v3/{domain}/tags",
     "GET /v3/{domain}/tag",
     "GET /v3/{domain}/tag/stats/aggregates",
@@ -64,409 +205,2373 @@ const endpoints = [
     "GET /v3/{domainID}/complaints",
     "GET /v3/{domainID}/whitelists/{value}",
     "GET /v3/{domainID}/whitelists",
+    "POST /v3/{domainID}/bounces",
+    "DELETE /v3/{domainID}/bounces/{address}",
+    "DELETE /v3/{domainID}/bounces",
+    "POST /v3/{domainID}/unsubscribes",
+    "DELETE /v3/{domainID}/unsubscribes/{address}",
+    "DELETE /v3/{domainID}/unsubscribes",
+    "POST /v3/{domainID}/complaints",
+    "DELETE /v3/{domainID}/complaints/{address}",
+    "DELETE /v3/{domainID}/complaints",
+    "POST /v3/{domainID}/whitelists",
+    "DELETE /v3/{domainID}/whitelists/{value}",
+    "DELETE /v3/{domainID}/whitelists",
     "GET /v3/accounts/email_domain_suppressions/{email_domain}",
     "GET /v5/accounts/limit/custom/monthly",
 ];
 
+// Parameters that specific endpoints take in addition to those of the spec,
+// how they are turned into Mailgun fields before the request is built, count
+// summaries shown in place of long results, and spec parameters that are
+// optional although the spec marks them required
+const endpointExtensions = {
+  "POST /v3/{domain_name}/messages": {
+    params: { ...templateVariablesParamsSchema, ...deliveryTimeParamsSchema },
+    prepareBody: bodyParams => applyDeliveryTime(applyTemplateVariables(bodyParams)),
+  },
+  "DELETE /v3/{domain_name}/envelopes": { storageApi: true },
+  "POST /v3/routes": {
+    params: routeParamsSchema,
+    prepareBody: bodyParams => prepareRouteBody(bodyParams, { create: true }),
+  },
+  "PUT /v3/routes/{id}": {
+    params: routeParamsSchema,
+    prepareBody: prepareRouteBody,
+  },
+  "GET /v3/lists/pages": { summarizeResult: summarizeLists, maxItems: MAX_LISTED_ITEMS },
+  "GET /v3/lists/{list_address}": { summarizeResult: summarizeList },
+  "GET /v3/lists/{list_address}/members/pages": { summarizeResult: summarizeMembers, maxItems: MAX_LISTED_ITEMS },
+  "GET /v3/lists/{list_address}/validate": { summarizeResult: summarizeListValidation },
+  "GET /v4/address/validate/bulk/{list_id}": { summarizeResult: summarizeListValidation },
+  "GET /v5/accounts/subaccounts": { summarizeResult: summarizeSubaccounts },
+  // The spec marks the paging parameters required, Mailgun defaults them
+  "GET /v3/{domain_name}/templates/{template_name}/versions": { optionalParams: ['page', 'limit', 'p'] },
+};
+
+// Base URLs of the Mailgun API regions
+export const MAILGUN_REGIONS = {
+  us: "https://api.mailgun.net",
+  eu: "https://api.eu.mailgun.net",
+};
+
+// Storage API hosts by region, some endpoints are only served there
+export const MAILGUN_STORAGE_REGIONS = {
+  us: "https://storage-us-east4.api.mailgun.net",
+  eu: "https://storage-europe-west1.api.mailgun.net",
+};
+
+// Server-side options accepted by every generated tool. They are stripped
+// from the tool parameters before the Mailgun request is built.
+export const controlParamsSchema = {
+  region: z.enum(Object.keys(MAILGUN_REGIONS)).optional()
+    .describe('Mailgun API region to send this request to (defaults to the server configuration)'),
+  account: z.string().optional()
+    .describe('Name of a configured account profile whose API key, region and subaccount to use, see list-accounts'),
+  subaccount: z.string().optional()
+    .describe('ID of a subaccount to act on behalf of, sent as the X-Mailgun-On-Behalf-Of header'),
+  dry_run: z.boolean().optional()
+    .describe('Return the request that would be sent to Mailgun without sending it'),
+};
+
+// Options of tools that call Mailgun but do not support dry runs
+export const accountParamsSchema = {
+  region: controlParamsSchema.region,
+  account: controlParamsSchema.account,
+  subaccount: controlParamsSchema.subaccount,
+};
+
+/**
+ * Checks whether dry-run mode is forced for all tool calls
+ * @returns {boolean} - True if MAILGUN_MCP_DRY_RUN is enabled
+ */
+export function isGlobalDryRun() {
+  return ['1', 'true', 'yes'].includes((process.env.MAILGUN_MCP_DRY_RUN || '').toLowerCase());
+}
+
+// Options added to tools whose requests are not safe to repeat
+export const retryParamsSchema = {
+  retry: z.boolean().optional()
+    .describe('Retry the request after a rate limit or a temporary failure. POST and PATCH requests are not retried by default, since a repeated request may e.g. send a message twice'),
+};
+
+// Options added to tools that delete data
+export const confirmParamsSchema = {
+  confirm: z.boolean().optional()
+    .describe('Must be set to true to confirm that data should be deleted'),
+};
+
+/**
+ * Resolves the Mailgun API base URL for a request
+ *
+ * Precedence: explicit `baseUrl` option, explicit `region` option, region
+ * of the session's credentials, MAILGUN_API_BASE_URL, MAILGUN_API_REGION,
+ * then the US region.
+ * @param {Object} options - Request options
+ * @param {string} [options.region] - Region key (us, eu)
+ * @param {string} [options.baseUrl] - Full base URL including scheme and optional port
+ * @param {Object} [options.credentials] - Mailgun credentials of the session, see sessionCredentials
+ * @returns {URL} - Base URL of the Mailgun API
+ */
+export function resolveApiBaseUrl(options = {}) {
+  if (options.baseUrl) {
+    return parseBaseUrl(options.baseUrl);
+  }
+  const region = options.region || options.credentials?.region;
+  if (region) {
+    return regionBaseUrl(region);
+  }
+  if (process.env.MAILGUN_API_BASE_URL) {
+    return parseBaseUrl(process.env.MAILGUN_API_BASE_URL);
+  }
+  return regionBaseUrl(process.env.MAILGUN_API_REGION || 'us', ConfigError);
+}
+
+/**
+ * Resolves the base URL of the storage API for a request
+ *
+ * Precedence: explicit `region` option, region of the session's
+ * credentials, MAILGUN_STORAGE_BASE_URL, MAILGUN_API_REGION, then the US
+ * region.
+ * @param {Object} options - Request options
+ * @param {string} [options.region] - Region key (us, eu)
+ * @param {Object} [options.credentials] - Mailgun credentials of the session, see sessionCredentials
+ * @returns {URL} - Base URL of the storage API
+ */
+export function resolveStorageBaseUrl(options = {}) {
+  const explicitRegion = options.region || options.credentials?.region;
+  if (!explicitRegion && process.env.MAILGUN_STORAGE_BASE_URL) {
+    return parseBaseUrl(process.env.MAILGUN_STORAGE_BASE_URL);
+  }
+  const region = (explicitRegion || process.env.MAILGUN_API_REGION || 'us').toLowerCase();
+  if (!MAILGUN_STORAGE_REGIONS[region]) {
+    const UnknownRegionError = explicitRegion ? InputError : ConfigError;
+    throw new UnknownRegionError(`Unknown Mailgun region '${region}', expected one of: ${Object.keys(MAILGUN_STORAGE_REGIONS).join(', ')}`);
+  }
+  return new URL(MAILGUN_STORAGE_REGIONS[region]);
+}
+
+/**
+ * Looks up the base URL of a Mailgun region
+ * @param {string} region - Region key (case-insensitive)
+ * @param {Function} [UnknownRegionError] - Error class raised for unknown regions,
+ *   ConfigError for regions set in the environment
+ * @returns {URL} - Base URL of the region
+ */
+function regionBaseUrl(region, UnknownRegionError = InputError) {
+  const baseUrl = MAILGUN_REGIONS[region.toLowerCase()];
+  if (!baseUrl) {
+    throw new UnknownRegionError(`Unknown Mailgun region '${region}', expected one of: ${Object.keys(MAILGUN_REGIONS).join(', ')}`);
+  }
+  return new URL(baseUrl);
+}
+
+/**
+ * Parses and validates a user supplied base URL
+ * @param {string} baseUrl - Base URL such as http://localhost:8080
+ * @returns {URL} - Parsed base URL
+ */
+function parseBaseUrl(baseUrl) {
+  let url;
+  try {
+    url = new URL(baseUrl);
+  } catch (error) {
+    throw new ConfigError(`Invalid Mailgun API base URL '${baseUrl}': ${error.message}`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new ConfigError(`Unsupported protocol in Mailgun API base URL '${baseUrl}'`);
+  }
+  return url;
+}
+
+/**
+ * Splits tool parameters into server-side control options and API parameters
+ * @param {Object} params - Tool call parameters
+ * @param {Object} schema - Control parameter schema of the tool
+ * @returns {Object} - Control options and the remaining API parameters
+ */
+export function extractControlParams(params, schema = controlParamsSchema) {
+  const controls = {};
+  const apiParams = { ...params };
+
+  for (const key of Object.keys(schema)) {
+    if (key in apiParams) {
+      if (apiParams[key] !== undefined) {
+        controls[key] = apiParams[key];
+      }
+      delete apiParams[key];
+    }
+  }
+
+  return { controls, apiParams };
+}
+
+// Request body encodings supported by the transport, in priority order
+export const REQUEST_CONTENT_TYPES = [
+  'application/json',
+  'multipart/form-data',
+  'application/x-www-form-urlencoded',
+  'application/form-data'
+];
+
+// Non-standard content types used in the Mailgun spec and their encodings
+const CONTENT_TYPE_ALIASES = {
+  'application/form-data': 'multipart/form-data',
+};
+
+// Tool parameter that carries request bodies whose schema is an array
+export const ARRAY_BODY_PARAM = 'items';
+
+/**
+ * Picks the request body encoding declared by an OpenAPI operation
+ * @param {Object} operation - OpenAPI operation object
+ * @returns {string} - Content type used to encode the request body
+ */
+export function getRequestContentType(operation) {
+  const content = operation?.requestBody?.content || {};
+  const contentType = REQUEST_CONTENT_TYPES.find(type => content[type]);
+  return CONTENT_TYPE_ALIASES[contentType] || contentType || 'application/x-www-form-urlencoded';
+}
+
+/**
+ * Converts a single value to its form field representation
+ *
+ * Nested objects are sent as JSON strings, which is what Mailgun expects
+ * for fields such as `recipient-variables` or `h:X-Mailgun-Variables`.
+ * @param {*} value - Field value
+ * @returns {string} - Serialized field value
+ */
+function formFieldValue(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return value.toString();
+}
+
+/**
+ * Flattens request data into form fields, repeating keys for arrays
+ * @param {Object} data - Request payload data
+ * @returns {Array<[string, string]>} - Ordered list of field names and values
+ */
+function toFormFields(data) {
+  const fields = [];
+  for (const [key, value] of Object.entries(data)) {
+    if (value === undefined || value === null) continue;
+    const values = Array.isArray(value) ? value : [value];
+    for (const item of values) {
+      if (item instanceof FilePart) {
+        fields.push([key, item]);
+      } else if (item !== undefined && item !== null) {
+        fields.push([key, formFieldValue(item)]);
+      }
+    }
+  }
+  return fields;
+}
+
+/**
+ * Rejects file parts in encodings that cannot carry them
+ * @param {Array<[string, *]>} fields - Form fields
+ * @param {string} contentType - Requested content type
+ * @returns {Array<[string, string]>} - The unchanged fields
+ */
+function assertNoFileParts(fields, contentType) {
+  const fileField = fields.find(([, value]) => value instanceof FilePart);
+  if (fileField) {
+    throw new InputError(`File field '${fileField[0]}' cannot be sent as ${contentType}, multipart/form-data is required`);
+  }
+  return fields;
+}
+
+/**
+ * Encodes form fields as a multipart/form-data body
+ *
+ * Bodies that reference files on disk are returned as a stream so the files
+ * are never loaded into memory at once.
+ * @param {Array<[string, *]>} fields - Form fields, values are strings or file parts
+ * @returns {Object} - Body buffer or stream, content length and Content-Type header value
+ */
+function encodeMultipartBody(fields) {
+  const boundary = `----mailgun-mcp-${crypto.randomBytes(12).toString('hex')}`;
+  const segments = [];
+
+  for (const [key, value] of fields) {
+    let header = `--${boundary}\r\n` +
+      `Content-Disposition: form-data; name="${escapeMultipartName(key)}"`;
+    if (value instanceof FilePart) {
+      header += `; filename="${escapeMultipartName(value.filename)}"\r\n` +
+        `Content-Type: ${value.contentType}`;
+    }
+    segments.push(Buffer.from(`${header}\r\n\r\n`));
+    segments.push(value instanceof FilePart ? (value.data || value) : Buffer.from(value));
+    segments.push(Buffer.from('\r\n'));
+  }
+  segments.push(Buffer.from(`--${boundary}--\r\n`));
+
+  const contentType = `multipart/form-data; boundary=${boundary}`;
+  const contentLength = segments.reduce((total, segment) => total + (
+    segment instanceof FilePart ? segment.size : segment.length
+  ), 0);
+
+  if (segments.every(segment => Buffer.isBuffer(segment))) {
+    return { body: Buffer.concat(segments), contentLength, contentType };
+  }
+
+  async function* streamSegments() {
+    for (const segment of segments) {
+      if (segment instanceof FilePart) {
+        yield* fs.createReadStream(segment.filePath);
+      } else {
+        yield segment;
+      }
+    }
+  }
+
+  return { body: Readable.from(streamSegments()), contentLength, contentType };
+}
+
+/**
+ * Encodes request data using the given content type
+ * @param {Object} data - Request payload data
+ * @param {string} contentType - JSON, multipart or urlencoded content type
+ * @returns {Object} - Encoded body (buffer or stream), content length and Content-Type header value
+ */
+export function encodeRequestBody(data, contentType = 'application/x-www-form-urlencoded') {
+  switch (contentType) {
+    case 'application/json': {
+      assertNoFileParts(toFormFields(data), contentType);
+      const body = Buffer.from(JSON.stringify(data));
+      return { body, contentLength: body.length, contentType: 'application/json' };
+    }
+
+    case 'multipart/form-data':
+      return encodeMultipartBody(toFormFields(data));
+
+    case 'application/x-www-form-urlencoded': {
+      const fields = assertNoFileParts(toFormFields(data), contentType);
+      const body = Buffer.from(new URLSearchParams(fields).toString());
+      return { body, contentLength: body.length, contentType: 'application/x-www-form-urlencoded' };
+    }
+
+    default:
+      throw new Error(`Unsupported request content type: ${contentType}`);
+  }
+}
+
+/**
+ * Escapes a value for use in a multipart Content-Disposition parameter
+ * @param {string} name - Field name or filename
+ * @returns {string} - Escaped value
+ */
+function escapeMultipartName(name) {
+  return String(name).replace(/[\r\n"]/g, c => encodeURIComponent(c));
+}
+
+/**
+ * Builds an authenticated request to the Mailgun API without sending it
+ * @param {string} method - HTTP method (GET, POST, etc.)
+ * @param {string} path - API endpoint path
+ * @param {Object} data - Request payload data (for POST/PUT requests)
+ * @param {Object} options - Request options, see makeMailgunRequest
+ * @returns {Object} - Method, URL, headers and encoded body of the request
+ */
+export function buildMailgunRequest(method, path, data = null, options = {}) {
+  const baseUrl = resolveApiBaseUrl(options);
+
+  // For non-GET requests with a payload, serialize it in the operation's encoding
+  let encoded = null;
+  if (data && method !== "GET" && (Array.isArray(data) || Object.keys(data).length > 0)) {
+    assertAttachmentSize(data);
+    encoded = encodeRequestBody(data, options.contentType);
+  }
+
+  // Normalize path format (handle paths with or without leading slash)
+  const cleanPath = path.startsWith('/') ? path.substring(1) : path;
+  const basePath = baseUrl.pathname.replace(/\/+$/, '');
+  const queryIndex = cleanPath.indexOf('?');
+  
+  // Set path and query separately so the path can never change the host
+  const url = new URL(baseUrl.href);
+  url.pathname = `${basePath}/${queryIndex === -1 ? cleanPath : cleanPath.substring(0, queryIndex)}`;
+  url.search = queryIndex === -1 ? '' : cleanPath.substring(queryIndex);
+  
+  // Create basic auth credentials from the session's or the server's API key
+  const apiKey = options.credentials?.apiKey ?? MAILGUN_API_KEY;
+  const auth = Buffer.from(`api:${apiKey}`).toString("base64");
+  const headers = {
+    "Authorization": `Basic ${auth}`
+  };
+  if (options.subaccount) {
+    headers[ON_BEHALF_OF_HEADER] = options.subaccount;
+  }
+  if (encoded) {
+    headers["Content-Type"] = encoded.contentType;
+    headers["Content-Length"] = encoded.contentLength;
+  }
+
+  return { method, url, headers, encoded };
+}
+
+/**
+ * Describes a built request for display, with credentials redacted
+ * @param {Object} request - Request returned by buildMailgunRequest
+ * @returns {Object} - Method, URL, headers and body as plain JSON values
+ */
+export function describeMailgunRequest(request) {
+  const { encoded } = request;
+  let body = null;
+  if (encoded && Buffer.isBuffer(encoded.body)) {
+    body = encoded.body.toString();
+  } else if (encoded) {
+    body = `[multipart body of ${encoded.contentLength} bytes, attachments streamed from disk]`;
+  }
+
+  return {
+    method: request.method,
+    url: request.url.href,
+    headers: { ...request.headers, Authorization: 'Basic [REDACTED]' },
+    body,
+  };
+}
+
 /**
  * Makes an authenticated request to the Mailgun API
+ *
+ * Rate limited (429) and transient 5xx responses, as well as network errors,
+ * are retried with backoff for idempotent methods. POST and PATCH requests
+ * are only retried when `retryNonIdempotent` or MAILGUN_RETRY_NON_IDEMPOTENT is set.
  * @param {string} method - HTTP method (GET, POST, etc.)
  * @param {string} path - API endpoint path
  * @param {Object} data - Request payload data (for POST/PUT requests)
+ * @param {Object} options - Request options
+ * @param {string} [options.region] - Region to target instead of the configured one
+ * @param {string} [options.baseUrl] - Base URL to target instead of the configured one
+ * @param {Object} [options.credentials] - Mailgun API key and region of the session, see sessionCredentials
+ * @param {string} [options.subaccount] - Subaccount ID to act on behalf of
+ * @param {string} [options.contentType] - Encoding of the request body (defaults to urlencoded)
+ * @param {number} [options.retries] - Retries after the first attempt, see getRetryConfig
+ * @param {boolean} [options.retryNonIdempotent] - Also retry POST and PATCH requests
+ * @param {number} [options.connectTimeout] - Connect timeout, see getTimeoutConfig
+ * @param {number} [options.responseTimeout] - Response timeout, see getTimeoutConfig
+ * @param {AbortSignal} [options.signal] - Signal that cancels the request and pending retries
  * @returns {Promise<Object>} - Response data as JSON
  */
-export async function makeMailgunRequest(method, path, data = null) {
+export async function makeMailgunRequest(method, path, data = null, options = {}) {
+  const retryConfig = getRetryConfig(options);
+  const timeouts = getTimeoutConfig(options);
+  const { signal } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    // Build the request on every attempt since streamed bodies can only be read once
+    const request = buildMailgunRequest(method, path, data, options);
+    let response;
+    try {
+      response = await sendMailgunRequest(request, { ...timeouts, signal });
+    } catch (error) {
+      if (error instanceof MailgunAbortError || attempt > retryConfig.retries
+          || !isRetryable(method, null, retryConfig)) {
+        throw error;
+      }
+      await sleep(computeRetryDelay(attempt, {}, retryConfig), signal);
+      continue;
+    }
+
+    const details = { method, path: request.url.pathname, attempts: attempt };
+    if (response.status >= 200 && response.status < 300) {
+      try {
+        return JSON.parse(response.body);
+      } catch (e) {
+        throw new MailgunApiError(`Failed to parse response: ${e.message}`, {
+          ...details,
+          status: response.status,
+          rawBody: response.body.substring(0, 500),
+        });
+      }
+    }
+
+    const delay = attempt <= retryConfig.retries && isRetryable(method, response.status, retryConfig)
+      ? computeRetryDelay(attempt, response.headers, retryConfig)
+      : null;
+    if (delay === null) {
+      throw createResponseError(response, details);
+    }
+    await sleep(delay, signal);
+  }
+}
+
+/**
+ * Reads the request timeouts
+ *
+ * Request options take precedence over MAILGUN_CONNECT_TIMEOUT_MS and
+ * MAILGUN_RESPONSE_TIMEOUT_MS. A timeout of 0 disables it.
+ * @param {Object} options - Request options
+ * @param {number} [options.connectTimeout] - Time allowed to establish the connection in milliseconds
+ * @param {number} [options.responseTimeout] - Time allowed for the complete response once connected
+ * @returns {Object} - Connect and response timeouts in milliseconds
+ */
+export function getTimeoutConfig(options = {}) {
+  const fromEnv = (value, fallback) => {
+    const number = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(number) && number >= 0 ? number : fallback;
+  };
+  return {
+    connectTimeout: options.connectTimeout ?? fromEnv(process.env.MAILGUN_CONNECT_TIMEOUT_MS, 10000),
+    responseTimeout: options.responseTimeout ?? fromEnv(process.env.MAILGUN_RESPONSE_TIMEOUT_MS, 60000),
+  };
+}
+
+/**
+ * Sends a built request once
+ * @param {Object} request - Request returned by buildMailgunRequest
+ * @param {Object} options - Send options
+ * @param {number} [options.connectTimeout] - Time allowed to establish the connection in milliseconds
+ * @param {number} [options.responseTimeout] - Time allowed for the complete response once connected
+ * @param {AbortSignal} [options.signal] - Signal that cancels the request
+ * @returns {Promise<Object>} - Response status, headers and raw body
+ */
+export function sendMailgunRequest(request, { connectTimeout = 0, responseTimeout = 0, signal } = {}) {
+  const { method, url, headers, encoded } = request;
+  const transport = url.protocol === 'http:' ? http : https;
+  const details = { method, path: url.pathname };
+
   return new Promise((resolve, reject) => {
-    // Normalize path format (handle paths with or without leading slash)
-    const cleanPath = path.startsWith('/') ? path.substring(1) : path;
-    
-    // Create basic auth credentials from API key
-    const auth = Buffer.from(`api:${MAILGUN_API_KEY}`).toString("base64");
-    const options = {
-      hostname: MAILGUN_API_HOSTNAME,
-      path: `/${cleanPath}`,
+    if (signal?.aborted) {
+      reject(new MailgunAbortError(details));
+      return;
+    }
+
+    const requestOptions = {
+      protocol: url.protocol,
+      hostname: url.hostname,
+      port: url.port || undefined,
+      path: `${url.pathname}${url.search}`,
       method: method,
-      headers: {
-        "Authorization": `Basic ${auth}`,
-        "Content-Type": "application/x-www-form-urlencoded"
+      headers
+    };
+
+    let connectTimer = null;
+    let responseTimer = null;
+    const onAbort = () => req.destroy(new MailgunAbortError(details));
+    const cleanup = () => {
+      clearTimeout(connectTimer);
+      clearTimeout(responseTimer);
+      signal?.removeEventListener('abort', onAbort);
+    };
+    const startResponseTimer = () => {
+      clearTimeout(connectTimer);
+      if (responseTimeout > 0) {
+        responseTimer = setTimeout(() => {
+          req.destroy(new MailgunTimeoutError('response', responseTimeout, details));
+        }, responseTimeout);
       }
     };
 
     // Create and send the HTTP request
-    const req = https.request(options, (res) => {
+    const req = transport.request(requestOptions, (res) => {
       let responseData = "";
       
       res.on("data", (chunk) => {
         responseData += chunk;
       });
       
-      res.on("end", () => {
-        try {
-          const parsedData = JSON.parse(responseData);
-          if (res.statusCode >= 200 && res.statusCode < 300) {
-            resolve(parsedData);
-          } else {
-            reject(new Error(`Mailgun API error: ${parsedData.message || responseData}`));
-          }
-        } catch (e) {
-          reject(new Error(`Failed to parse response: ${e.message}`));
+      res.on("end", () => {
+        cleanup();
+        resolve({ status: res.statusCode, headers: res.headers, body: responseData });
+      });
+
+      res.on("error", (error) => {
+        cleanup();
+        reject(error);
+      });
+    });
+    
+    req.on("error", (error) => {
+      cleanup();
+      reject(error);
+    });
+
+    // The connect timeout covers DNS lookup and the TCP connection, the
+    // response timeout everything after that
+    req.on("socket", (socket) => {
+      if (!socket.connecting) {
+        startResponseTimer();
+        return;
+      }
+      if (connectTimeout > 0) {
+        connectTimer = setTimeout(() => {
+          req.destroy(new MailgunTimeoutError('connect', connectTimeout, details));
+        }, connectTimeout);
+      }
+      socket.once("connect", startResponseTimer);
+    });
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+    
+    if (encoded && !Buffer.isBuffer(encoded.body)) {
+      // Stream bodies that read attachments from disk
+      encoded.body.on("error", (error) => {
+        req.destroy(error);
+      });
+      encoded.body.pipe(req);
+      return;
+    }
+
+    if (encoded) {
+      req.write(encoded.body);
+    }
+    
+    req.end();
+  });
+}
+
+/**
+ * Loads and parses the OpenAPI specification from a YAML or JSON file
+ *
+ * The corrections of spec-patches.js are applied to the parsed spec.
+ * @param {string} filePath - Path to the OpenAPI YAML or JSON file
+ * @returns {Object} - Parsed OpenAPI specification
+ */
+export function loadOpenApiSpec(filePath) {
+  let spec;
+  try {
+    const fileContents = fs.readFileSync(filePath, 'utf8');
+    spec = path.extname(filePath).toLowerCase() === '.json'
+      ? JSON.parse(fileContents)
+      : yaml.load(fileContents);
+  } catch (error) {
+    throw new ConfigError(`Error loading OpenAPI spec ${filePath}: ${error.message}`);
+  }
+  if (!spec || typeof spec !== 'object' || !spec.paths) {
+    throw new ConfigError(`Error loading OpenAPI spec ${filePath}: no paths defined`);
+  }
+  return applySpecPatches(spec);
+}
+
+/**
+ * Reads the value of a command line flag given as `--flag value` or `--flag=value`
+ * @param {string[]} argv - Command line arguments
+ * @param {string} flag - Flag name including the leading dashes
+ * @returns {string|undefined} - Flag value or undefined if absent
+ */
+function getFlagValue(argv, flag) {
+  const index = argv.findIndex(arg => arg === flag || arg.startsWith(`${flag}=`));
+  if (index === -1) return undefined;
+  return argv[index].includes('=') ? argv[index].split('=').slice(1).join('=') : argv[index + 1];
+}
+
+/**
+ * Resolves the path of the OpenAPI spec to load
+ *
+ * Precedence: the --spec flag, MAILGUN_OPENAPI_SPEC, then the bundled spec.
+ * @param {string[]} argv - Command line arguments
+ * @param {Object} env - Environment variables
+ * @returns {string} - Absolute path of the spec file
+ */
+export function resolveSpecPath(argv = process.argv.slice(2), env = process.env) {
+  const specPath = getFlagValue(argv, '--spec') || env.MAILGUN_OPENAPI_SPEC;
+  return specPath ? path.resolve(specPath) : OPENAPI_YAML;
+}
+
+/**
+ * Checks whether spec problems should stop the server from starting
+ * @param {string[]} argv - Command line arguments
+ * @param {Object} env - Environment variables
+ * @returns {boolean} - True with the --strict flag or MAILGUN_SPEC_STRICT enabled
+ */
+export function isStrictSpecMode(argv = process.argv.slice(2), env = process.env) {
+  return argv.includes('--strict')
+    || ['1', 'true', 'yes'].includes((env.MAILGUN_SPEC_STRICT || '').toLowerCase());
+}
+
+/**
+ * Collects `$ref`s that cannot be resolved within the spec
+ * @param {*} value - Part of the spec to search
+ * @param {Object} openApiSpec - Complete OpenAPI specification
+ * @param {Set<string>} unresolved - Collected references
+ * @param {Set<string>} visited - References already followed, guards against cycles
+ * @returns {Set<string>} - Unresolvable references
+ */
+export function findUnresolvedRefs(value, openApiSpec, unresolved = new Set(), visited = new Set()) {
+  if (Array.isArray(value)) {
+    value.forEach(item => findUnresolvedRefs(item, openApiSpec, unresolved, visited));
+    return unresolved;
+  }
+  if (!value || typeof value !== 'object') {
+    return unresolved;
+  }
+  
+  if (typeof value.$ref === 'string') {
+    if (visited.has(value.$ref)) return unresolved;
+    visited.add(value.$ref);
+    
+    const target = value.$ref.startsWith('#/')
+      ? value.$ref.substring(2).split('/').reduce((obj, segment) => obj?.[segment], openApiSpec)
+      : undefined;
+    if (target === undefined) {
+      unresolved.add(value.$ref);
+    } else {
+      findUnresolvedRefs(target, openApiSpec, unresolved, visited);
+    }
+  }
+  
+  for (const [key, child] of Object.entries(value)) {
+    if (key !== '$ref') {
+      findUnresolvedRefs(child, openApiSpec, unresolved, visited);
+    }
+  }
+  return unresolved;
+}
+
+/**
+ * Validates that the spec covers every endpoint exposed as a tool
+ * @param {Object} openApiSpec - Parsed OpenAPI specification
+ * @param {string[]} endpointList - Endpoints as "METHOD /path"
+ * @returns {Object} - Matched endpoints, unmatched endpoints and unresolvable references
+ */
+export function validateOpenApiSpec(openApiSpec, endpointList = endpoints) {
+  const report = { matched: [], unmatched: [], unresolvedRefs: [] };
+  
+  for (const endpoint of endpointList) {
+    const [method, path] = endpoint.split(' ');
+    const operationDetails = getOperationDetails(openApiSpec, method, path);
+    if (!operationDetails) {
+      report.unmatched.push(endpoint);
+      continue;
+    }
+    report.matched.push(endpoint);
+    
+    // Only the parts that become tool schemas are converted by openapiToZod
+    const { parameters, requestBody } = operationDetails.operation;
+    for (const ref of findUnresolvedRefs({ parameters, requestBody }, openApiSpec)) {
+      report.unresolvedRefs.push({ endpoint, ref });
+    }
+  }
+  
+  report.ok = report.unmatched.length === 0 && report.unresolvedRefs.length === 0;
+  return report;
+}
+
+/**
+ * Formats a spec validation report for the console
+ * @param {Object} report - Report returned by validateOpenApiSpec
+ * @param {string} specPath - Path of the validated spec
+ * @returns {string} - Human-readable report
+ */
+export function formatSpecReport(report, specPath) {
+  const lines = [
+    `OpenAPI spec: ${specPath}`,
+    `Endpoints matched: ${report.matched.length}/${report.matched.length + report.unmatched.length}`,
+  ];
+  for (const endpoint of report.unmatched) {
+    lines.push(`  ✗ not found in spec: ${endpoint}`);
+  }
+  if (report.unresolvedRefs.length > 0) {
+    lines.push(`Unresolved references: ${report.unresolvedRefs.length}`);
+    for (const { endpoint, ref } of report.unresolvedRefs) {
+      lines.push(`  ✗ ${ref} (used by ${endpoint})`);
+    }
+  }
+  lines.push(report.ok ? 'Spec OK' : 'Spec has problems, affected tools are skipped or lose parameter validation');
+  return lines.join('\n');
+}
+
+/**
+ * Loads and validates the spec, printing the report without starting a transport
+ * @param {string[]} argv - Command line arguments
+ * @returns {number} - Process exit code, 1 if the spec could not be loaded or has problems
+ */
+export function runSpecCheck(argv = process.argv.slice(2)) {
+  const specPath = resolveSpecPath(argv);
+  try {
+    const report = validateOpenApiSpec(loadOpenApiSpec(specPath));
+    console.log(formatSpecReport(report, specPath));
+    return report.ok ? 0 : 1;
+  } catch (error) {
+    console.error(error.message);
+    return 1;
+  }
+}
+
+/**
+ * Converts OpenAPI schema definitions to Zod validation schemas
+ *
+ * Covers the OpenAPI 3.0 and 3.1 keywords used by Mailgun's spec. A `$ref`
+ * that refers back to a schema being converted accepts any value at the
+ * point of recursion, since tool schemas cannot express recursive types.
+ * @param {Object} schema - OpenAPI schema object
+ * @param {Object} fullSpec - Complete OpenAPI specification
+ * @param {string[]} refStack - References being converted, used to detect cycles
+ * @returns {z.ZodType} - Corresponding Zod schema
+ */
+export function openapiToZod(schema, fullSpec, refStack = []) {
+  if (!schema) return z.any();
+  
+  // Handle schema references (e.g. #/components/schemas/...)
+  if (schema.$ref) {
+    if (!schema.$ref.startsWith('#/')) {
+      console.error(`Unsupported reference format: ${schema.$ref}`);
+      return z.any().describe(`Unsupported reference: ${schema.$ref}`);
+    }
+    if (refStack.includes(schema.$ref)) {
+      return z.any().describe(`Recursive reference: ${schema.$ref}`);
+    }
+    
+    const referenced = resolveReference(schema.$ref, fullSpec);
+    if (!referenced) {
+      console.error(`Failed to resolve reference: ${schema.$ref}`);
+      return z.any().describe(`Failed reference: ${schema.$ref}`);
+    }
+    
+    const zodSchema = openapiToZod(referenced, fullSpec, [...refStack, schema.$ref]);
+    // OpenAPI 3.1 allows a description next to a reference
+    return schema.description ? zodSchema.describe(schema.description) : zodSchema;
+  }
+  
+  if (schema.allOf) {
+    return openapiToZod(mergeAllOf(schema, fullSpec, refStack), fullSpec, refStack);
+  }
+  
+  // OpenAPI 3.1 lists "null" as a type, 3.0 sets nullable
+  const types = (Array.isArray(schema.type) ? schema.type : [schema.type]).filter(Boolean);
+  const nonNullTypes = types.filter(type => type !== 'null');
+  let nullable = schema.nullable === true || types.includes('null');
+  
+  let zodSchema;
+  if (schema.const !== undefined) {
+    zodSchema = z.literal(schema.const);
+  } else if (schema.enum) {
+    nullable = nullable || schema.enum.includes(null);
+    zodSchema = enumToZod(schema.enum.filter(value => value !== null));
+  } else if (schema.oneOf || schema.anyOf) {
+    const members = (schema.oneOf || schema.anyOf).map(member => openapiToZod(member, fullSpec, refStack));
+    zodSchema = members.length === 1 ? members[0] : z.union(members);
+  } else if (nonNullTypes.length > 1) {
+    zodSchema = z.union(nonNullTypes.map(type => typeToZod(schema, type, fullSpec, refStack)));
+  } else {
+    zodSchema = typeToZod(schema, nonNullTypes[0] || inferType(schema), fullSpec, refStack);
+  }
+  
+  if (nullable) {
+    zodSchema = zodSchema.nullable();
+  }
+  if (schema.default !== undefined) {
+    zodSchema = zodSchema.default(schema.default);
+  }
+  return schema.description ? zodSchema.describe(schema.description) : zodSchema;
+}
+
+/**
+ * Makes a schema optional, keeping its default
+ *
+ * A schema with a default already accepts a missing value, and wrapping it in
+ * .optional() would return undefined before the default is applied.
+ * @param {z.ZodType} zodSchema - Schema of a value
+ * @returns {z.ZodType} - Schema that accepts a missing value
+ */
+function optionalSchema(zodSchema) {
+  return zodSchema instanceof z.ZodDefault ? zodSchema : zodSchema.optional();
+}
+
+/**
+ * Converts a schema of a single type, ignoring composition keywords
+ * @param {Object} schema - OpenAPI schema object
+ * @param {string} type - Schema type to convert
+ * @param {Object} fullSpec - Complete OpenAPI specification
+ * @param {string[]} refStack - References being converted
+ * @returns {z.ZodType} - Corresponding Zod schema
+ */
+function typeToZod(schema, type, fullSpec, refStack) {
+  switch (type) {
+    case 'string': {
+      if (schema.format === 'binary') {
+        return fileInputSchema().describe(schema.description || 'File content');
+      }
+      let zodString = z.string();
+      if (schema.format === 'email') {
+        zodString = zodString.email();
+      } else if (schema.format === 'uri' || schema.format === 'url') {
+        zodString = zodString.url();
+      } else if (schema.format === 'date-time') {
+        zodString = zodString.datetime({ offset: true });
+      } else if (schema.format === 'date') {
+        zodString = zodString.date();
+      }
+      if (schema.minLength !== undefined) {
+        zodString = zodString.min(schema.minLength);
+      }
+      if (schema.maxLength !== undefined) {
+        zodString = zodString.max(schema.maxLength);
+      }
+      if (schema.pattern) {
+        try {
+          zodString = zodString.regex(new RegExp(schema.pattern), `Must match the pattern ${schema.pattern}`);
+        } catch (error) {
+          console.error(`Ignoring invalid pattern ${schema.pattern}: ${error.message}`);
+        }
+      }
+      return zodString;
+    }
+    
+    case 'number':
+    case 'integer': {
+      let zodNumber = z.number();
+      if (type === 'integer' || schema.format === 'int32' || schema.format === 'int64') {
+        zodNumber = zodNumber.int();
+      }
+      // exclusiveMinimum is a boolean modifier in OpenAPI 3.0 and a bound in 3.1
+      if (schema.minimum !== undefined) {
+        zodNumber = schema.exclusiveMinimum === true
+          ? zodNumber.gt(schema.minimum)
+          : zodNumber.min(schema.minimum);
+      }
+      if (typeof schema.exclusiveMinimum === 'number') {
+        zodNumber = zodNumber.gt(schema.exclusiveMinimum);
+      }
+      if (schema.maximum !== undefined) {
+        zodNumber = schema.exclusiveMaximum === true
+          ? zodNumber.lt(schema.maximum)
+          : zodNumber.max(schema.maximum);
+      }
+      if (typeof schema.exclusiveMaximum === 'number') {
+        zodNumber = zodNumber.lt(schema.exclusiveMaximum);
+      }
+      if (schema.multipleOf !== undefined) {
+        zodNumber = zodNumber.multipleOf(schema.multipleOf);
+      }
+      return zodNumber;
+    }
+    
+    case 'boolean':
+      return z.boolean();
+    
+    case 'array': {
+      let zodArray = z.array(openapiToZod(schema.items, fullSpec, refStack));
+      if (schema.minItems !== undefined) {
+        zodArray = zodArray.min(schema.minItems);
+      }
+      if (schema.maxItems !== undefined) {
+        zodArray = zodArray.max(schema.maxItems);
+      }
+      return zodArray;
+    }
+    
+    case 'object':
+      return objectToZod(schema, fullSpec, refStack);
+    
+    default:
+      return z.any();
+  }
+}
+
+/**
+ * Converts an object schema, leaving out read-only properties
+ * @param {Object} schema - OpenAPI object schema
+ * @param {Object} fullSpec - Complete OpenAPI specification
+ * @param {string[]} refStack - References being converted
+ * @returns {z.ZodType} - Zod object or record schema
+ */
+function objectToZod(schema, fullSpec, refStack) {
+  const { additionalProperties } = schema;
+  const additionalSchema = typeof additionalProperties === 'object'
+    ? openapiToZod(additionalProperties, fullSpec, refStack)
+    : null;
+  
+  if (!schema.properties) {
+    if (additionalProperties === false) return z.object({}).strict();
+    return z.record(additionalSchema || z.any());
+  }
+  
+  const shape = {};
+  for (const [key, prop] of Object.entries(schema.properties)) {
+    if (prop.readOnly) continue;
+    const zodProp = openapiToZod(prop, fullSpec, refStack);
+    shape[key] = schema.required?.includes(key) ? zodProp : optionalSchema(zodProp);
+  }
+  
+  const zodObject = z.object(shape);
+  if (additionalProperties === false) return zodObject.strict();
+  if (additionalProperties === true) return zodObject.passthrough();
+  if (additionalSchema) return zodObject.catchall(additionalSchema);
+  return zodObject;
+}
+
+/**
+ * Converts enum values, which may be of any JSON type
+ * @param {Array} values - Allowed values
+ * @returns {z.ZodType} - Zod enum, literal or union of literals
+ */
+function enumToZod(values) {
+  if (values.length > 0 && values.every(value => typeof value === 'string')) {
+    return z.enum(values);
+  }
+  if (values.length === 1) {
+    return z.literal(values[0]);
+  }
+  return z.union(values.map(value => z.literal(value)));
+}
+
+/**
+ * Guesses the type of a schema that does not declare one
+ * @param {Object} schema - OpenAPI schema object
+ * @returns {string|undefined} - Inferred type
+ */
+function inferType(schema) {
+  if (schema.properties || schema.additionalProperties !== undefined) return 'object';
+  if (schema.items) return 'array';
+  return undefined;
+}
+
+/**
+ * Merges the members of an allOf into a single schema
+ *
+ * Properties and required lists are combined, other keywords of later
+ * members and of the schema itself take precedence.
+ * @param {Object} schema - Schema with an allOf
+ * @param {Object} fullSpec - Complete OpenAPI specification
+ * @param {string[]} refStack - References being converted
+ * @returns {Object} - Schema without allOf
+ */
+function mergeAllOf(schema, fullSpec, refStack) {
+  const { allOf, ...own } = schema;
+  const merged = {};
+  
+  for (let member of [...allOf, own]) {
+    let memberStack = refStack;
+    if (member.$ref) {
+      if (refStack.includes(member.$ref)) continue;
+      memberStack = [...refStack, member.$ref];
+      member = resolveReference(member.$ref, fullSpec);
+      if (!member) continue;
+    }
+    if (member.allOf) {
+      member = mergeAllOf(member, fullSpec, memberStack);
+    }
+    
+    const { properties, required, ...keywords } = member;
+    Object.assign(merged, keywords);
+    if (properties) {
+      merged.properties = { ...merged.properties, ...properties };
+    }
+    if (required) {
+      merged.required = [...new Set([...(merged.required || []), ...required])];
+    }
+  }
+  
+  return merged;
+}
+
+/**
+ * Generates MCP tools from the OpenAPI specification
+ * @param {Object} openApiSpec - Parsed OpenAPI specification
+ * @param {Object} policy - Safety policy deciding which tools are registered
+ * @param {McpServer} [target] - Server to register on, the global server by default
+ */
+export function generateToolsFromOpenApi(openApiSpec, policy = loadPolicy(), target = server) {
+  for (const endpoint of endpoints) {
+    try {
+      const [method, path] = endpoint.split(' ');
+      if (!isEndpointAllowed(policy, method, path)) {
+        console.warn(`Skipping endpoint blocked by policy: ${method} ${path}`);
+        continue;
+      }
+      
+      const operationDetails = getOperationDetails(openApiSpec, method, path);
+      
+      if (!operationDetails) {
+        console.warn(`Could not match endpoint: ${method} ${path} in OpenAPI spec`);
+        continue;
+      }
+      
+      const { operation, operationId } = operationDetails;
+      const extension = endpointExtensions[endpoint] || {};
+      const paramsSchema = { ...buildParamsSchema(operation, openApiSpec), ...extension.params };
+      for (const name of extension.optionalParams || []) {
+        if (paramsSchema[name]) {
+          paramsSchema[name] = optionalSchema(paramsSchema[name]);
+        }
+      }
+      const toolId = sanitizeToolId(operationId);
+      const toolDescription = operation.summary || `${method.toUpperCase()} ${path}`;
+      const paginated = isPaginatedOperation(operation, openApiSpec);
+      const arrayBody = getRequestBodySchema(operation.requestBody, openApiSpec)?.type === 'array';
+      const queryParams = getQueryParamDefinitions(operation, openApiSpec);
+      
+      registerTool(toolId, toolDescription, paramsSchema, method, path, operation, {
+        paginated,
+        arrayBody,
+        queryParams,
+        policy,
+        prepareBody: extension.prepareBody,
+        summarizeResult: extension.summarizeResult,
+        maxItems: extension.maxItems,
+        storageApi: extension.storageApi,
+        server: target,
+      });
+      
+    } catch (error) {
+      console.error(`Failed to process endpoint ${endpoint}: ${error.message}`);
+    }
+  }
+  
+  return;
+}
+
+/**
+ * Retrieves operation details from the OpenAPI spec for a given method and path
+ * @param {Object} openApiSpec - Parsed OpenAPI specification
+ * @param {string} method - HTTP method (GET, POST, etc.)
+ * @param {string} path - API endpoint path
+ * @returns {Object|null} - Operation details or null if not found
+ */
+export function getOperationDetails(openApiSpec, method, path) {
+  const lowerMethod = method.toLowerCase();
+  
+  if (!openApiSpec.paths?.[path]?.[lowerMethod]) {
+    return null;
+  }
+  
+  return {
+    operation: openApiSpec.paths[path][lowerMethod],
+    operationId: `${method}-${path.replace(/[^\w-]/g, '-').replace(/-+/g, '-')}`
+  };
+}
+
+/**
+ * Sanitizes an operation ID to be used as a tool ID
+ * @param {string} operationId - The operation ID to sanitize
+ * @returns {string} - Sanitized tool ID
+ */
+export function sanitizeToolId(operationId) {
+  return operationId.replace(/[^\w-]/g, '-').toLowerCase();
+}
+
+/**
+ * Builds a Zod parameter schema from an OpenAPI operation
+ * @param {Object} operation - OpenAPI operation object
+ * @param {Object} openApiSpec - Complete OpenAPI specification
+ * @returns {Object} - Zod parameter schema
+ */
+export function buildParamsSchema(operation, openApiSpec) {
+  const paramsSchema = {};
+  
+  // Process path parameters
+  const pathParams = operation.parameters?.filter(p => p.in === 'path') || [];
+  processParameters(pathParams, paramsSchema, openApiSpec);
+  
+  // Process query parameters, accepting the inputs their serialization understands
+  const queryParams = operation.parameters?.filter(p => p.in === 'query') || [];
+  const definitions = getQueryParamDefinitions(operation, openApiSpec);
+  for (const param of queryParams) {
+    const zodParam = queryParamToZod(definitions[param.name], schema => openapiToZod(schema, openApiSpec));
+    paramsSchema[param.name] = param.required ? zodParam : optionalSchema(zodParam);
+  }
+  
+  // Process request body if it exists
+  if (operation.requestBody) {
+    processRequestBody(operation.requestBody, paramsSchema, openApiSpec);
+  }
+  
+  return paramsSchema;
+}
+
+/**
+ * Processes OpenAPI parameters into Zod schemas
+ * @param {Array} parameters - OpenAPI parameter objects
+ * @param {Object} paramsSchema - Target schema object to populate
+ * @param {Object} openApiSpec - Complete OpenAPI specification
+ */
+export function processParameters(parameters, paramsSchema, openApiSpec) {
+  for (const param of parameters) {
+    const zodParam = openapiToZod(param.schema, openApiSpec);
+    paramsSchema[param.name] = param.required ? zodParam : optionalSchema(zodParam);
+  }
+}
+
+/**
+ * Returns the serialization details of an operation's query parameters
+ * @param {Object} operation - OpenAPI operation object
+ * @param {Object} openApiSpec - Complete OpenAPI specification
+ * @returns {Object} - Query parameter definitions by name
+ */
+export function getQueryParamDefinitions(operation, openApiSpec) {
+  const definitions = {};
+  for (const param of operation.parameters?.filter(p => p.in === 'query') || []) {
+    let schema = param.schema || {};
+    while (schema?.$ref) {
+      schema = resolveReference(schema.$ref, openApiSpec);
+    }
+    definitions[param.name] = getQueryParamDefinition(param, schema);
+  }
+  return definitions;
+}
+
+/**
+ * Processes request body schema into Zod schemas
+ * @param {Object} requestBody - OpenAPI request body object
+ * @param {Object} paramsSchema - Target schema object to populate
+ * @param {Object} openApiSpec - Complete OpenAPI specification
+ */
+export function processRequestBody(requestBody, paramsSchema, openApiSpec) {
+  let bodySchema = getRequestBodySchema(requestBody, openApiSpec);
+  if (bodySchema?.allOf) {
+    bodySchema = mergeAllOf(bodySchema, openApiSpec, []);
+  }
+  
+  // Array bodies (e.g. bulk suppression lists) are passed as a single parameter
+  if (bodySchema?.type === 'array') {
+    const zodItems = openapiToZod(bodySchema, openApiSpec);
+    paramsSchema[ARRAY_BODY_PARAM] = requestBody.required ? zodItems : optionalSchema(zodItems);
+    return;
+  }
+  
+  // Process schema properties
+  if (bodySchema?.properties) {
+    for (const [prop, propSchema] of Object.entries(bodySchema.properties)) {
+      // Read-only properties are only ever returned by the API
+      if (propSchema.readOnly) continue;
+      
+      const zodProp = openapiToZod(propSchema, openApiSpec);
+      paramsSchema[prop] = bodySchema.required?.includes(prop) 
+        ? zodProp 
+        : optionalSchema(zodProp);
+    }
+  }
+}
+
+/**
+ * Returns the request body schema of the preferred content type
+ * @param {Object} requestBody - OpenAPI request body object
+ * @param {Object} openApiSpec - Complete OpenAPI specification
+ * @returns {Object|null} - Resolved body schema or null if there is none
+ */
+export function getRequestBodySchema(requestBody, openApiSpec) {
+  if (!requestBody?.content) return null;
+  
+  // Try different content types in priority order
+  const contentType = REQUEST_CONTENT_TYPES.find(type => requestBody.content[type]);
+  let bodySchema = contentType ? requestBody.content[contentType].schema : null;
+  
+  // Handle schema references
+  if (bodySchema?.$ref) {
+    bodySchema = resolveReference(bodySchema.$ref, openApiSpec);
+  }
+  
+  return bodySchema || null;
+}
+
+/**
+ * Resolves a schema reference within an OpenAPI spec
+ * @param {string} ref - Reference string (e.g. #/components/schemas/ModelName)
+ * @param {Object} openApiSpec - Complete OpenAPI specification
+ * @returns {Object|undefined} - Resolved schema, undefined if it does not exist
+ */
+export function resolveReference(ref, openApiSpec) {
+  const refPath = ref.replace('#/', '').split('/');
+  return refPath.reduce((obj, path) => obj?.[path], openApiSpec);
+}
+
+/**
+ * Registers a tool with the MCP server
+ * @param {string} toolId - Unique tool identifier
+ * @param {string} toolDescription - Human-readable description
+ * @param {Object} paramsSchema - Zod schema for parameters
+ * @param {string} method - HTTP method (GET, POST, etc.)
+ * @param {string} path - API endpoint path
+ * @param {Object} operation - OpenAPI operation object
+ * @param {Object} options - Tool options
+ * @param {boolean} [options.paginated] - Whether the operation returns paged results
+ * @param {boolean} [options.arrayBody] - Whether the request body is an array passed as `items`
+ * @param {Object} [options.queryParams] - Query parameter definitions used to serialize the query
+ * @param {Function} [options.prepareBody] - Converts extension parameters in the body into Mailgun fields
+ * @param {Function} [options.summarizeResult] - Returns a summary line and the result to show
+ * @param {number} [options.maxItems] - Items a paged result is cut at unless the call sets max_items
+ * @param {boolean} [options.storageApi] - Whether the endpoint is served by the storage API hosts
+ * @param {Object} [options.policy] - Safety policy every call is checked against
+ * @param {McpServer} [options.server] - Server to register the tool on, the global server by default
+ */
+export function registerTool(toolId, toolDescription, paramsSchema, method, path, operation, options = {}) {
+  const isDelete = method.toUpperCase() === 'DELETE';
+  const isNonIdempotent = ['POST', 'PATCH'].includes(method.toUpperCase());
+  // Operations such as deleting a subaccount name it in the on-behalf-of header
+  const requiresSubaccount = operation.parameters?.some(p => p.in === 'header' && p.required
+    && p.name.toLowerCase() === ON_BEHALF_OF_HEADER.toLowerCase()) ?? false;
+  const toolControlsSchema = {
+    ...controlParamsSchema,
+    ...(options.paginated ? paginationParamsSchema : {}),
+    ...(isDelete ? confirmParamsSchema : {}),
+    ...(isNonIdempotent ? retryParamsSchema : {}),
+  };
+
+  addTool(options.server || server, toolId, toolDescription, { ...paramsSchema, ...toolControlsSchema }, async (params, extra) => {
+    const { controls, apiParams } = extractControlParams(params, toolControlsSchema);
+    if (options.policy) {
+      assertRequestAllowed(options.policy, method, path, apiParams);
+    }
+    const dryRun = controls.dry_run === true || isGlobalDryRun();
+    if (isDelete && controls.confirm !== true && !dryRun) {
+      throw new InputError(`${toolDescription} deletes data, call the tool again with confirm set to true to proceed`);
+    }
+    
+    const { actualPath, remainingParams } = processPathParameters(path, operation, apiParams);
+    const separated = separateParameters(remainingParams, operation, method);
+    const { queryParams } = separated;
+    const bodyParams = options.prepareBody ? options.prepareBody(separated.bodyParams) : separated.bodyParams;
+    const finalPath = appendQueryString(actualPath, queryParams, options.queryParams);
+    const accountOptions = accountRequestOptions(controls, extra);
+    if (requiresSubaccount && !accountOptions.subaccount) {
+      throw new InputError(`${toolDescription} acts on a subaccount, pass its ID as subaccount`);
+    }
+    const requestOptions = {
+      ...accountOptions,
+      contentType: getRequestContentType(operation),
+      ...(options.storageApi ? { baseUrl: resolveStorageBaseUrl(accountOptions).href } : {}),
+    };
+    const requestBody = options.arrayBody ? bodyParams[ARRAY_BODY_PARAM] : bodyParams;
+    
+    // Show the resolved request instead of sending it in dry-run mode
+    if (dryRun) {
+      const request = buildMailgunRequest(
+        method.toUpperCase(),
+        finalPath,
+        method.toUpperCase() === 'GET' ? null : requestBody,
+        requestOptions
+      );
+      return `🔍 Dry run, ${method.toUpperCase()} ${finalPath} was not sent:\n${JSON.stringify(describeMailgunRequest(request), null, 2)}`;
+    }
+    
+    // Make the API request
+    let result = await makeMailgunRequest(
+      method.toUpperCase(), 
+      finalPath, 
+      method.toUpperCase() === 'GET' ? null : requestBody,
+      { ...requestOptions, retryNonIdempotent: controls.retry }
+    );
+    
+    // Follow paging links within the server when pagination mode is on. Long
+    // pages are cut the same way, so that paging.next resumes at the first
+    // item left out.
+    const maxItems = controls.max_items ?? options.maxItems;
+    if (controls.paginate || result.items?.length > maxItems) {
+      result = await collectPages(
+        result,
+        (pageUrl) => fetchPage(pageUrl, requestOptions),
+        {
+          maxPages: controls.paginate ? controls.max_pages : 1,
+          maxItems,
+          firstPageUrl: buildMailgunRequest('GET', finalPath, null, requestOptions).url.href,
+        }
+      );
+    }
+    
+    // Describe what changed for operations that modify data
+    let summary = method.toUpperCase() === 'GET'
+      ? ''
+      : `${summarizeChange(toolDescription, operation, apiParams, result)}\n`;
+    if (options.summarizeResult) {
+      const summarized = options.summarizeResult(result);
+      summary += `${summarized.summary}\n`;
+      result = summarized.result;
+    }
+    
+    return `✅ ${method.toUpperCase()} ${finalPath} completed successfully:\n${summary}${JSON.stringify(result, null, 2)}`;
+  }, { method: method.toUpperCase(), path });
+}
+
+/**
+ * Parameter value that failed validation, see reportInvalidArguments
+ */
+class InvalidArgument {
+  /**
+   * @param {z.ZodError} error - Validation error of the parameter
+   */
+  constructor(error) {
+    this.error = error;
+  }
+}
+
+/**
+ * Zod type that turns a failed parse into an InvalidArgument
+ *
+ * Unlike a plain catch, it keeps the required flag of the wrapped type, so
+ * the parameter stays required in the schema advertised to clients.
+ */
+class ZodReportedArgument extends z.ZodCatch {
+  isOptional() {
+    return this.removeCatch().isOptional();
+  }
+}
+
+/**
+ * Wraps every parameter of a tool so invalid arguments reach the tool
+ *
+ * The SDK rejects invalid arguments with a protocol error before the tool
+ * callback runs. With the wrapped parameters the parse succeeds and the
+ * callback reports the failures like any other tool error.
+ * @param {Object} paramsSchema - Zod schema of the parameters by name
+ * @returns {Object} - Schema whose parameters never fail to parse
+ */
+function reportInvalidArguments(paramsSchema) {
+  return Object.fromEntries(Object.entries(paramsSchema).map(([name, schema]) => [
+    name,
+    new ZodReportedArgument({
+      innerType: schema,
+      catchValue: ctx => new InvalidArgument(ctx.error),
+      typeName: z.ZodFirstPartyTypeKind.ZodCatch,
+      description: schema.description,
+    }),
+  ]));
+}
+
+/**
+ * Registers a tool whose failures are returned as error results
+ *
+ * Invalid arguments and errors thrown by the handler become isError
+ * results, see toToolErrorResult. The handler returns the text of the
+ * result, or a list of texts for a result with several content blocks.
+ * @param {McpServer} target - Server to register the tool on
+ * @param {string} toolId - Unique tool identifier
+ * @param {string} toolDescription - Human-readable description
+ * @param {Object} paramsSchema - Zod schema of the parameters by name
+ * @param {Function} handler - Called with the parameters and the extra argument of the SDK
+ * @param {Object|Function} [errorContext] - Method and path reported with errors that have none,
+ *   or a function returning them for the call's parameters
+ */
+function addTool(target, toolId, toolDescription, paramsSchema, handler, errorContext = {}) {
+  target.tool(toolId, toolDescription, reportInvalidArguments(paramsSchema), async (params, extra = {}) => {
+    try {
+      const issues = Object.values(params)
+        .filter(value => value instanceof InvalidArgument)
+        .flatMap(value => value.error.issues);
+      if (issues.length > 0) {
+        throw fromZodError(new z.ZodError(issues));
+      }
+      
+      const texts = [await handler(params, extra)].flat();
+      return { content: texts.map(text => ({ type: "text", text })) };
+    } catch (error) {
+      return toToolErrorResult(error, typeof errorContext === 'function' ? errorContext(params) : errorContext);
+    }
+  });
+}
+
+/**
+ * Builds a one-line summary of a write operation
+ * @param {string} toolDescription - Human-readable description of the operation
+ * @param {Object} operation - OpenAPI operation object
+ * @param {Object} params - API parameters of the call
+ * @param {Object} result - Response data returned by Mailgun
+ * @returns {string} - Summary naming the affected resource and Mailgun's message
+ */
+export function summarizeChange(toolDescription, operation, params, result) {
+  const pathParams = operation.parameters?.filter(p => p.in === 'path').map(p => p.name) || [];
+  const target = pathParams
+    .filter(name => params[name] !== undefined)
+    .map(name => `${name}=${params[name]}`);
+  
+  let summary = `Summary: ${toolDescription}`;
+  if (target.length > 0) {
+    summary += ` (${target.join(', ')})`;
+  }
+  if (Array.isArray(params[ARRAY_BODY_PARAM])) {
+    summary += `; ${params[ARRAY_BODY_PARAM].length} record(s) submitted`;
+  }
+  if (result?.message) {
+    summary += `; Mailgun: ${result.message}`;
+  }
+  return summary;
+}
+
+/**
+ * Returns the Mailgun credentials of the client session a tool call belongs to
+ *
+ * The HTTP server passes them in the auth info of each request. Tool calls
+ * without them use MAILGUN_API_KEY.
+ * @param {Object} extra - Extra argument of the tool callback
+ * @returns {Object|undefined} - API key and optional region
+ */
+export function sessionCredentials(extra = {}) {
+  return extra.authInfo?.extra?.mailgun;
+}
+
+/**
+ * Returns the account profiles the session's client may switch to
+ * @param {Object} extra - Extra argument of the tool callback
+ * @returns {string[]|null} - Granted profile names, null for the stdio server, which may use all
+ */
+export function sessionAccounts(extra = {}) {
+  if (!extra.authInfo) {
+    return null;
+  }
+  return extra.authInfo.extra?.accounts ?? [];
+}
+
+/**
+ * Returns the request options that select the Mailgun account of a tool call
+ *
+ * A named `account` profile supplies the API key, region and subaccount,
+ * the call's own `region` and `subaccount` take precedence over the
+ * profile's. Sessions that bring their own Mailgun credentials keep them and
+ * cannot switch to a profile. Other HTTP sessions can only switch to the
+ * profiles the auth file grants their client.
+ * @param {Object} params - Tool parameters with the optional account, region and subaccount
+ * @param {Object} extra - Extra argument of the tool callback
+ * @returns {Object} - Region, credentials, subaccount and abort signal for makeMailgunRequest
+ */
+export function accountRequestOptions(params, extra = {}) {
+  let credentials = sessionCredentials(extra);
+  let subaccount;
+  if (params.account !== undefined) {
+    if (credentials) {
+      throw new InputError(`Account '${params.account}' cannot be used, this session uses its own Mailgun credentials`);
+    }
+    const granted = sessionAccounts(extra);
+    if (granted && !granted.includes(params.account)) {
+      throw new PolicyViolationError(`account '${params.account}' is not granted to this client, list it in the client's accounts in the auth file`);
+    }
+    const account = findAccount(loadAccounts(), params.account);
+    credentials = { apiKey: account.apiKey, region: account.region };
+    subaccount = account.subaccount;
+  }
+  return {
+    region: params.region,
+    credentials,
+    subaccount: params.subaccount ?? subaccount,
+    signal: extra.signal,
+  };
+}
+
+/**
+ * Fetches a page of results from a paging URL returned by the Mailgun API
+ * @param {string} pageUrl - Absolute paging URL (e.g. paging.next)
+ * @param {Object} options - Request options passed to makeMailgunRequest
+ * @returns {Promise<Object>} - Page data as JSON
+ */
+export async function fetchPage(pageUrl, options = {}) {
+  const apiPath = toApiPath(pageUrl, resolveApiBaseUrl(options));
+  return makeMailgunRequest('GET', apiPath, null, options);
+}
+
+/**
+ * Lists the path templates of the paginated endpoints the policy exposes
+ * @param {Object} openApiSpec - Parsed OpenAPI specification
+ * @param {Object} policy - Safety policy deciding which tools are registered
+ * @returns {string[]} - Path templates of the GET endpoints that return paged results
+ */
+export function getPaginatedPaths(openApiSpec, policy) {
+  return endpoints
+    .map(endpoint => endpoint.split(' '))
+    .filter(([method, path]) => method === 'GET' && isEndpointAllowed(policy, method, path))
+    .filter(([method, path]) => {
+      const operation = getOperationDetails(openApiSpec, method, path)?.operation;
+      return operation && isPaginatedOperation(operation, openApiSpec);
+    })
+    .map(([, path]) => path);
+}
+
+/**
+ * Registers the tool that fetches a page from a paging URL of an earlier result
+ *
+ * Only pages of the paginated endpoints the policy exposes are fetched, and
+ * each page is checked against the policy like a call of its endpoint.
+ * @param {Object} openApiSpec - Parsed OpenAPI specification
+ * @param {Object} policy - Safety policy the pages are checked against
+ * @param {McpServer} [target] - Server to register on, the global server by default
+ */
+export function registerPagingTool(openApiSpec, policy = loadPolicy(), target = server) {
+  const pagedPaths = getPaginatedPaths(openApiSpec, policy);
+  if (pagedPaths.length === 0) {
+    return;
+  }
+  
+  addTool(
+    target,
+    'fetch-next-page',
+    'Fetch the next page of a paged Mailgun result using a paging URL (such as paging.next) from an earlier call',
+    {
+      url: z.string().url().describe('Paging URL returned by an earlier call'),
+      skip_items: z.number().int().min(1).optional()
+        .describe('Number of items at the start of the page to leave out, pass pagination.skip_items of a result cut at max_items'),
+      ...accountParamsSchema,
+    },
+    async (params, extra) => {
+      const { url, skip_items: skipItems } = params;
+      const requestOptions = accountRequestOptions(params, extra);
+      const apiPath = toApiPath(url, resolveApiBaseUrl(requestOptions));
+      const endpoint = matchPagingPath(apiPath, pagedPaths);
+      if (!endpoint) {
+        throw new InputError(`Paging URL '${url}' is not a page of a paged endpoint this server exposes`);
+      }
+      assertRequestAllowed(policy, 'GET', endpoint.path, endpoint.params);
+      let result = await makeMailgunRequest('GET', apiPath, null, requestOptions);
+      if (skipItems && Array.isArray(result.items)) {
+        result = { ...result, items: result.items.slice(skipItems) };
+      }
+      
+      return `✅ GET ${url} completed successfully:\n${JSON.stringify(result, null, 2)}`;
+    },
+    params => ({ method: 'GET', path: params.url })
+  );
+}
+
+/**
+ * Registers the tool that renders a template locally for preview
+ *
+ * The template is either passed as source or fetched from Mailgun, in which
+ * case the subject and other headers of the version are rendered as well.
+ * @param {Object} policy - Safety policy the template fetch is checked against
+ * @param {McpServer} [target] - Server to register on, the global server by default
+ */
+export function registerTemplatePreviewTool(policy = loadPolicy(), target = server) {
+  if (!isToolAllowed(policy, 'preview-template', 'GET', '/v3/{domain_name}/templates/{template_name}')) {
+    return;
+  }
+  
+  addTool(
+    target,
+    'preview-template',
+    'Render a template locally with sample variables, either given as source or fetched from a stored template, without sending anything',
+    {
+      template: z.string().optional()
+        .describe('Template source to render, instead of a stored template'),
+      domain_name: z.string().optional()
+        .describe('Domain the stored template belongs to'),
+      template_name: z.string().optional()
+        .describe('Name of the stored template'),
+      version_name: z.string().optional()
+        .describe('Version of the stored template, the active version when omitted'),
+      variables: templateVariablesParamsSchema.variables,
+      ...accountParamsSchema,
+    },
+    async (params, extra) => {
+      const { template, domain_name, template_name, version_name, variables = {} } = params;
+      let source = template;
+      let headers = {};
+      if (source === undefined) {
+        if (!domain_name || !template_name) {
+          throw new InputError('Provide either template or domain_name and template_name');
         }
-      });
-    });
-    
-    req.on("error", (error) => {
-      reject(error);
-    });
-    
-    // For non-GET requests, serialize and send the form data
-    if (data && method !== "GET") {
-      // Convert object to URL encoded form data
-      const formData = new URLSearchParams();
-      for (const [key, value] of Object.entries(data)) {
-        if (Array.isArray(value)) {
-          for (const item of value) {
-            formData.append(key, item);
-          }
-        } else if (value !== undefined && value !== null) {
-          formData.append(key, value.toString());
+        const pathTemplate = version_name
+          ? '/v3/{domain_name}/templates/{template_name}/versions/{version_name}'
+          : '/v3/{domain_name}/templates/{template_name}';
+        assertRequestAllowed(policy, 'GET', pathTemplate, params);
+        const apiPath = version_name
+          ? `/v3/${encodeURIComponent(domain_name)}/templates/${encodeURIComponent(template_name)}/versions/${encodeURIComponent(version_name)}`
+          : `/v3/${encodeURIComponent(domain_name)}/templates/${encodeURIComponent(template_name)}?active=yes`;
+        const result = await makeMailgunRequest('GET', apiPath, null, accountRequestOptions(params, extra));
+        const version = result.template?.version;
+        if (typeof version?.template !== 'string') {
+          throw new InputError(`Template '${template_name}' has no ${version_name ? `version '${version_name}'` : 'active version'}`);
         }
+        source = version.template;
+        headers = typeof version.headers === 'string' ? JSON.parse(version.headers) : version.headers || {};
       }
       
-      req.write(formData.toString());
-    }
-    
-    req.end();
-  });
+      const missing = new Set();
+      const renderedHeaders = {};
+      for (const [name, value] of Object.entries(headers)) {
+        const rendered = renderTemplate(String(value), variables);
+        rendered.missing.forEach(variable => missing.add(variable));
+        renderedHeaders[name] = rendered.output;
+      }
+      const body = renderTemplate(source, variables);
+      body.missing.forEach(variable => missing.add(variable));
+      
+      const headerLines = Object.entries(renderedHeaders).map(([name, value]) => `${name}: ${value}\n`).join('');
+      const missingNote = missing.size > 0 ? `⚠️ Variables without a value: ${[...missing].join(', ')}\n` : '';
+      return `✅ Rendered template preview:\n${missingNote}${headerLines}${headerLines ? '\n' : ''}${body.output}`;
+    },
+    { method: 'GET', path: '/v3/{domain_name}/templates/{template_name}' }
+  );
 }
 
 /**
- * Loads and parses the OpenAPI specification from a YAML file
- * @param {string} filePath - Path to the OpenAPI YAML file
- * @returns {Object} - Parsed OpenAPI specification
+ * Checks whether a hand-written tool may be registered under the policy
+ *
+ * Such tools call a single endpoint, so the policy's endpoint rules apply
+ * to them like to generated tools.
+ * @param {Object} policy - Safety policy
+ * @param {string} toolId - Tool identifier
+ * @param {string} method - HTTP method of the endpoint the tool calls
+ * @param {string} path - Path template of the endpoint
+ * @returns {boolean} - True if the tool may be registered
  */
-export function loadOpenApiSpec(filePath) {
-  try {
-    const fileContents = fs.readFileSync(filePath, 'utf8');
-    return yaml.load(fileContents);
-  } catch (error) {
-    console.error(`Error loading OpenAPI spec: ${error.message}`);
-    // Don't exit in test mode
-    if (process.env.NODE_ENV !== 'test') {
-      process.exit(1);
-    }
-    throw error; // Throw so tests can catch it
+function isToolAllowed(policy, toolId, method, path) {
+  if (isEndpointAllowed(policy, method, path)) {
+    return true;
   }
+  console.warn(`Skipping tool ${toolId}, endpoint blocked by policy: ${method} ${path}`);
+  return false;
 }
 
 /**
- * Converts OpenAPI schema definitions to Zod validation schemas
- * @param {Object} schema - OpenAPI schema object
- * @param {Object} fullSpec - Complete OpenAPI specification
- * @returns {z.ZodType} - Corresponding Zod schema
+ * Registers the tool that checks a domain's DNS records
+ *
+ * Compares the records Mailgun expects for the domain with the records the
+ * user published, or reports Mailgun's own verification when none are given.
+ * @param {Object} policy - Safety policy the domain lookup is checked against
+ * @param {McpServer} [target] - Server to register on, the global server by default
  */
-export function openapiToZod(schema, fullSpec) {
-  if (!schema) return z.any();
+export function registerDomainHealthTool(policy = loadPolicy(), target = server) {
+  if (!isToolAllowed(policy, 'check-domain-health', 'GET', '/v4/domains/{name}')) {
+    return;
+  }
   
-  // Handle schema references (e.g. #/components/schemas/...)
-  if (schema.$ref) {
-    // For #/components/schemas/EventSeverityType type references
-    if (schema.$ref.startsWith('#/')) {
-      const refPath = schema.$ref.substring(2).split('/');
-      
-      // Navigate through the object using the path segments
-      let referenced = fullSpec;
-      for (const segment of refPath) {
-        if (!referenced || !referenced[segment]) {
-          // If we can't resolve it but know it's EventSeverityType, use our knowledge
-          if (segment === 'EventSeverityType' || schema.$ref.endsWith('EventSeverityType')) {
-            return z.enum(['temporary', 'permanent'])
-              .describe('Filter by event severity');
-          }
-          
-          console.error(`Failed to resolve reference: ${schema.$ref}, segment: ${segment}`);
-          return z.any().describe(`Failed reference: ${schema.$ref}`);
-        }
-        referenced = referenced[segment];
-      }
+  addTool(
+    target,
+    'check-domain-health',
+    'Check the DNS records of a domain: compares the sending and receiving records Mailgun expects with the published records you supply and reports which are missing or wrong',
+    {
+      name: z.string().describe('Domain name'),
+      records: z.array(dnsRecordSchema).optional()
+        .describe('DNS records as published at the DNS provider. When omitted, Mailgun\'s own verification status is reported'),
+      ...accountParamsSchema,
+    },
+    async (params, extra) => {
+      const apiPath = `/v4/domains/${encodeURIComponent(params.name)}`;
+      assertRequestAllowed(policy, 'GET', '/v4/domains/{name}', params);
+      const result = await makeMailgunRequest('GET', apiPath, null, accountRequestOptions(params, extra));
+      const report = checkDomainHealth(result, params.records);
       
-      return openapiToZod(referenced, fullSpec);
-    }
-    
-    // Handle other reference formats if needed
-    console.error(`Unsupported reference format: ${schema.$ref}`);
-    return z.any().describe(`Unsupported reference: ${schema.$ref}`);
+      return `${report.healthy ? '✅' : '⚠️'} ${formatDomainHealth(report)}\n${JSON.stringify(report, null, 2)}`;
+    },
+    { method: 'GET', path: '/v4/domains/{name}' }
+  );
+}
+
+/**
+ * Registers the tool that sends a message to many recipients
+ *
+ * Recipients are sent in batches of BATCH_SIZE, each a single Mailgun
+ * message with recipient-variables so every recipient gets their own copy.
+ * @param {Object} policy - Safety policy the messages are checked against
+ * @param {McpServer} [target] - Server to register on, the global server by default
+ */
+export function registerBatchSendTool(policy = loadPolicy(), target = server) {
+  const pathTemplate = '/v3/{domain_name}/messages';
+  if (!isToolAllowed(policy, 'send-batch', 'POST', pathTemplate)) {
+    return;
   }
   
-  // Convert different schema types to Zod equivalents
-  switch (schema.type) {
-    case 'string':
-      let zodString = z.string();
-      if (schema.enum) {
-        return z.enum(schema.enum);
+  addTool(
+    target,
+    'send-batch',
+    `Send a message to many recipients, each getting an individual copy rendered with their own recipient variables. Larger lists are split into batches of ${BATCH_SIZE} recipients`,
+    {
+      domain_name: z.string().describe('Domain name used to send the message'),
+      from: z.string().describe('Sender address'),
+      recipients: z.array(batchRecipientSchema).min(1)
+        .describe('Recipients as addresses or objects with address and variables'),
+      subject: z.string().optional().describe('Message subject, may reference %recipient.name%'),
+      text: z.string().optional().describe('Text body'),
+      html: z.string().optional().describe('HTML body'),
+      template: z.string().optional().describe('Name of a stored template to render'),
+      tags: z.array(z.string()).optional().describe('Tags, sent as o:tag'),
+      options: z.record(z.string()).optional()
+        .describe('Further message fields, e.g. {"o:tracking": "yes", "h:Reply-To": "help@example.com"}'),
+      ...templateVariablesParamsSchema,
+      ...deliveryTimeParamsSchema,
+      ...controlParamsSchema,
+    },
+    async (params, extra) => {
+      const apiPath = `/v3/${encodeURIComponent(params.domain_name)}/messages`;
+      if (params.text === undefined && params.html === undefined && params.template === undefined) {
+        throw new InputError('A batch message needs text, html or template');
       }
-      if (schema.format === 'email') {
-        zodString = zodString.email();
+      
+      // Rows are positions in the recipients list
+      const validated = validateMembers(params.recipients.map((recipient, index) => ({
+        row: index + 1,
+        member: typeof recipient === 'string' ? { address: recipient } : recipient,
+      })));
+      if (validated.members.length === 0) {
+        throw new InputError(`No valid recipients, e.g. row ${validated.skipped[0].row}: ${validated.skipped[0].reason}`);
       }
-      if (schema.format === 'uri') {
-        zodString = zodString.describe(`URI: ${schema.description || ''}`);
+      assertRequestAllowed(policy, 'POST', pathTemplate, {
+        domain_name: params.domain_name,
+        to: validated.members.map(recipient => recipient.address),
+        cc: params.options?.cc,
+        bcc: params.options?.bcc,
+      });
+      
+      const message = applyDeliveryTime(applyTemplateVariables({
+        ...params.options,
+        from: params.from,
+        subject: params.subject,
+        text: params.text,
+        html: params.html,
+        template: params.template,
+        'o:tag': params.tags,
+        variables: params.variables,
+        deliver_at: params.deliver_at,
+        timezone: params.timezone,
+      }));
+      const batches = toBatches(validated.members, BATCH_SIZE);
+      const summary = {
+        domain: params.domain_name,
+        recipients: validated.members.length,
+        deliverytime: message['o:deliverytime'] ?? null,
+        skipped_count: validated.skipped.length,
+        skipped: validated.skipped.slice(0, 100),
+      };
+      
+      if (params.dry_run === true || isGlobalDryRun()) {
+        return `🔍 Dry run, ${batches.length} POST ${apiPath} request(s) were not sent:\n${JSON.stringify({ ...summary, batches: batches.length }, null, 2)}`;
       }
-      return zodString.describe(schema.description || '');
-    
-    case 'number':
-    case 'integer':
-      let zodNumber = z.number();
-      if (schema.minimum !== undefined) {
-        zodNumber = zodNumber.min(schema.minimum);
+      
+      const requestOptions = { ...accountRequestOptions(params, extra), contentType: 'multipart/form-data' };
+      summary.batches = [];
+      for (const [index, batch] of batches.entries()) {
+        try {
+          const result = await makeMailgunRequest('POST', apiPath, { ...message, ...toBatchFields(batch) }, requestOptions);
+          summary.batches.push({ batch: index + 1, recipients: batch.length, id: result.id, message: result.message });
+        } catch (error) {
+          if (index > 0) {
+            const ids = summary.batches.map(sent => sent.id).join(', ');
+            error.message += ` (${index} of ${batches.length} batches were sent before the failure: ${ids})`;
+          }
+          throw error;
+        }
       }
-      if (schema.maximum !== undefined) {
-        zodNumber = zodNumber.max(schema.maximum);
+      const scheduled = summary.deliverytime ? `, scheduled for ${summary.deliverytime}` : '';
+      
+      return `✅ Sent to ${validated.members.length} recipient(s) in ${batches.length} batch(es)${scheduled}, ${validated.skipped.length} skipped:\n${JSON.stringify(summary, null, 2)}`;
+    },
+    { method: 'POST', path: pathTemplate }
+  );
+}
+
+/**
+ * Registers the tool that tests which routes match a message
+ *
+ * All routes of the account are fetched and evaluated locally, so header
+ * filters are tested too. The match endpoint only takes an address.
+ * @param {Object} policy - Safety policy the route listing is checked against
+ * @param {McpServer} [target] - Server to register on, the global server by default
+ */
+export function registerRouteTestTool(policy = loadPolicy(), target = server) {
+  if (!isToolAllowed(policy, 'test-routes', 'GET', '/v3/routes')) {
+    return;
+  }
+  
+  addTool(
+    target,
+    'test-routes',
+    'Test which routes would handle an inbound message with the given recipient and headers, and which actions would run. Routes are evaluated locally',
+    {
+      recipient: z.string().describe('Recipient address of the inbound message'),
+      headers: z.record(z.union([z.string(), z.array(z.string())])).optional()
+        .describe('Headers of the inbound message by name, e.g. {"subject": "Help needed"}'),
+      ...accountParamsSchema,
+    },
+    async (params, extra) => {
+      const apiPath = '/v3/routes';
+      assertRequestAllowed(policy, 'GET', apiPath, params);
+      const requestOptions = accountRequestOptions(params, extra);
+      const routes = [];
+      const limit = 1000;
+      for (let skip = 0; ; skip += limit) {
+        const page = await makeMailgunRequest('GET', `${apiPath}?skip=${skip}&limit=${limit}`, null, requestOptions);
+        const items = page.items || [];
+        routes.push(...items);
+        if (items.length < limit || routes.length >= (page.total_count ?? Infinity)) break;
       }
-      return zodNumber.describe(schema.description || '');
-    
-    case 'boolean':
-      return z.boolean().describe(schema.description || '');
-    
-    case 'array':
-      return z.array(openapiToZod(schema.items, fullSpec)).describe(schema.description || '');
-    
-    case 'object':
-      if (!schema.properties) return z.record(z.any());
+      const report = matchRoutes(routes, { recipient: params.recipient, headers: params.headers });
+      const stopped = report.stopped_by ? `, route ${report.stopped_by} stops further routes` : '';
       
-      const shape = {};
-      for (const [key, prop] of Object.entries(schema.properties)) {
-        shape[key] = schema.required?.includes(key) 
-          ? openapiToZod(prop, fullSpec)
-          : openapiToZod(prop, fullSpec).optional();
+      return `✅ ${report.matched.length} of ${routes.length} route(s) match ${params.recipient}${stopped}:\n${JSON.stringify(report, null, 2)}`;
+    },
+    { method: 'GET', path: '/v3/routes' }
+  );
+}
+
+/**
+ * Registers the tool that uploads many mailing list members at once
+ *
+ * Members are given as a list or as CSV content, checked locally, and sent
+ * to the JSON bulk upload endpoint in batches of MEMBERS_BATCH_SIZE.
+ * @param {Object} policy - Safety policy the upload is checked against
+ * @param {McpServer} [target] - Server to register on, the global server by default
+ */
+export function registerListUploadTool(policy = loadPolicy(), target = server) {
+  const pathTemplate = '/v3/lists/{list_address}/members.json';
+  if (!isToolAllowed(policy, 'upload-list-members', 'POST', pathTemplate)) {
+    return;
+  }
+  
+  addTool(
+    target,
+    'upload-list-members',
+    'Add or update many members of a mailing list at once, from a list of members or CSV content. Invalid and duplicate addresses are skipped and reported',
+    {
+      list_address: z.string().describe('The mailing list\'s address'),
+      members: z.array(listMemberSchema).optional()
+        .describe('Members as addresses or objects with address, name, vars and subscribed'),
+      csv: z.string().optional()
+        .describe('CSV content with a header row. The address column is required, name, subscribed and vars (JSON) are optional, any other column becomes a member variable'),
+      upsert: z.boolean().optional()
+        .describe('Update members that are already on the list (default false)'),
+      ...controlParamsSchema,
+    },
+    async (params, extra) => {
+      const apiPath = `/v3/lists/${encodeURIComponent(params.list_address)}/members.json`;
+      assertRequestAllowed(policy, 'POST', pathTemplate, params);
+      if ((params.members === undefined) === (params.csv === undefined)) {
+        throw new InputError('Provide exactly one of members or csv');
       }
-      return z.object(shape).describe(schema.description || '');
-    
-    default:
-      // For schemas without a type but with properties
-      if (schema.properties) {
-        const shape = {};
-        for (const [key, prop] of Object.entries(schema.properties)) {
-          shape[key] = schema.required?.includes(key) 
-            ? openapiToZod(prop, fullSpec)
-            : openapiToZod(prop, fullSpec).optional();
-        }
-        return z.object(shape).describe(schema.description || '');
+      
+      // Rows are CSV line numbers, or positions in the members list
+      const parsed = params.csv !== undefined
+        ? parseMembersCsv(params.csv)
+        : {
+          members: params.members.map((member, index) => ({
+            row: index + 1,
+            member: typeof member === 'string' ? { address: member } : member,
+          })),
+          skipped: [],
+        };
+      const validated = validateMembers(parsed.members);
+      const skipped = [...parsed.skipped, ...validated.skipped].sort((a, b) => a.row - b.row);
+      if (validated.members.length === 0) {
+        throw new InputError(`No valid members to upload, ${skipped.length} skipped${skipped.length > 0 ? `, e.g. row ${skipped[0].row}: ${skipped[0].reason}` : ''}`);
       }
       
-      // For YAML that defines "oneOf", "anyOf", etc.
-      if (schema.oneOf) {
-        const unionTypes = schema.oneOf.map(s => openapiToZod(s, fullSpec));
-        return z.union(unionTypes).describe(schema.description || '');
+      const batches = toBatches(validated.members);
+      const summary = {
+        list: params.list_address,
+        members: validated.members.length,
+        batches: batches.length,
+        skipped_count: skipped.length,
+        skipped: skipped.slice(0, 100),
+      };
+      
+      if (params.dry_run === true || isGlobalDryRun()) {
+        return `🔍 Dry run, ${batches.length} POST ${apiPath} request(s) were not sent:\n${JSON.stringify(summary, null, 2)}`;
       }
       
-      if (schema.anyOf) {
-        const unionTypes = schema.anyOf.map(s => openapiToZod(s, fullSpec));
-        return z.union(unionTypes).describe(schema.description || '');
+      const requestOptions = { ...accountRequestOptions(params, extra), contentType: 'multipart/form-data' };
+      const responses = [];
+      for (const [index, batch] of batches.entries()) {
+        const data = { members: JSON.stringify(batch), upsert: params.upsert ? 'yes' : 'no' };
+        try {
+          responses.push(await makeMailgunRequest('POST', apiPath, data, requestOptions));
+        } catch (error) {
+          if (index > 0) {
+            error.message += ` (${index} of ${batches.length} batches were uploaded before the failure)`;
+          }
+          throw error;
+        }
       }
+      summary.task_ids = responses.map(response => response['task-id']).filter(Boolean);
+      summary.members_count = responses[responses.length - 1].list?.members_count ?? null;
       
-      return z.any().describe(schema.description || '');
-  }
+      return `✅ Uploaded ${validated.members.length} member(s) to ${params.list_address} in ${batches.length} batch(es), ${skipped.length} skipped:\n${JSON.stringify(summary, null, 2)}`;
+    },
+    { method: 'POST', path: pathTemplate }
+  );
 }
 
 /**
- * Generates MCP tools from the OpenAPI specification
- * @param {Object} openApiSpec - Parsed OpenAPI specification
+ * Registers the tool that reports on the deliverability of a domain
+ *
+ * Stats of the period and the one before, provider and country aggregates,
+ * bounces and tag stats are fetched in parallel. Sections other than the
+ * period's stats may fail without failing the report.
+ * @param {Object} policy - Safety policy the requests are checked against
+ * @param {McpServer} [target] - Server to register on, the global server by default
  */
-export function generateToolsFromOpenApi(openApiSpec) {  
-  for (const endpoint of endpoints) {
-    try {
-      const [method, path] = endpoint.split(' ');
-      const operationDetails = getOperationDetails(openApiSpec, method, path);
+export function registerDeliverabilityReportTool(policy = loadPolicy(), target = server) {
+  if (!isToolAllowed(policy, 'get-deliverability-report', 'GET', '/v3/{domain}/stats/total')) {
+    return;
+  }
+  
+  addTool(
+    target,
+    'get-deliverability-report',
+    'Report on the deliverability of a domain for a period: delivery, bounce, complaint, unsubscribe, open and click rates, breakdowns by tag, provider and country, bounce codes, and anomalies compared with the previous period. Returns a Markdown summary and the JSON report',
+    {
+      domain: z.string().describe('Domain name'),
+      start: dateInputSchema().optional().describe(`Start of the period, defaults to 7 days before end. ${DATE_INPUT_HINT}`),
+      end: dateInputSchema().optional().describe(`End of the period, defaults to now. ${DATE_INPUT_HINT}`),
+      tags: z.array(z.string()).optional().describe('Tags to break down, defaults to the tags used most recently'),
+      max_tags: z.number().int().min(1).max(20).optional()
+        .describe('Number of recent tags broken down when tags is omitted (default 10)'),
+      ...accountParamsSchema,
+    },
+    async (params, extra) => {
+      const domain = encodeURIComponent(params.domain);
+      const apiPath = `/v3/${domain}/stats/total`;
+      const end = params.end !== undefined ? parseDateInput(params.end) : new Date();
+      const start = params.start !== undefined
+        ? parseDateInput(params.start)
+        : new Date(end.getTime() - 7 * 24 * 60 * 60 * 1000);
+      if (start >= end) {
+        throw new InputError('start must be before end');
+      }
+      const period = { start, end };
+      const previousPeriod = { start: new Date(start.getTime() - (end.getTime() - start.getTime())), end: start };
       
-      if (!operationDetails) {
-        console.warn(`Could not match endpoint: ${method} ${path} in OpenAPI spec`);
-        continue;
+      const requestOptions = accountRequestOptions(params, extra);
+      const fetchSection = async (pathTemplate, path) => {
+        assertRequestAllowed(policy, 'GET', pathTemplate, { domain: params.domain, domainID: params.domain });
+        return makeMailgunRequest('GET', path, null, requestOptions);
+      };
+      // Hourly stats for short periods, daily ones otherwise
+      const resolution = end.getTime() - start.getTime() <= 2 * 24 * 60 * 60 * 1000 ? 'hour' : 'day';
+      const statsQuery = (range, extraQuery = {}) => {
+        const query = new URLSearchParams({
+          start: toRfc2822Date(range.start),
+          end: toRfc2822Date(range.end),
+          resolution,
+          ...extraQuery,
+        });
+        REPORT_EVENTS.forEach(event => query.append('event', event));
+        return query;
+      };
+      
+      const [stats, previousStats, providers, countries, bounces, tagNames] = await Promise.allSettled([
+        fetchSection('/v3/{domain}/stats/total', `${apiPath}?${statsQuery(period)}`),
+        fetchSection('/v3/{domain}/stats/total', `${apiPath}?${statsQuery(previousPeriod)}`),
+        fetchSection('/v3/{domain}/aggregates/providers', `/v3/${domain}/aggregates/providers`),
+        fetchSection('/v3/{domain}/aggregates/countries', `/v3/${domain}/aggregates/countries`),
+        fetchSection('/v3/{domainID}/bounces', `/v3/${domain}/bounces?limit=1000`),
+        params.tags
+          ? Promise.resolve(params.tags)
+          : fetchSection('/v3/{domain}/tags', `/v3/${domain}/tags?limit=1000`)
+            .then(result => pickRecentTags(result.items || [], start, params.max_tags ?? 10)),
+      ]);
+      if (stats.status === 'rejected') {
+        throw stats.reason;
       }
       
-      const { operation, operationId } = operationDetails;
-      const paramsSchema = buildParamsSchema(operation, openApiSpec);
-      const toolId = sanitizeToolId(operationId);
-      const toolDescription = operation.summary || `${method.toUpperCase()} ${path}`;
+      const tags = tagNames.status === 'fulfilled' ? tagNames.value : [];
+      const tagStats = await Promise.allSettled(tags.map(tag => fetchSection(
+        '/v3/{domain}/tag/stats',
+        `/v3/${domain}/tag/stats?${statsQuery(period, { tag })}`
+      )));
       
-      registerTool(toolId, toolDescription, paramsSchema, method, path, operation);
+      const errors = [];
+      const sectionValue = (result, section) => {
+        if (result.status === 'fulfilled') return result.value;
+        errors.push({ section, error: result.reason.message });
+        return undefined;
+      };
+      const data = {
+        domain: params.domain,
+        period,
+        previousPeriod,
+        stats: stats.value,
+        previousStats: sectionValue(previousStats, 'previous period'),
+        providers: sectionValue(providers, 'providers')?.providers,
+        countries: sectionValue(countries, 'countries')?.countries,
+        bounces: sectionValue(bounces, 'bounces')?.items,
+        tags: {},
+        errors,
+      };
+      sectionValue(tagNames, 'tags');
+      tags.forEach((tag, index) => {
+        const value = sectionValue(tagStats[index], `tag ${tag}`);
+        if (value) data.tags[tag] = value;
+      });
       
-    } catch (error) {
-      console.error(`Failed to process endpoint ${endpoint}: ${error.message}`);
-    }
-  }
-  
-  return;
+      const report = buildDeliverabilityReport(data);
+      const flagged = report.anomalies.filter(anomaly => anomaly.severity !== 'info').length;
+      
+      return [
+        `${flagged > 0 ? '⚠️' : '✅'} Deliverability report for ${params.domain}, ${flagged} anomalies flagged:\n\n${formatReportMarkdown(report)}`,
+        JSON.stringify(report, null, 2),
+      ];
+    },
+    { method: 'GET', path: '/v3/{domain}/stats/total' }
+  );
 }
 
 /**
- * Retrieves operation details from the OpenAPI spec for a given method and path
- * @param {Object} openApiSpec - Parsed OpenAPI specification
- * @param {string} method - HTTP method (GET, POST, etc.)
- * @param {string} path - API endpoint path
- * @returns {Object|null} - Operation details or null if not found
+ * Resolves where a stored message is fetched from
+ * @param {Object} params - Tool parameters with storage_url, or storage_key and domain_name
+ * @param {Object} accountOptions - Request options of the call's account, see accountRequestOptions
+ * @returns {Object} - Base URL, API path and domain of the stored message
  */
-export function getOperationDetails(openApiSpec, method, path) {
-  const lowerMethod = method.toLowerCase();
-  
-  if (!openApiSpec.paths?.[path]?.[lowerMethod]) {
-    return null;
+function resolveStoredMessage(params, accountOptions) {
+  if (params.storage_url !== undefined) {
+    if (params.storage_key !== undefined) {
+      throw new InputError('Pass either storage_url or storage_key, not both');
+    }
+    const allowedOrigins = process.env.MAILGUN_STORAGE_BASE_URL
+      ? [resolveStorageBaseUrl().origin]
+      : [];
+    return parseStorageUrl(params.storage_url, { allowedOrigins });
+  }
+  if (params.storage_key === undefined || params.domain_name === undefined) {
+    throw new InputError('Pass storage_url, or storage_key and domain_name');
   }
-  
   return {
-    operation: openApiSpec.paths[path][lowerMethod],
-    operationId: `${method}-${path.replace(/[^\w-]/g, '-').replace(/-+/g, '-')}`
+    baseUrl: resolveStorageBaseUrl(accountOptions).href,
+    path: storedMessagePath(params.domain_name, params.storage_key),
+    domain: params.domain_name,
   };
 }
 
 /**
- * Sanitizes an operation ID to be used as a tool ID
- * @param {string} operationId - The operation ID to sanitize
- * @returns {string} - Sanitized tool ID
- */
-export function sanitizeToolId(operationId) {
-  return operationId.replace(/[^\w-]/g, '-').toLowerCase();
-}
-
-/**
- * Builds a Zod parameter schema from an OpenAPI operation
- * @param {Object} operation - OpenAPI operation object
- * @param {Object} openApiSpec - Complete OpenAPI specification
- * @returns {Object} - Zod parameter schema
+ * Registers the tools that retrieve and resend stored messages
+ *
+ * Mailgun keeps sent and received messages for a few days. Their storage
+ * URL and key are part of the message's events.
+ * @param {Object} policy - Safety policy the calls are checked against
+ * @param {McpServer} [target] - Server to register on, the global server by default
  */
-export function buildParamsSchema(operation, openApiSpec) {
-  const paramsSchema = {};
-  
-  // Process path parameters
-  const pathParams = operation.parameters?.filter(p => p.in === 'path') || [];
-  processParameters(pathParams, paramsSchema, openApiSpec);
-  
-  // Process query parameters
-  const queryParams = operation.parameters?.filter(p => p.in === 'query') || [];
-  processParameters(queryParams, paramsSchema, openApiSpec);
+export function registerStoredMessageTools(policy = loadPolicy(), target = server) {
+  const pathTemplate = '/v3/domains/{domain_name}/messages/{storage_key}';
+  const locationSchema = {
+    storage_url: z.string().optional().describe('storage.url of the message\'s event'),
+    storage_key: z.string().optional().describe('storage.key of the message\'s event, used with domain_name'),
+    domain_name: z.string().optional().describe('Domain the message was sent from, used with storage_key'),
+  };
   
-  // Process request body if it exists
-  if (operation.requestBody) {
-    processRequestBody(operation.requestBody, paramsSchema, openApiSpec);
+  if (isToolAllowed(policy, 'get-stored-message', 'GET', pathTemplate)) {
+    addTool(
+      target,
+      'get-stored-message',
+      'Retrieve a stored message by its storage URL or key: parsed headers, text and HTML bodies and attachment metadata',
+      {
+        ...locationSchema,
+        ...accountParamsSchema,
+      },
+      async (params, extra) => {
+        const accountOptions = accountRequestOptions(params, extra);
+        const location = resolveStoredMessage(params, accountOptions);
+        assertRequestAllowed(policy, 'GET', pathTemplate, { domain_name: location.domain });
+        const result = await makeMailgunRequest('GET', location.path, null, { ...accountOptions, baseUrl: location.baseUrl });
+        const message = formatStoredMessage(result);
+        
+        return `✅ Stored message '${message.subject}' from ${message.from}:\n${JSON.stringify(message, null, 2)}`;
+      },
+      { method: 'GET', path: pathTemplate }
+    );
   }
   
-  return paramsSchema;
-}
-
-/**
- * Processes OpenAPI parameters into Zod schemas
- * @param {Array} parameters - OpenAPI parameter objects
- * @param {Object} paramsSchema - Target schema object to populate
- * @param {Object} openApiSpec - Complete OpenAPI specification
- */
-export function processParameters(parameters, paramsSchema, openApiSpec) {
-  for (const param of parameters) {
-    const zodParam = openapiToZod(param.schema, openApiSpec);
-    paramsSchema[param.name] = param.required ? zodParam : zodParam.optional();
+  if (isToolAllowed(policy, 'resend-stored-message', 'POST', pathTemplate)) {
+    addTool(
+      target,
+      'resend-stored-message',
+      'Resend a stored message, exactly as it was sent, to new recipients',
+      {
+        ...locationSchema,
+        to: z.union([z.string(), z.array(z.string()).min(1)])
+          .describe('Recipients to send the message to, e.g. a corrected address'),
+        ...controlParamsSchema,
+      },
+      async (params, extra) => {
+        const accountOptions = accountRequestOptions(params, extra);
+        const location = resolveStoredMessage(params, accountOptions);
+        assertRequestAllowed(policy, 'POST', pathTemplate, { domain_name: location.domain, to: params.to });
+        const requestOptions = { ...accountOptions, baseUrl: location.baseUrl, contentType: 'multipart/form-data' };
+        
+        if (params.dry_run === true || isGlobalDryRun()) {
+          const request = buildMailgunRequest('POST', location.path, { to: params.to }, requestOptions);
+          return `🔍 Dry run, POST ${location.path} was not sent:\n${JSON.stringify(describeMailgunRequest(request), null, 2)}`;
+        }
+        
+        const result = await makeMailgunRequest('POST', location.path, { to: params.to }, requestOptions);
+        
+        return `✅ Resent stored message to ${[].concat(params.to).join(', ')}:\n${JSON.stringify(result, null, 2)}`;
+      },
+      { method: 'POST', path: pathTemplate }
+    );
   }
 }
 
 /**
- * Processes request body schema into Zod schemas
- * @param {Object} requestBody - OpenAPI request body object
- * @param {Object} paramsSchema - Target schema object to populate
- * @param {Object} openApiSpec - Complete OpenAPI specification
+ * Registers the tools that validate addresses, one at a time or in bulk jobs
+ *
+ * Addresses are checked locally first. Those with invalid syntax or on a
+ * disposable domain are answered without asking Mailgun, which would count
+ * against the validation quota. Bulk jobs are polled and deleted with the
+ * tools generated for /v4/address/validate/bulk/{list_id}.
+ * @param {Object} policy - Safety policy the calls are checked against
+ * @param {McpServer} [target] - Server to register on, the global server by default
  */
-export function processRequestBody(requestBody, paramsSchema, openApiSpec) {
-  if (!requestBody.content) return;
-  
-  // Try different content types in priority order
-  const contentTypes = [
-    'application/json', 
-    'multipart/form-data', 
-    'application/x-www-form-urlencoded'
-  ];
+export function registerAddressValidationTools(policy = loadPolicy(), target = server) {
+  const bulkPathTemplate = '/v4/address/validate/bulk/{list_id}';
+
+  if (isToolAllowed(policy, 'validate-address', 'GET', '/v4/address/validate')) {
+    addTool(
+      target,
+      'validate-address',
+      'Validate an email address before sending to it: result (deliverable, undeliverable, do_not_send, catch_all or unknown), risk and reasons. Invalid syntax and disposable domains are caught locally without using validation quota',
+      {
+        address: z.string().describe('Address to validate, e.g. alice@example.com'),
+        provider_lookup: z.boolean().optional()
+          .describe('Check the mailbox with the email provider (default true)'),
+        ...controlParamsSchema,
+      },
+      async (params, extra) => {
+        assertRequestAllowed(policy, 'GET', '/v4/address/validate', params);
+        const local = precheckAddress(params.address);
+        if (local.result !== null) {
+          return `✅ ${summarizeAddressValidation(local)}, found by the local check without asking Mailgun:\n${JSON.stringify(local, null, 2)}`;
+        }
+        
+        const query = new URLSearchParams({ address: local.address });
+        if (params.provider_lookup !== undefined) {
+          query.set('provider_lookup', String(params.provider_lookup));
+        }
+        const apiPath = `/v4/address/validate?${query}`;
+        const requestOptions = accountRequestOptions(params, extra);
+        
+        if (params.dry_run === true || isGlobalDryRun()) {
+          const request = buildMailgunRequest('GET', apiPath, null, requestOptions);
+          return `🔍 Dry run, GET ${apiPath} was not sent:\n${JSON.stringify(describeMailgunRequest(request), null, 2)}`;
+        }
+        
+        const result = await makeMailgunRequest('GET', apiPath, null, requestOptions);
+        
+        return `✅ ${summarizeAddressValidation(result)}:\n${JSON.stringify(result, null, 2)}`;
+      },
+      { method: 'GET', path: '/v4/address/validate' }
+    );
+  }
   
-  for (const contentType of contentTypes) {
-    if (!requestBody.content[contentType]) continue;
-    
-    let bodySchema = requestBody.content[contentType].schema;
-    
-    // Handle schema references
-    if (bodySchema.$ref) {
-      bodySchema = resolveReference(bodySchema.$ref, openApiSpec);
-    }
-    
-    // Process schema properties
-    if (bodySchema?.properties) {
-      for (const [prop, schema] of Object.entries(bodySchema.properties)) {
-        let propSchema = schema;
+  if (isToolAllowed(policy, 'create-bulk-validation', 'POST', bulkPathTemplate)) {
+    addTool(
+      target,
+      'create-bulk-validation',
+      'Start a bulk validation job from a list of addresses or CSV/JSON content. Addresses failing the local check are left out and reported, poll the job with its list_id for the results',
+      {
+        list_id: z.string().regex(/^[\w.@-]+$/, 'Use letters, digits, _, ., @ and - only')
+          .describe('Name of the job, used to poll it and fetch its results'),
+        addresses: z.array(z.string()).min(1).optional()
+          .describe('Addresses to validate'),
+        content: z.string().optional()
+          .describe('CSV content with an email, email_address or address column (or a single column without header), or a JSON list of addresses'),
+        ...controlParamsSchema,
+      },
+      async (params, extra) => {
+        const apiPath = `/v4/address/validate/bulk/${encodeURIComponent(params.list_id)}`;
+        assertRequestAllowed(policy, 'POST', bulkPathTemplate, params);
+        if ((params.addresses === undefined) === (params.content === undefined)) {
+          throw new InputError('Provide exactly one of addresses or content');
+        }
+        
+        // Rows are CSV line numbers, or positions in the addresses list
+        const entries = params.content !== undefined
+          ? parseAddressContent(params.content)
+          : params.addresses.map((address, index) => ({ row: index + 1, address }));
+        const addresses = [];
+        const rejected = [];
+        const seen = new Set();
+        let duplicates = 0;
+        for (const { row, address } of entries) {
+          const local = precheckAddress(address);
+          if (local.result !== null) {
+            rejected.push({ row, address: local.address, result: local.result, reason: local.syntax_error ?? local.reason.join(', ') });
+          } else if (seen.has(local.address.toLowerCase())) {
+            duplicates += 1;
+          } else {
+            seen.add(local.address.toLowerCase());
+            addresses.push(local.address);
+          }
+        }
+        if (addresses.length === 0) {
+          throw new InputError(`No addresses passed the local check, ${rejected.length} rejected${rejected.length > 0 ? `, e.g. row ${rejected[0].row}: ${rejected[0].reason}` : ''}`);
+        }
+        
+        const csv = Buffer.from(toValidationCsv(addresses));
+        const file = new FilePart({ filename: `${params.list_id}.csv`, contentType: 'text/csv', size: csv.length, data: csv });
+        const summary = {
+          list_id: params.list_id,
+          submitted: addresses.length,
+          duplicates,
+          rejected_locally_count: rejected.length,
+          rejected_locally: rejected.slice(0, 100),
+        };
+        const requestOptions = { ...accountRequestOptions(params, extra), contentType: 'multipart/form-data' };
         
-        // Handle nested references
-        if (propSchema.$ref) {
-          propSchema = resolveReference(propSchema.$ref, openApiSpec);
+        if (params.dry_run === true || isGlobalDryRun()) {
+          const request = buildMailgunRequest('POST', apiPath, { file }, requestOptions);
+          return `🔍 Dry run, POST ${apiPath} was not sent:\n${JSON.stringify({ ...summary, request: describeMailgunRequest(request) }, null, 2)}`;
         }
         
-        const zodProp = openapiToZod(propSchema, openApiSpec);
-        paramsSchema[prop] = bodySchema.required?.includes(prop) 
-          ? zodProp 
-          : zodProp.optional();
-      }
-    }
-    
-    break; // We found and processed a content type
+        summary.response = await makeMailgunRequest('POST', apiPath, { file }, requestOptions);
+        
+        return `✅ Started bulk validation ${params.list_id} of ${addresses.length} address(es), ${rejected.length} rejected by the local check:\n${JSON.stringify(summary, null, 2)}`;
+      },
+      { method: 'POST', path: bulkPathTemplate }
+    );
   }
 }
 
 /**
- * Resolves a schema reference within an OpenAPI spec
- * @param {string} ref - Reference string (e.g. #/components/schemas/ModelName)
- * @param {Object} openApiSpec - Complete OpenAPI specification
- * @returns {Object} - Resolved schema
+ * Registers the tool that lists the named account profiles
+ *
+ * Profiles are read from MAILGUN_MCP_ACCOUNTS_FILE and passed by name as
+ * the account parameter of other tools. Their API keys are never shown, and
+ * HTTP sessions only see the profiles granted to their client.
+ * @param {McpServer} [target] - Server to register on, the global server by default
  */
-export function resolveReference(ref, openApiSpec) {
-  const refPath = ref.replace('#/', '').split('/');
-  return refPath.reduce((obj, path) => obj[path], openApiSpec);
+export function registerAccountListTool(target = server) {
+  addTool(
+    target,
+    'list-accounts',
+    'List the configured Mailgun account profiles that other tools can target with the account parameter: name, region, subaccount and description. API keys are not shown',
+    {},
+    async (params, extra) => {
+      const granted = sessionAccounts(extra);
+      const accounts = describeAccounts(loadAccounts())
+        .filter(account => !granted || granted.includes(account.name));
+      const note = sessionCredentials(extra)
+        ? ', this session uses its own Mailgun credentials and cannot switch to them'
+        : '';
+      
+      return `✅ ${accounts.length} account profile(s)${note}:\n${JSON.stringify(accounts, null, 2)}`;
+    }
+  );
 }
 
 /**
- * Registers a tool with the MCP server
- * @param {string} toolId - Unique tool identifier
- * @param {string} toolDescription - Human-readable description
- * @param {Object} paramsSchema - Zod schema for parameters
- * @param {string} method - HTTP method (GET, POST, etc.)
- * @param {string} path - API endpoint path
- * @param {Object} operation - OpenAPI operation object
+ * Registers the tool that queries events received by the webhook receiver
+ *
+ * The events are those of the events API, so the tool follows its policy.
+ * With allowed domains, only events of those domains are returned.
+ * @param {WebhookEventBuffer} buffer - Buffer the webhook receiver adds events to
+ * @param {Object} policy - Safety policy the events are filtered by
+ * @param {McpServer} [target] - Server to register on, the global server by default
  */
-export function registerTool(toolId, toolDescription, paramsSchema, method, path, operation) {
-  server.tool(
-    toolId,
-    toolDescription,
-    paramsSchema,
+export function registerWebhookEventsTool(buffer, policy = loadPolicy(), target = server) {
+  if (!isToolAllowed(policy, 'get-webhook-events', 'GET', '/v3/{domain_name}/events')) {
+    return;
+  }
+  
+  addTool(
+    target,
+    'get-webhook-events',
+    'Get recent events (deliveries, bounces, opens, clicks, ...) that Mailgun pushed to this server\'s webhook receiver, without polling the events API',
+    {
+      event: z.union([z.string(), z.array(z.string())]).optional()
+        .describe('Event type or list of types, e.g. failed, delivered, opened'),
+      recipient: z.string().optional()
+        .describe('Recipient address'),
+      since: dateInputSchema().optional()
+        .describe(`Only events that happened at or after this time. ${DATE_INPUT_HINT}`),
+      after: z.number().int().min(0).optional()
+        .describe('Only events received after this sequence number, pass last_seq of an earlier call to get new events'),
+      limit: z.number().int().min(1).max(500).optional()
+        .describe('Maximum number of events, the most recent are returned (default 50)'),
+    },
     async (params) => {
-      try {
-        const { actualPath, remainingParams } = processPathParameters(path, operation, params);
-        const { queryParams, bodyParams } = separateParameters(remainingParams, operation, method);
-        const finalPath = appendQueryString(actualPath, queryParams);
-        
-        // Make the API request
-        const result = await makeMailgunRequest(
-          method.toUpperCase(), 
-          finalPath, 
-          method.toUpperCase() === 'GET' ? null : bodyParams
-        );
-        
-        return {
-          content: [
-            {
-              type: "text",
-              text: `✅ ${method.toUpperCase()} ${finalPath} completed successfully:\n${JSON.stringify(result, null, 2)}`,
-            },
-          ],
-        };
-      } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Error: ${error.message || String(error)}`,
-            },
-          ],
-        };
-      }
+      const events = buffer.query({
+        events: params.event === undefined ? undefined : [params.event].flat(),
+        recipient: params.recipient,
+        since: params.since === undefined ? undefined : parseDateInput(params.since),
+        after: params.after,
+        domains: policy.allowedDomains.length > 0 ? policy.allowedDomains : undefined,
+        limit: params.limit,
+      });
+      const result = { events, last_seq: buffer.sequence };
+      
+      return `✅ ${events.length} webhook event(s):\n${JSON.stringify(result, null, 2)}`;
     }
   );
 }
@@ -491,7 +2596,7 @@ export function processPathParameters(path, operation, params) {
       );
       delete remainingParams[param.name];
     } else {
-      throw new Error(`Required path parameter '${param.name}' is missing`);
+      throw new InputError(`Required path parameter '${param.name}' is missing`);
     }
   }
   
@@ -534,22 +2639,61 @@ export function separateParameters(params, operation, method) {
  * Appends query string parameters to a path
  * @param {string} path - API endpoint path
  * @param {Object} queryParams - Query parameters
+ * @param {Object} definitions - Query parameter definitions, see getQueryParamDefinitions
  * @returns {string} - Path with query string
  */
-export function appendQueryString(path, queryParams) {
-  if (Object.keys(queryParams).length === 0) {
-    return path;
-  }
-  
-  const queryString = new URLSearchParams();
-  
-  for (const [key, value] of Object.entries(queryParams)) {
-    if (value !== undefined && value !== null) {
-      queryString.append(key, value.toString());
+export function appendQueryString(path, queryParams, definitions = {}) {
+  const queryString = serializeQueryParams(queryParams, definitions).toString();
+  return queryString ? `${path}?${queryString}` : path;
+}
+
+/**
+ * Loads what the tools are built from: the OpenAPI spec and the safety policy
+ *
+ * The spec is validated first. Problems are reported and the server starts
+ * in degraded mode, or fails in strict mode.
+ * @param {Object} [options] - Context options
+ * @param {WebhookEventBuffer} [options.webhookEvents] - Buffer of the webhook receiver, if it is running
+ * @returns {Object} - Spec, policy and webhook event buffer passed to registerTools
+ */
+export function loadToolContext({ webhookEvents = null } = {}) {
+  const specPath = resolveSpecPath();
+  const openApiSpec = loadOpenApiSpec(specPath);
+  const report = validateOpenApiSpec(openApiSpec);
+  if (!report.ok) {
+    if (isStrictSpecMode()) {
+      throw new ConfigError(`OpenAPI spec validation failed:\n${formatSpecReport(report, specPath)}`);
     }
+    console.error(`Starting in degraded mode:\n${formatSpecReport(report, specPath)}`);
   }
   
-  return `${path}?${queryString.toString()}`;
+  return { openApiSpec, policy: loadPolicy(), webhookEvents };
+}
+
+/**
+ * Registers all tools on a server
+ *
+ * Webhooks are received for the server's own Mailgun account, so sessions
+ * that use their own credentials do not get the webhook events tool.
+ * @param {McpServer} target - Server to register the tools on
+ * @param {Object} context - Spec, policy and webhook event buffer, see loadToolContext
+ * @param {Object} [client] - Client of the session, null for the stdio server
+ */
+export function registerTools(target, { openApiSpec, policy, webhookEvents = null }, client = null) {
+  generateToolsFromOpenApi(openApiSpec, policy, target);
+  registerPagingTool(openApiSpec, policy, target);
+  registerTemplatePreviewTool(policy, target);
+  registerDomainHealthTool(policy, target);
+  registerListUploadTool(policy, target);
+  registerRouteTestTool(policy, target);
+  registerBatchSendTool(policy, target);
+  registerStoredMessageTools(policy, target);
+  registerDeliverabilityReportTool(policy, target);
+  registerAddressValidationTools(policy, target);
+  registerAccountListTool(target);
+  if (webhookEvents && !client?.credentials) {
+    registerWebhookEventsTool(webhookEvents, policy, target);
+  }
 }
 
 /**
@@ -557,16 +2701,11 @@ export function appendQueryString(path, queryParams) {
  */
 export async function main() {
   try {
-    // Load and parse OpenAPI spec
-    const openApiSpec = loadOpenApiSpec(OPENAPI_YAML);
-    
-    // Generate tools from the spec
-    generateToolsFromOpenApi(openApiSpec);
-
+    registerTools(server, loadToolContext());
   } catch (error) {
     console.error("Fatal error in main():", error);
     if (process.env.NODE_ENV !== 'test') {
       process.exit(1);
     }
   }
-}
\ No newline at end of file
+}
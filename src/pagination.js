@@ -0,0 +1,168 @@
+import { z } from "zod";
+import { URL } from "node:url";
+import { InputError } from "./errors.js";
+
+// Number of pages fetched in pagination mode unless the caller sets max_pages
+export const DEFAULT_MAX_PAGES = 10;
+
+// Endpoints whose later pages add a page token to the path, e.g. /v3/example.com/events/W3siYiI6
+const PAGE_TOKEN_PATHS = ['/v3/{domain_name}/events'];
+
+// Options added to tools whose responses carry `paging` links
+export const paginationParamsSchema = {
+  paginate: z.boolean().optional()
+    .describe('Follow paging.next links and return all pages merged into one result'),
+  max_pages: z.number().int().min(1).max(100).optional()
+    .describe(`Maximum number of pages to fetch in pagination mode (default ${DEFAULT_MAX_PAGES})`),
+  max_items: z.number().int().min(1).optional()
+    .describe('Maximum number of items to return, the rest follows at paging.next'),
+};
+
+/**
+ * Checks whether an operation returns paged results
+ * @param {Object} operation - OpenAPI operation object
+ * @param {Object} openApiSpec - Complete OpenAPI specification
+ * @returns {boolean} - True if the 200 response has a `paging` property
+ */
+export function isPaginatedOperation(operation, openApiSpec) {
+  let schema = resolveRefs(operation.responses?.['200'], openApiSpec);
+  schema = resolveRefs(schema?.content?.['application/json']?.schema, openApiSpec);
+  return Boolean(schema?.properties?.paging);
+}
+
+/**
+ * Follows `$ref`s until a concrete object is reached
+ * @param {Object} value - Object that may be a reference
+ * @param {Object} openApiSpec - Complete OpenAPI specification
+ * @returns {Object|undefined} - Referenced object
+ */
+function resolveRefs(value, openApiSpec) {
+  let resolved = value;
+  while (resolved?.$ref?.startsWith('#/')) {
+    resolved = resolved.$ref.substring(2).split('/')
+      .reduce((obj, segment) => obj?.[segment], openApiSpec);
+  }
+  return resolved;
+}
+
+/**
+ * Converts a paging URL returned by Mailgun into an API path
+ *
+ * The URL must point at the configured Mailgun API so that paging links
+ * cannot be used to send the API key to another host.
+ * @param {string} pageUrl - Absolute paging URL, e.g. paging.next
+ * @param {URL} baseUrl - Configured Mailgun API base URL
+ * @returns {string} - API path including the query string
+ */
+export function toApiPath(pageUrl, baseUrl) {
+  let url;
+  try {
+    url = new URL(pageUrl);
+  } catch (error) {
+    throw new InputError(`Invalid paging URL '${pageUrl}'`);
+  }
+
+  const basePath = baseUrl.pathname.replace(/\/+$/, '');
+  if (url.protocol !== baseUrl.protocol || url.host !== baseUrl.host
+      || url.username || url.password
+      || !url.pathname.startsWith(`${basePath}/`)) {
+    throw new InputError(`Paging URL '${pageUrl}' does not point at the configured Mailgun API (${baseUrl.origin}${basePath})`);
+  }
+
+  return `${url.pathname.substring(basePath.length)}${url.search}`;
+}
+
+/**
+ * Finds the paginated endpoint a paging path belongs to
+ *
+ * Path parameters match a single segment. The query string is ignored,
+ * Mailgun keeps the filters of the first page in it.
+ * @param {string} apiPath - API path with query string, see toApiPath
+ * @param {string[]} pathTemplates - Path templates of the paginated endpoints
+ * @returns {Object|null} - Matching path template and path parameters, null if none matches
+ */
+export function matchPagingPath(apiPath, pathTemplates) {
+  const pathname = apiPath.split('?')[0];
+  for (const template of pathTemplates) {
+    const names = [];
+    const source = template
+      .split(/\{(\w+)\}/)
+      .map((part, index) => {
+        if (index % 2 === 1) {
+          names.push(part);
+          return '([^/]+)';
+        }
+        return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('');
+    const pageToken = PAGE_TOKEN_PATHS.includes(template) ? '(?:/[^/]+)?' : '';
+    const match = pathname.match(new RegExp(`^${source}${pageToken}$`));
+    if (!match) {
+      continue;
+    }
+
+    try {
+      const params = Object.fromEntries(names.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+      return { path: template, params };
+    } catch (error) {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Follows `paging.next` links and merges the items of all pages
+ *
+ * Stops at the page limit, once enough items were collected, or when
+ * Mailgun returns an empty page (its last page still carries a next link).
+ * Items past maxItems are left out. Mailgun's paging links cannot point into
+ * a page, so the cursor of a result cut within a page is that page's URL,
+ * and skip_items counts the items of it that were already returned.
+ * @param {Object} firstPage - First page as returned by the API
+ * @param {Function} fetchPage - Fetches a page given its absolute URL
+ * @param {Object} options - Pagination limits
+ * @param {number} [options.maxPages] - Maximum number of pages, including the first
+ * @param {number} [options.maxItems] - Maximum number of items to return
+ * @param {string} [options.firstPageUrl] - URL of the first page, the cursor of a cut within it
+ * @returns {Promise<Object>} - Merged result with a continuation cursor
+ */
+export async function collectPages(firstPage, fetchPage, { maxPages = DEFAULT_MAX_PAGES, maxItems = Infinity, firstPageUrl = null } = {}) {
+  const { items: firstItems, paging: firstPaging, ...rest } = firstPage;
+  const items = Array.isArray(firstItems) ? [...firstItems] : [];
+  let pages = 1;
+  let lastPageEmpty = items.length === 0;
+  let next = firstPaging?.next;
+  // URL of the last fetched page and the index of its first item
+  let pageUrl = firstPageUrl;
+  let pageStart = 0;
+
+  while (next && !lastPageEmpty && pages < maxPages && items.length < maxItems) {
+    const page = await fetchPage(next);
+    const pageItems = Array.isArray(page.items) ? page.items : [];
+    pages += 1;
+    pageUrl = next;
+    pageStart = items.length;
+    items.push(...pageItems);
+    lastPageEmpty = pageItems.length === 0;
+    next = page.paging?.next;
+  }
+
+  if (items.length > maxItems) {
+    items.splice(maxItems);
+    return {
+      ...rest,
+      items,
+      paging: { next: pageUrl },
+      pagination: { pages_fetched: pages, item_count: items.length, complete: false, skip_items: maxItems - pageStart },
+    };
+  }
+
+  const complete = !next || lastPageEmpty;
+  return {
+    ...rest,
+    items,
+    paging: { next: complete ? null : next },
+    pagination: { pages_fetched: pages, item_count: items.length, complete },
+  };
+}
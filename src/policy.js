@@ -0,0 +1,219 @@
+import fs from "node:fs";
+import { ConfigError } from "./errors.js";
+
+// Path parameters that name the Mailgun domain an operation acts on
+const DOMAIN_PARAMS = ['domain_name', 'domain', 'domainID', 'authority_name'];
+
+// Fields of the send-message operations that carry recipients
+const RECIPIENT_FIELDS = ['to', 'cc', 'bcc'];
+
+/**
+ * Error returned when a tool call is blocked by the safety policy
+ */
+export class PolicyViolationError extends Error {
+  constructor(message) {
+    super(`Policy violation: ${message}`);
+    this.name = 'PolicyViolationError';
+  }
+}
+
+/**
+ * Loads the safety policy from the policy file and environment variables
+ *
+ * The file named by MAILGUN_MCP_POLICY_FILE is read first, then any of
+ * MAILGUN_MCP_READ_ONLY, MAILGUN_MCP_ALLOW, MAILGUN_MCP_DENY,
+ * MAILGUN_MCP_ALLOWED_DOMAINS and MAILGUN_MCP_ALLOWED_RECIPIENTS that are set
+ * override the corresponding file setting. List variables are comma separated.
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Normalized policy
+ */
+export function loadPolicy(env = process.env) {
+  let config = {};
+  if (env.MAILGUN_MCP_POLICY_FILE) {
+    try {
+      config = JSON.parse(fs.readFileSync(env.MAILGUN_MCP_POLICY_FILE, 'utf8'));
+    } catch (error) {
+      throw new ConfigError(`Failed to load policy file ${env.MAILGUN_MCP_POLICY_FILE}: ${error.message}`);
+    }
+  }
+
+  const fromEnv = {
+    readOnly: env.MAILGUN_MCP_READ_ONLY !== undefined
+      ? ['1', 'true', 'yes'].includes(env.MAILGUN_MCP_READ_ONLY.toLowerCase())
+      : undefined,
+    allow: splitList(env.MAILGUN_MCP_ALLOW),
+    deny: splitList(env.MAILGUN_MCP_DENY),
+    allowedDomains: splitList(env.MAILGUN_MCP_ALLOWED_DOMAINS),
+    allowedRecipients: splitList(env.MAILGUN_MCP_ALLOWED_RECIPIENTS),
+  };
+  for (const [key, value] of Object.entries(fromEnv)) {
+    if (value !== undefined) {
+      config[key] = value;
+    }
+  }
+
+  return createPolicy(config);
+}
+
+/**
+ * Normalizes a policy configuration object
+ * @param {Object} config - Policy configuration
+ * @param {boolean} [config.readOnly] - Only register GET operations
+ * @param {string[]} [config.allow] - Endpoint globs to register, e.g. "GET /v3/**"
+ * @param {string[]} [config.deny] - Endpoint globs to never register
+ * @param {string[]} [config.allowedDomains] - Domains tools may act on
+ * @param {string[]} [config.allowedRecipients] - Recipient globs messages may be sent to
+ * @returns {Object} - Normalized policy
+ */
+export function createPolicy(config = {}) {
+  for (const key of ['allow', 'deny', 'allowedDomains', 'allowedRecipients']) {
+    if (config[key] !== undefined && !Array.isArray(config[key])) {
+      throw new ConfigError(`Policy setting '${key}' must be a list`);
+    }
+  }
+
+  return {
+    readOnly: Boolean(config.readOnly),
+    allow: (config.allow || []).map(compileEndpointGlob),
+    deny: (config.deny || []).map(compileEndpointGlob),
+    allowedDomains: (config.allowedDomains || []).map(domain => domain.toLowerCase()),
+    allowedRecipients: (config.allowedRecipients || []).map(pattern => globToRegExp(pattern.toLowerCase(), '')),
+  };
+}
+
+/**
+ * Splits a comma separated environment variable
+ * @param {string} value - Variable value
+ * @returns {string[]|undefined} - Trimmed entries or undefined if unset
+ */
+function splitList(value) {
+  if (value === undefined) return undefined;
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Converts a glob into a regular expression
+ *
+ * `**` matches any characters, `*` matches any characters except the
+ * separator.
+ * @param {string} glob - Glob pattern
+ * @param {string} separator - Character `*` does not match
+ * @returns {RegExp} - Anchored regular expression
+ */
+function globToRegExp(glob, separator) {
+  const single = separator ? `[^${separator}]*` : '.*';
+  const source = glob
+    .split('**')
+    .map(part => part
+      .split('*')
+      .map(literal => literal.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join(single))
+    .join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Compiles an endpoint glob such as "GET /v3/**" or "* /v3/{domain_name}/*"
+ * @param {string} glob - Method and path glob separated by a space
+ * @returns {Object} - Method and path matchers
+ */
+function compileEndpointGlob(glob) {
+  const [method, path] = glob.trim().split(/\s+/);
+  if (!path) {
+    throw new ConfigError(`Invalid endpoint pattern '${glob}', expected "<METHOD> <path>"`);
+  }
+  return {
+    method: globToRegExp(method.toUpperCase(), ''),
+    path: globToRegExp(path, '/'),
+  };
+}
+
+/**
+ * Checks whether an endpoint matches any of the compiled globs
+ * @param {Object[]} globs - Compiled endpoint globs
+ * @param {string} method - HTTP method
+ * @param {string} path - API endpoint path template
+ * @returns {boolean} - True if one of the globs matches
+ */
+function matchesAny(globs, method, path) {
+  return globs.some(glob => glob.method.test(method.toUpperCase()) && glob.path.test(path));
+}
+
+/**
+ * Decides whether a tool is registered for an endpoint
+ *
+ * Deny globs always win. In read-only mode only GET operations are
+ * registered unless an allow glob names the endpoint explicitly.
+ * @param {Object} policy - Normalized policy
+ * @param {string} method - HTTP method
+ * @param {string} path - API endpoint path template
+ * @returns {boolean} - True if the endpoint may be exposed
+ */
+export function isEndpointAllowed(policy, method, path) {
+  if (matchesAny(policy.deny, method, path)) {
+    return false;
+  }
+  const explicitlyAllowed = matchesAny(policy.allow, method, path);
+  if (policy.allow.length > 0 && !explicitlyAllowed) {
+    return false;
+  }
+  if (policy.readOnly && method.toUpperCase() !== 'GET' && !explicitlyAllowed) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Extracts bare email addresses from recipient values
+ * @param {string|string[]} value - Recipients such as "Jane <jane@example.com>, bob@example.com"
+ * @returns {string[]} - Lower-cased email addresses
+ */
+export function parseRecipients(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean)
+    .map(item => (item.match(/<([^>]+)>/)?.[1] || item).trim().toLowerCase());
+}
+
+/**
+ * Checks a tool call against the per-call policy restrictions
+ * @param {Object} policy - Normalized policy
+ * @param {string} method - HTTP method
+ * @param {string} path - API endpoint path template
+ * @param {Object} params - API parameters of the call
+ * @throws {PolicyViolationError} - If the call is not allowed
+ */
+export function assertRequestAllowed(policy, method, path, params) {
+  if (!isEndpointAllowed(policy, method, path)) {
+    throw new PolicyViolationError(`${method.toUpperCase()} ${path} is not allowed`);
+  }
+
+  if (policy.allowedDomains.length > 0) {
+    const domainParams = DOMAIN_PARAMS.filter(name => path.includes(`{${name}}`));
+    // `name` is the domain on /domains/{name} paths and when creating a domain
+    if (path.includes('/domains/{name}') || (method.toUpperCase() === 'POST' && path === '/v4/domains')) {
+      domainParams.push('name');
+    }
+    for (const name of domainParams) {
+      const domain = String(params[name] ?? '').toLowerCase();
+      if (!policy.allowedDomains.includes(domain)) {
+        throw new PolicyViolationError(`domain '${params[name]}' is not in the allowed domains`);
+      }
+    }
+  }
+
+  // Sending and resending a stored message both take the recipients as `to`
+  const sendsMessage = path.endsWith('/messages') || path.endsWith('/messages/{storage_key}');
+  if (policy.allowedRecipients.length > 0 && method.toUpperCase() === 'POST' && sendsMessage) {
+    for (const field of RECIPIENT_FIELDS) {
+      if (params[field] === undefined) continue;
+      for (const recipient of parseRecipients(params[field])) {
+        if (!policy.allowedRecipients.some(pattern => pattern.test(recipient))) {
+          throw new PolicyViolationError(`recipient '${recipient}' is not in the allowed recipients`);
+        }
+      }
+    }
+  }
+}
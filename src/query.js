@@ -0,0 +1,163 @@
+import { z } from "zod";
+import { DATE_INPUT_HINT, dateInputSchema, parseDateInput, toRfc2822Date } from "./dates.js";
+import { InputError } from "./errors.js";
+
+// Mailgun's spec declares these query parameters as plain strings. The hints
+// apply when the spec gives no more specific schema for them.
+const QUERY_PARAM_HINTS = {
+  begin: { format: 'date-time' },
+  end: { format: 'date-time' },
+  start: { format: 'date-time' },
+  timestamp: { format: 'date-time' },
+  event: { type: 'array', items: { type: 'string' } },
+};
+
+// Separators of non-exploded arrays by OpenAPI parameter style
+const STYLE_DELIMITERS = {
+  form: ',',
+  spaceDelimited: ' ',
+  pipeDelimited: '|',
+};
+
+/**
+ * Describes how a query parameter is validated and serialized
+ * @param {Object} param - OpenAPI parameter object
+ * @param {Object} schema - Parameter schema with references resolved
+ * @returns {Object} - Name, description, style, explode and effective schema
+ */
+export function getQueryParamDefinition(param, schema = {}) {
+  const hint = QUERY_PARAM_HINTS[param.name];
+  const isPlainString = schema.type === 'string' && !schema.format && !schema.enum;
+  const style = param.style || 'form';
+
+  return {
+    name: param.name,
+    description: param.description || schema.description,
+    style,
+    // OpenAPI explodes form parameters unless told otherwise
+    explode: param.explode ?? style === 'form',
+    schema: hint && isPlainString ? { ...schema, ...hint } : schema,
+  };
+}
+
+/**
+ * Checks whether a schema describes a date
+ * @param {Object} schema - OpenAPI schema
+ * @returns {boolean} - True for date and date-time strings
+ */
+function isDateSchema(schema) {
+  return schema?.type === 'string' && ['date', 'date-time'].includes(schema.format);
+}
+
+/**
+ * Checks whether a schema is a yes/no flag
+ * @param {Object} schema - OpenAPI schema
+ * @returns {boolean} - True if the schema only allows yes and no
+ */
+function isYesNoSchema(schema) {
+  return Array.isArray(schema?.enum) && schema.enum.includes('yes') && schema.enum.includes('no');
+}
+
+/**
+ * Builds the Zod schema of a query parameter, accepting friendly inputs
+ *
+ * Date parameters take any input parseDateInput understands, yes/no flags
+ * also take booleans, and array parameters also take a single value.
+ * @param {Object} definition - Query parameter definition
+ * @param {Function} toZod - Converts an OpenAPI schema to Zod
+ * @returns {z.ZodType} - Parameter schema
+ */
+export function queryParamToZod(definition, toZod) {
+  const { schema, description } = definition;
+  let zodSchema;
+  let hint = '';
+
+  if (isDateSchema(schema)) {
+    zodSchema = dateInputSchema();
+    hint = DATE_INPUT_HINT;
+  } else if (isYesNoSchema(schema)) {
+    zodSchema = z.union([toZod(schema), z.boolean()]);
+  } else if (schema.type === 'array') {
+    const items = () => (isDateSchema(schema.items) ? dateInputSchema() : toZod(schema.items));
+    zodSchema = z.union([items(), z.array(items())]);
+    hint = 'Pass a list for multiple values';
+  } else {
+    zodSchema = toZod(schema);
+  }
+
+  const text = [description, hint].filter(Boolean).join('. ');
+  return text ? zodSchema.describe(text) : zodSchema;
+}
+
+/**
+ * Converts a single value into its query string form
+ * @param {*} value - Parameter value
+ * @param {Object} schema - Schema of the value
+ * @param {Date} now - Reference time for relative dates
+ * @returns {string} - Serialized value
+ */
+function toQueryValue(value, schema, now) {
+  if (typeof value === 'boolean') {
+    if (isYesNoSchema(schema)) {
+      return value ? 'yes' : 'no';
+    }
+    return String(value);
+  }
+  if (isDateSchema(schema) || value instanceof Date) {
+    // Epoch seconds are sent as they are, everything else as RFC 2822
+    if (typeof value === 'number' || /^\d+$/.test(String(value).trim())) {
+      return String(value).trim();
+    }
+    const date = parseDateInput(value, now);
+    if (!date) {
+      throw new InputError(`'${value}' is not a recognized date. ${DATE_INPUT_HINT}`);
+    }
+    return toRfc2822Date(date);
+  }
+  return String(value);
+}
+
+/**
+ * Serializes query parameters the way Mailgun expects them
+ *
+ * Arrays and objects follow the parameter's OpenAPI style and explode
+ * settings, so exploded arrays become repeated keys. Parameters without a
+ * definition are serialized as exploded form parameters.
+ * @param {Object} queryParams - Query parameter values
+ * @param {Object} definitions - Query parameter definitions by name
+ * @param {Date} now - Reference time for relative dates
+ * @returns {URLSearchParams} - Serialized query
+ */
+export function serializeQueryParams(queryParams, definitions = {}, now = new Date()) {
+  const query = new URLSearchParams();
+
+  for (const [name, value] of Object.entries(queryParams)) {
+    if (value === undefined || value === null) continue;
+    const { style, explode, schema } = definitions[name] || getQueryParamDefinition({ name });
+    const itemSchema = schema?.type === 'array' ? schema.items : schema;
+
+    if (Array.isArray(value)) {
+      const items = value.map(item => toQueryValue(item, itemSchema, now));
+      if (style === 'form' && explode) {
+        items.forEach(item => query.append(name, item));
+      } else {
+        query.append(name, items.join(STYLE_DELIMITERS[style] || ','));
+      }
+    } else if (typeof value === 'object' && !(value instanceof Date)) {
+      const entries = Object.entries(value)
+        .filter(([, item]) => item !== undefined && item !== null)
+        .map(([key, item]) => [key, toQueryValue(item, schema?.properties?.[key], now)]);
+      if (style === 'deepObject') {
+        entries.forEach(([key, item]) => query.append(`${name}[${key}]`, item));
+      } else if (explode) {
+        entries.forEach(([key, item]) => query.append(key, item));
+      } else {
+        query.append(name, entries.flat().join(','));
+      }
+    } else {
+      query.append(name, toQueryValue(value, itemSchema, now));
+    }
+  }
+
+  return query;
+}
@@ -0,0 +1,347 @@
+// Events the report requests from the stats endpoints
+export const REPORT_EVENTS = ['accepted', 'delivered', 'failed', 'opened', 'clicked', 'complained', 'unsubscribed'];
+
+// Below this many accepted messages, rate changes are too noisy to flag
+const MIN_ANOMALY_VOLUME = 100;
+
+// Rows shown per breakdown in the Markdown summary
+const MAX_MARKDOWN_ROWS = 10;
+
+// How a rate is worse (up or down), the change worth flagging as an absolute
+// difference or relative to the previous period, and the level that is a
+// problem on its own
+const ANOMALY_RULES = [
+  { metric: 'delivery_rate', worse: 'down', absolute: 0.05 },
+  { metric: 'bounce_rate', worse: 'up', absolute: 0.02, limit: 0.05 },
+  { metric: 'complaint_rate', worse: 'up', absolute: 0.001, limit: 0.003 },
+  { metric: 'unsubscribe_rate', worse: 'up', relative: 1 },
+  { metric: 'open_rate', worse: 'down', relative: 0.3 },
+  { metric: 'click_rate', worse: 'down', relative: 0.3 },
+];
+
+// Accepted messages changing by more than this share is reported
+const VOLUME_CHANGE = 0.5;
+
+// Window of the provider and country breakdowns. Mailgun's aggregates
+// endpoints take no time range, so their counts are not those of the period.
+export const AGGREGATES_WINDOW = "Mailgun's running aggregates, not limited to the report period";
+
+/**
+ * Divides two counts
+ * @param {number} count - Numerator
+ * @param {number} total - Denominator
+ * @returns {number|null} - Rate rounded to four decimals, null without a total
+ */
+function rate(count, total) {
+  return total > 0 ? Math.round((count / total) * 10000) / 10000 : null;
+}
+
+/**
+ * Adds up the entries of a stats response
+ * @param {Object} response - Response of GET /v3/{domain}/stats/total or /tag/stats
+ * @returns {Object} - Event counts of the whole period
+ */
+export function sumStats(response) {
+  const totals = {
+    accepted: 0,
+    delivered: 0,
+    failed_permanent: 0,
+    failed_temporary: 0,
+    bounced: 0,
+    suppressed: 0,
+    opened: 0,
+    unique_opened: 0,
+    clicked: 0,
+    unique_clicked: 0,
+    complained: 0,
+    unsubscribed: 0,
+  };
+
+  for (const entry of response?.stats || []) {
+    const permanent = entry.failed?.permanent || {};
+    totals.accepted += entry.accepted?.outgoing ?? entry.accepted?.total ?? 0;
+    totals.delivered += entry.delivered?.total ?? 0;
+    totals.failed_permanent += permanent.total ?? 0;
+    totals.failed_temporary += entry.failed?.temporary?.total ?? 0;
+    totals.bounced += (permanent.bounce ?? 0) + (permanent['delayed-bounce'] ?? 0);
+    totals.suppressed += (permanent['suppress-bounce'] ?? 0) + (permanent['suppress-unsubscribe'] ?? 0)
+      + (permanent['suppress-complaint'] ?? 0);
+    totals.opened += entry.opened?.total ?? 0;
+    totals.unique_opened += entry.opened?.unique ?? 0;
+    totals.clicked += entry.clicked?.total ?? 0;
+    totals.unique_clicked += entry.clicked?.unique ?? 0;
+    totals.complained += entry.complained?.total ?? 0;
+    totals.unsubscribed += entry.unsubscribed?.total ?? 0;
+  }
+
+  return totals;
+}
+
+/**
+ * Computes the rates of a period
+ *
+ * Delivery and bounce rates are relative to accepted messages, the
+ * engagement and complaint rates to delivered ones. Opens and clicks are
+ * counted once per recipient where Mailgun reports unique counts.
+ * @param {Object} counts - Event counts
+ * @returns {Object} - Rates between 0 and 1, null when there is nothing to divide by
+ */
+export function computeRates(counts) {
+  const opened = counts.unique_opened || counts.opened || 0;
+  const clicked = counts.unique_clicked || counts.clicked || 0;
+  return {
+    delivery_rate: rate(counts.delivered ?? 0, counts.accepted ?? 0),
+    bounce_rate: rate(counts.bounced ?? 0, counts.accepted ?? 0),
+    complaint_rate: rate(counts.complained ?? 0, counts.delivered ?? 0),
+    unsubscribe_rate: rate(counts.unsubscribed ?? 0, counts.delivered ?? 0),
+    open_rate: rate(opened, counts.delivered ?? 0),
+    click_rate: rate(clicked, counts.delivered ?? 0),
+  };
+}
+
+/**
+ * Turns an aggregates response into rows with rates, largest first
+ * @param {Object} aggregates - Counts by name, e.g. the providers of GET /v3/{domain}/aggregates/providers
+ * @returns {Object[]} - Rows with the name, counts and rates
+ */
+export function buildBreakdown(aggregates = {}) {
+  return Object.entries(aggregates)
+    .map(([name, counts]) => {
+      const normalized = {
+        accepted: counts.accepted ?? 0,
+        delivered: counts.delivered ?? 0,
+        bounced: counts.bounced ?? 0,
+        opened: counts.opened ?? 0,
+        unique_opened: counts.unique_opened ?? 0,
+        clicked: counts.clicked ?? 0,
+        unique_clicked: counts.unique_clicked ?? 0,
+        complained: counts.complained ?? 0,
+        unsubscribed: counts.unsubscribed ?? 0,
+      };
+      return { name, ...normalized, rates: computeRates(normalized) };
+    })
+    .sort((a, b) => (b.delivered - a.delivered) || (b.accepted - a.accepted) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Groups the bounces of a period by SMTP code
+ * @param {Object[]} items - Bounces as returned by GET /v3/{domainID}/bounces
+ * @param {Date} start - Start of the period
+ * @param {Date} end - End of the period
+ * @returns {Object[]} - Codes with their count and an example error, most frequent first
+ */
+export function groupBounces(items, start, end) {
+  const codes = new Map();
+  for (const item of items) {
+    const createdAt = Date.parse(item.created_at);
+    if (Number.isNaN(createdAt) || createdAt < start.getTime() || createdAt > end.getTime()) {
+      continue;
+    }
+    const code = String(item.code ?? 'unknown');
+    const group = codes.get(code) || { code, count: 0, example_error: item.error ?? null };
+    group.count += 1;
+    codes.set(code, group);
+  }
+  return [...codes.values()].sort((a, b) => b.count - a.count || a.code.localeCompare(b.code));
+}
+
+/**
+ * Picks the tags used most recently
+ * @param {Object[]} items - Tags as returned by GET /v3/{domain}/tags
+ * @param {Date} since - Tags last seen before this time are left out
+ * @param {number} max - Maximum number of tags
+ * @returns {string[]} - Tag names, most recently seen first
+ */
+export function pickRecentTags(items, since, max) {
+  const lastSeen = item => Date.parse(item['last-seen']);
+  return items
+    .filter(item => !(lastSeen(item) < since.getTime()))
+    .sort((a, b) => (lastSeen(b) || 0) - (lastSeen(a) || 0))
+    .slice(0, max)
+    .map(item => item.tag);
+}
+
+/**
+ * Compares the rates of two periods and flags what got notably worse
+ * @param {Object} current - Counts and rates of the reported period
+ * @param {Object} previous - Counts and rates of the period before
+ * @returns {Object[]} - Anomalies with metric, values, severity and a message
+ */
+export function detectAnomalies(current, previous) {
+  const anomalies = [];
+  const percent = value => `${(value * 100).toFixed(2)}%`;
+
+  if (previous.counts.accepted > 0 && current.counts.accepted + previous.counts.accepted >= MIN_ANOMALY_VOLUME) {
+    const change = (current.counts.accepted - previous.counts.accepted) / previous.counts.accepted;
+    if (Math.abs(change) > VOLUME_CHANGE) {
+      anomalies.push({
+        metric: 'accepted',
+        current: current.counts.accepted,
+        previous: previous.counts.accepted,
+        severity: 'info',
+        message: `Volume ${change > 0 ? 'rose' : 'fell'} by ${Math.abs(Math.round(change * 100))}% to ${current.counts.accepted} accepted messages`,
+      });
+    }
+  }
+  if (current.counts.accepted < MIN_ANOMALY_VOLUME) {
+    return anomalies;
+  }
+
+  for (const rule of ANOMALY_RULES) {
+    const value = current.rates[rule.metric];
+    const before = previous.rates[rule.metric];
+    if (value === null) continue;
+    const label = rule.metric.replace('_', ' ');
+
+    if (rule.limit !== undefined && value > rule.limit) {
+      anomalies.push({
+        metric: rule.metric,
+        current: value,
+        previous: before,
+        severity: 'critical',
+        message: `${label} of ${percent(value)} is above ${percent(rule.limit)}`,
+      });
+      continue;
+    }
+    if (before === null || previous.counts.accepted < MIN_ANOMALY_VOLUME) continue;
+
+    const worsening = rule.worse === 'up' ? value - before : before - value;
+    const flagged = (rule.absolute !== undefined && worsening > rule.absolute)
+      || (rule.relative !== undefined && before > 0 && worsening / before > rule.relative);
+    if (flagged) {
+      anomalies.push({
+        metric: rule.metric,
+        current: value,
+        previous: before,
+        severity: 'warning',
+        message: `${label} ${rule.worse === 'up' ? 'rose' : 'fell'} from ${percent(before)} to ${percent(value)}`,
+      });
+    }
+  }
+
+  return anomalies;
+}
+
+/**
+ * Builds the deliverability report of a period
+ * @param {Object} data - Fetched data, sections that failed are undefined
+ * @param {string} data.domain - Domain name
+ * @param {Object} data.period - Start and end of the reported period
+ * @param {Object} data.previousPeriod - Start and end of the period before
+ * @param {Object} data.stats - Stats of the reported period
+ * @param {Object} [data.previousStats] - Stats of the period before
+ * @param {Object} [data.providers] - Aggregates by email service provider
+ * @param {Object} [data.countries] - Aggregates by country
+ * @param {Object[]} [data.bounces] - Bounces of the domain
+ * @param {Object} [data.tags] - Stats by tag name
+ * @param {Object[]} [data.errors] - Sections that could not be fetched
+ * @returns {Object} - Report with totals, rates, breakdowns and anomalies. The
+ *   provider and country breakdowns name their window next to their rows.
+ */
+export function buildDeliverabilityReport(data) {
+  const counts = sumStats(data.stats);
+  const current = { counts, rates: computeRates(counts) };
+  const previousCounts = data.previousStats ? sumStats(data.previousStats) : null;
+  const previous = previousCounts ? { counts: previousCounts, rates: computeRates(previousCounts) } : null;
+
+  return {
+    domain: data.domain,
+    period: { start: data.period.start.toISOString(), end: data.period.end.toISOString() },
+    previous_period: {
+      start: data.previousPeriod.start.toISOString(),
+      end: data.previousPeriod.end.toISOString(),
+    },
+    totals: current.counts,
+    rates: current.rates,
+    previous: previous && { totals: previous.counts, rates: previous.rates },
+    anomalies: previous ? detectAnomalies(current, previous) : [],
+    by_tag: data.tags && Object.entries(data.tags).map(([tag, stats]) => {
+      const tagCounts = sumStats(stats);
+      return { name: tag, ...tagCounts, rates: computeRates(tagCounts) };
+    }).sort((a, b) => b.accepted - a.accepted || a.name.localeCompare(b.name)),
+    by_provider: data.providers && { window: AGGREGATES_WINDOW, rows: buildBreakdown(data.providers) },
+    by_country: data.countries && { window: AGGREGATES_WINDOW, rows: buildBreakdown(data.countries) },
+    bounce_codes: data.bounces && groupBounces(data.bounces, data.period.start, data.period.end),
+    errors: data.errors || [],
+  };
+}
+
+/**
+ * Formats a rate as a percentage
+ * @param {number|null} value - Rate between 0 and 1
+ * @returns {string} - Percentage, or a dash without a value
+ */
+function formatPercent(value) {
+  return value === null || value === undefined ? '–' : `${(value * 100).toFixed(2)}%`;
+}
+
+/**
+ * Formats a breakdown as a Markdown table
+ * @param {string} title - Section title
+ * @param {Object[]} rows - Rows with name, counts and rates
+ * @param {string} [window] - Time window of the counts when it is not the report period
+ * @returns {string[]} - Markdown lines
+ */
+function breakdownTable(title, rows, window) {
+  const lines = [`### ${title}`, '', ...(window ? [`Counts: ${window}.`, ''] : []), '| Name | Accepted | Delivered | Delivery | Bounce | Complaint | Open | Click |', '|---|---:|---:|---:|---:|---:|---:|---:|'];
+  for (const row of rows.slice(0, MAX_MARKDOWN_ROWS)) {
+    const { rates } = row;
+    lines.push(`| ${row.name} | ${row.accepted} | ${row.delivered} | ${formatPercent(rates.delivery_rate)} | ${formatPercent(rates.bounce_rate)} | ${formatPercent(rates.complaint_rate)} | ${formatPercent(rates.open_rate)} | ${formatPercent(rates.click_rate)} |`);
+  }
+  if (rows.length > MAX_MARKDOWN_ROWS) {
+    lines.push('', `${rows.length - MAX_MARKDOWN_ROWS} more in the JSON result.`);
+  }
+  lines.push('');
+  return lines;
+}
+
+/**
+ * Formats a deliverability report as Markdown
+ * @param {Object} report - Report returned by buildDeliverabilityReport
+ * @returns {string} - Markdown summary with tables
+ */
+export function formatReportMarkdown(report) {
+  const lines = [
+    `## Deliverability of ${report.domain}`,
+    '',
+    `${report.period.start} to ${report.period.end}, compared with the period before.`,
+    '',
+    '| Metric | This period | Previous period |',
+    '|---|---:|---:|',
+  ];
+  for (const metric of ['accepted', 'delivered', 'bounced', 'complained', 'unsubscribed']) {
+    lines.push(`| ${metric} | ${report.totals[metric]} | ${report.previous?.totals[metric] ?? '–'} |`);
+  }
+  for (const [metric, value] of Object.entries(report.rates)) {
+    lines.push(`| ${metric.replace('_', ' ')} | ${formatPercent(value)} | ${formatPercent(report.previous?.rates[metric])} |`);
+  }
+  lines.push('');
+
+  if (report.anomalies.length > 0) {
+    lines.push('### Anomalies', '');
+    for (const anomaly of report.anomalies) {
+      lines.push(`- **${anomaly.severity}**: ${anomaly.message}`);
+    }
+    lines.push('');
+  }
+  if (report.by_tag?.length > 0) lines.push(...breakdownTable('By tag', report.by_tag));
+  for (const [title, breakdown] of [['By provider', report.by_provider], ['By country', report.by_country]]) {
+    if (breakdown?.rows.length > 0) lines.push(...breakdownTable(title, breakdown.rows, breakdown.window));
+  }
+  if (report.bounce_codes?.length > 0) {
+    lines.push('### Bounce codes', '', '| Code | Count | Example |', '|---|---:|---|');
+    for (const group of report.bounce_codes.slice(0, MAX_MARKDOWN_ROWS)) {
+      lines.push(`| ${group.code} | ${group.count} | ${String(group.example_error ?? '').replace(/\|/g, '\\|')} |`);
+    }
+    lines.push('');
+  }
+  if (report.errors.length > 0) {
+    lines.push('### Missing sections', '');
+    for (const error of report.errors) {
+      lines.push(`- ${error.section}: ${error.error}`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n').trimEnd();
+}
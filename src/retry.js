@@ -0,0 +1,132 @@
+// Methods that can be repeated without changing the result
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Statuses worth retrying: rate limiting and transient server errors
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+/**
+ * Reads the retry configuration
+ *
+ * Request options take precedence over MAILGUN_RETRY_MAX,
+ * MAILGUN_RETRY_BASE_DELAY_MS, MAILGUN_RETRY_MAX_DELAY_MS and
+ * MAILGUN_RETRY_NON_IDEMPOTENT.
+ * @param {Object} options - Request options
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @param {number} [options.retryBaseDelay] - Backoff of the first retry in milliseconds
+ * @param {number} [options.retryMaxDelay] - Longest wait before a retry in milliseconds
+ * @param {boolean} [options.retryNonIdempotent] - Also retry POST and PATCH requests
+ * @returns {Object} - Retry configuration
+ */
+export function getRetryConfig(options = {}) {
+  return {
+    retries: options.retries ?? readNumber(process.env.MAILGUN_RETRY_MAX, 2),
+    baseDelay: options.retryBaseDelay ?? readNumber(process.env.MAILGUN_RETRY_BASE_DELAY_MS, 500),
+    maxDelay: options.retryMaxDelay ?? readNumber(process.env.MAILGUN_RETRY_MAX_DELAY_MS, 30000),
+    retryNonIdempotent: options.retryNonIdempotent ?? readFlag(process.env.MAILGUN_RETRY_NON_IDEMPOTENT),
+  };
+}
+
+/**
+ * Parses a non-negative number from an environment variable
+ * @param {string} value - Variable value
+ * @param {number} fallback - Value used when unset or invalid
+ * @returns {number} - Parsed number
+ */
+function readNumber(value, fallback) {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+/**
+ * Parses a boolean flag from an environment variable
+ * @param {string} value - Variable value
+ * @returns {boolean} - True for 1, true or yes
+ */
+function readFlag(value) {
+  return ['1', 'true', 'yes'].includes((value || '').toLowerCase());
+}
+
+/**
+ * Checks whether a request may be retried
+ * @param {string} method - HTTP method
+ * @param {number|null} status - Response status, null for network errors
+ * @param {Object} config - Retry configuration
+ * @returns {boolean} - True if the request should be attempted again
+ */
+export function isRetryable(method, status, config) {
+  if (!config.retryNonIdempotent && !IDEMPOTENT_METHODS.includes(method.toUpperCase())) {
+    return false;
+  }
+  return status === null || RETRYABLE_STATUSES.includes(status);
+}
+
+/**
+ * Reads how long the server asked us to wait from the response headers
+ *
+ * Supports Retry-After as seconds or an HTTP date, and X-RateLimit-Reset as
+ * an epoch timestamp (seconds or milliseconds) when no requests remain.
+ * @param {Object} headers - Response headers (lower-cased names)
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} - Delay in milliseconds or null if not given
+ */
+export function getServerRetryDelay(headers = {}, now = Date.now()) {
+  const retryAfter = headers['retry-after'];
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - now);
+    }
+  }
+
+  const reset = Number(headers['x-ratelimit-reset']);
+  if (headers['x-ratelimit-remaining'] === '0' && Number.isFinite(reset) && reset > 0) {
+    const resetAt = reset > 1e12 ? reset : reset * 1000;
+    return Math.max(0, resetAt - now);
+  }
+
+  return null;
+}
+
+/**
+ * Computes the delay before the next attempt
+ *
+ * Uses the server's requested delay when given, otherwise exponential
+ * backoff with jitter between half and the full backoff.
+ * @param {number} attempt - Number of the attempt that failed, starting at 1
+ * @param {Object} headers - Response headers (lower-cased names)
+ * @param {Object} config - Retry configuration
+ * @param {Function} random - Random number generator returning [0, 1)
+ * @returns {number|null} - Delay in milliseconds, null if it exceeds the maximum
+ */
+export function computeRetryDelay(attempt, headers, config, random = Math.random) {
+  const serverDelay = getServerRetryDelay(headers);
+  if (serverDelay !== null) {
+    return serverDelay <= config.maxDelay ? serverDelay : null;
+  }
+
+  const backoff = Math.min(config.maxDelay, config.baseDelay * 2 ** (attempt - 1));
+  return Math.round(backoff / 2 + random() * backoff / 2);
+}
+
+/**
+ * Waits for the given time
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Signal that ends the wait early
+ * @returns {Promise<void>} - Resolves after the delay or once the signal aborts
+ */
+export function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener('abort', done, { once: true });
+
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+  });
+}
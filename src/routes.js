@@ -0,0 +1,380 @@
+import { z } from "zod";
+import { InputError } from "./errors.js";
+
+// Filters of route expressions and the number of arguments they take
+const FILTER_ARGUMENTS = {
+  match_recipient: 1,
+  match_header: 2,
+  catch_all: 0,
+};
+
+// A filter of a route expression, combined with `and`
+export const routeFilterSchema = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('match_recipient'),
+    pattern: z.string().describe('Regular expression the recipient must match, e.g. .*@support.example.com'),
+  }),
+  z.object({
+    type: z.literal('match_header'),
+    header: z.string().describe('Header name, e.g. subject'),
+    pattern: z.string().describe('Regular expression the header value must match'),
+  }),
+  z.object({
+    type: z.literal('catch_all').describe('Matches if no route with a higher priority matched'),
+  }),
+]);
+
+// An action run when a route matches
+export const routeActionSchema = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('forward'),
+    destination: z.string().describe('Email address or URL the message is forwarded to'),
+  }),
+  z.object({
+    type: z.literal('store'),
+    notify: z.string().optional().describe('URL notified when the message is stored'),
+  }),
+  z.object({
+    type: z.literal('stop').describe('Routes with a lower priority are not evaluated'),
+  }),
+]);
+
+// Parameters added to the create and update route tools
+export const routeParamsSchema = {
+  expression: z.string().optional()
+    .describe('Filter expression, e.g. match_recipient(".*@example.com"). Use filters to build it from parts'),
+  action: z.array(z.string()).optional()
+    .describe('Actions, e.g. forward("https://example.com/inbound"). Use actions to build them from parts'),
+  filters: z.array(routeFilterSchema).min(1).optional()
+    .describe('Filters that must all match, sent as the expression'),
+  actions: z.array(routeActionSchema).min(1).optional()
+    .describe('Actions run in order when the route matches, sent as action'),
+};
+
+/**
+ * Parses function calls such as match_header("subject", ".*help"), joined by `and`
+ *
+ * Strings take single or double quotes. A backslash escapes the quote and
+ * itself, other backslashes are kept for the regular expression.
+ * @param {string} source - Expression or action
+ * @returns {Object[]} - Calls with their name, arguments and keyword arguments
+ */
+function parseCalls(source) {
+  const calls = [];
+  let position = 0;
+  const fail = message => {
+    throw new InputError(`${message} at position ${position} of '${source}'`);
+  };
+  const skipSpace = () => {
+    while (/\s/.test(source[position] ?? '')) position += 1;
+  };
+  const readString = () => {
+    const quote = source[position];
+    let value = '';
+    position += 1;
+    while (position < source.length && source[position] !== quote) {
+      if (source[position] === '\\' && [quote, '\\'].includes(source[position + 1])) {
+        position += 1;
+      }
+      value += source[position];
+      position += 1;
+    }
+    if (position >= source.length) fail('Unterminated string');
+    position += 1;
+    return value;
+  };
+
+  for (;;) {
+    skipSpace();
+    const name = source.substring(position).match(/^\w+/)?.[0];
+    if (!name) fail('Expected a function name');
+    position += name.length;
+    skipSpace();
+    if (source[position] !== '(') fail(`Expected ( after ${name}`);
+    position += 1;
+
+    const call = { name, args: [], kwargs: {} };
+    skipSpace();
+    while (source[position] !== ')') {
+      const keyword = source.substring(position).match(/^(\w+)\s*=\s*/);
+      if (keyword) position += keyword[0].length;
+      if (!['"', "'"].includes(source[position])) fail('Expected a quoted string');
+      const value = readString();
+      if (keyword) {
+        call.kwargs[keyword[1]] = value;
+      } else {
+        call.args.push(value);
+      }
+      skipSpace();
+      if (source[position] === ',') {
+        position += 1;
+        skipSpace();
+      } else if (source[position] !== ')') {
+        fail('Expected , or )');
+      }
+    }
+    position += 1;
+    calls.push(call);
+
+    skipSpace();
+    if (position >= source.length) {
+      return calls;
+    }
+    const and = source.substring(position).match(/^and\s+/);
+    if (!and) fail('Expected and');
+    position += and[0].length;
+  }
+}
+
+/**
+ * Compiles a route pattern into a regular expression
+ *
+ * Mailgun evaluates patterns as Python regular expressions that must match
+ * from the start of the value. Python's named groups are converted.
+ * @param {string} pattern - Route pattern
+ * @param {string} flags - Regular expression flags
+ * @returns {RegExp} - Compiled pattern
+ */
+function toRegExp(pattern, flags = '') {
+  const source = pattern.replace(/\(\?P</g, '(?<').replace(/\(\?P=(\w+)\)/g, '\\k<$1>');
+  try {
+    return new RegExp(`^(?:${source})`, flags);
+  } catch (error) {
+    throw new InputError(`Invalid regular expression '${pattern}': ${error.message}`);
+  }
+}
+
+/**
+ * Quotes a string for an expression or action
+ * @param {string} value - Value to quote
+ * @returns {string} - Quoted value
+ */
+function quote(value) {
+  if (!value.includes('"')) return `"${value}"`;
+  if (!value.includes("'")) return `'${value}'`;
+  throw new InputError(`'${value}' cannot contain both single and double quotes`);
+}
+
+/**
+ * Parses and checks a route expression
+ * @param {string} expression - Expression, e.g. match_recipient(".*@example.com")
+ * @returns {Object[]} - Filters in the form of routeFilterSchema
+ */
+export function parseExpression(expression) {
+  const calls = parseCalls(String(expression ?? ''));
+
+  const filters = calls.map(({ name, args, kwargs }) => {
+    if (!(name in FILTER_ARGUMENTS)) {
+      throw new InputError(`Unknown filter '${name}', expected match_recipient, match_header or catch_all`);
+    }
+    if (args.length !== FILTER_ARGUMENTS[name] || Object.keys(kwargs).length > 0) {
+      throw new InputError(`${name} takes ${FILTER_ARGUMENTS[name]} argument(s)`);
+    }
+    if (name === 'match_recipient') {
+      toRegExp(args[0]);
+      return { type: name, pattern: args[0] };
+    }
+    if (name === 'match_header') {
+      toRegExp(args[1]);
+      return { type: name, header: args[0], pattern: args[1] };
+    }
+    return { type: name };
+  });
+
+  if (filters.length > 1 && filters.some(filter => filter.type === 'catch_all')) {
+    throw new InputError('catch_all() cannot be combined with other filters');
+  }
+  return filters;
+}
+
+/**
+ * Parses and checks a route action
+ * @param {string} action - Action, e.g. forward("ops@example.com")
+ * @returns {Object} - Action in the form of routeActionSchema
+ */
+export function parseAction(action) {
+  const calls = parseCalls(String(action ?? ''));
+  if (calls.length !== 1) {
+    throw new InputError(`'${action}' must be a single action`);
+  }
+
+  const [{ name, args, kwargs }] = calls;
+  const keywords = Object.keys(kwargs);
+  if (name === 'forward' && args.length === 1 && keywords.length === 0) {
+    if (!args[0].includes('@') && !/^https?:\/\//i.test(args[0])) {
+      throw new InputError(`forward() needs an email address or an http(s) URL, got '${args[0]}'`);
+    }
+    return { type: name, destination: args[0] };
+  }
+  if (name === 'store' && args.length === 0 && keywords.every(keyword => keyword === 'notify')) {
+    if (kwargs.notify !== undefined && !/^https?:\/\//i.test(kwargs.notify)) {
+      throw new InputError(`store() needs an http(s) URL to notify, got '${kwargs.notify}'`);
+    }
+    return kwargs.notify !== undefined ? { type: name, notify: kwargs.notify } : { type: name };
+  }
+  if (name === 'stop' && args.length === 0 && keywords.length === 0) {
+    return { type: name };
+  }
+  throw new InputError(`Invalid action '${action}', expected forward(destination), store(notify=url) or stop()`);
+}
+
+/**
+ * Builds a route expression from filters
+ * @param {Object[]} filters - Filters in the form of routeFilterSchema
+ * @returns {string} - Expression
+ */
+export function buildExpression(filters) {
+  const expression = filters.map(filter => {
+    switch (filter.type) {
+      case 'match_recipient':
+        return `match_recipient(${quote(filter.pattern)})`;
+      case 'match_header':
+        return `match_header(${quote(filter.header)}, ${quote(filter.pattern)})`;
+      default:
+        return 'catch_all()';
+    }
+  }).join(' and ');
+
+  parseExpression(expression);
+  return expression;
+}
+
+/**
+ * Builds a route action
+ * @param {Object} action - Action in the form of routeActionSchema
+ * @returns {string} - Action
+ */
+export function buildAction(action) {
+  let built = 'stop()';
+  if (action.type === 'forward') {
+    built = `forward(${quote(action.destination)})`;
+  } else if (action.type === 'store') {
+    built = action.notify !== undefined ? `store(notify=${quote(action.notify)})` : 'store()';
+  }
+
+  parseAction(built);
+  return built;
+}
+
+/**
+ * Turns structured filters and actions into Mailgun fields and checks the
+ * expression and actions before a route is sent
+ * @param {Object} bodyParams - Request body parameters
+ * @param {Object} options - Options
+ * @param {boolean} [options.create] - Whether the route is created, which needs an expression and actions
+ * @returns {Object} - Body parameters without `filters` and `actions`
+ */
+export function prepareRouteBody(bodyParams, { create = false } = {}) {
+  const { filters, actions, ...rest } = bodyParams;
+
+  if (filters !== undefined) {
+    if (rest.expression !== undefined) {
+      throw new InputError('Pass the filter either as filters or as expression, not both');
+    }
+    rest.expression = buildExpression(filters);
+  }
+  if (actions !== undefined) {
+    if (rest.action !== undefined) {
+      throw new InputError('Pass the actions either as actions or as action, not both');
+    }
+    rest.action = actions.map(buildAction);
+  }
+
+  if (rest.expression !== undefined) {
+    parseExpression(rest.expression);
+  } else if (create) {
+    throw new InputError('A route needs filters or an expression');
+  }
+  if (rest.action !== undefined) {
+    [].concat(rest.action).forEach(parseAction);
+  } else if (create) {
+    throw new InputError('A route needs actions');
+  }
+
+  return rest;
+}
+
+/**
+ * Checks whether a filter matches a message
+ * @param {Object} filter - Parsed filter
+ * @param {Object} message - Recipient and headers of the message
+ * @param {boolean} anyMatched - Whether a route with a higher priority matched
+ * @returns {boolean} - True if the filter matches
+ */
+function matchesFilter(filter, { recipient, headers }, anyMatched) {
+  switch (filter.type) {
+    case 'match_recipient':
+      return toRegExp(filter.pattern, 'i').test(recipient);
+    case 'match_header': {
+      const name = filter.header.toLowerCase();
+      const values = Object.entries(headers)
+        .filter(([header]) => header.toLowerCase() === name)
+        .flatMap(([, value]) => value);
+      return values.some(value => toRegExp(filter.pattern).test(String(value)));
+    }
+    default:
+      return !anyMatched;
+  }
+}
+
+/**
+ * Evaluates routes against a message the way Mailgun does
+ *
+ * Routes run by ascending priority, then by creation time. All matching
+ * routes apply until one of them has a stop() action. Recipients match
+ * case-insensitively, header names too but not header values.
+ * @param {Object[]} routes - Routes as returned by GET /v3/routes
+ * @param {Object} message - Message to test
+ * @param {string} message.recipient - Recipient address
+ * @param {Object} [message.headers] - Header values by name
+ * @returns {Object} - Matching routes, their combined actions and routes whose expression could not be read
+ */
+export function matchRoutes(routes, { recipient, headers = {} }) {
+  const createdAt = route => Date.parse(route.created_at) || 0;
+  const ordered = [...routes].sort((a, b) => ((Number(a.priority) || 0) - (Number(b.priority) || 0))
+    || createdAt(a) - createdAt(b));
+
+  const matched = [];
+  const invalid = [];
+  let stoppedBy = null;
+  let notEvaluated = 0;
+
+  for (const route of ordered) {
+    if (stoppedBy) {
+      notEvaluated += 1;
+      continue;
+    }
+
+    let filters;
+    try {
+      filters = parseExpression(route.expression);
+    } catch (error) {
+      invalid.push({ id: route.id, expression: route.expression, error: error.message });
+      continue;
+    }
+    if (!filters.every(filter => matchesFilter(filter, { recipient, headers }, matched.length > 0))) {
+      continue;
+    }
+
+    const actions = route.actions || [];
+    matched.push({
+      id: route.id,
+      priority: route.priority,
+      description: route.description,
+      expression: route.expression,
+      actions,
+    });
+    if (actions.some(action => /^\s*stop\s*\(/.test(action))) {
+      stoppedBy = route.id;
+    }
+  }
+
+  return {
+    recipient,
+    matched,
+    actions: matched.flatMap(route => route.actions).filter(action => !/^\s*stop\s*\(/.test(action)),
+    stopped_by: stoppedBy,
+    not_evaluated: notEvaluated,
+    invalid,
+  };
+}
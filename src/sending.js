@@ -0,0 +1,86 @@
+import { z } from "zod";
+import { dateInputSchema, parseDateInput, parseZonedDateTime, toRfc2822Date } from "./dates.js";
+import { InputError } from "./errors.js";
+
+// Mailgun accepts up to 1000 recipients per batch message
+export const BATCH_SIZE = 1000;
+
+// Scheduled times this far in the past are treated as a mistake rather than "send now"
+const PAST_TOLERANCE_MS = 60 * 1000;
+
+// Parameters added to the send-message tool for scheduled delivery
+export const deliveryTimeParamsSchema = {
+  deliver_at: dateInputSchema().optional()
+    .describe('When to deliver the message, sent as o:deliverytime in RFC 2822. Accepts ISO 8601 or RFC 2822 dates, epoch seconds, or "in 2 hours". A date without UTC offset is read in timezone, or as UTC without one. Mailgun schedules up to 3 or 7 days ahead depending on the plan'),
+  timezone: z.string().optional()
+    .describe('IANA time zone of a deliver_at without UTC offset, e.g. "2024-05-01 09:00" in Europe/Berlin. Defaults to UTC'),
+};
+
+// A batch recipient, with the variables its copy of the message is rendered with
+export const batchRecipientSchema = z.union([
+  z.string(),
+  z.object({
+    address: z.string().describe('Email address, e.g. "Alice <alice@example.com>" or alice@example.com'),
+    variables: z.record(z.any()).optional()
+      .describe('Recipient variables, referenced as %recipient.name% or in templates'),
+  }),
+]);
+
+/**
+ * Resolves the delivery time of a scheduled message
+ * @param {string|number} value - Delivery time input
+ * @param {string} [timeZone] - IANA time zone of local date and time inputs
+ * @param {Date} now - Current time
+ * @returns {Date} - Delivery time
+ */
+export function parseDeliveryTime(value, timeZone, now = new Date()) {
+  const date = (timeZone && typeof value === 'string' && parseZonedDateTime(value, timeZone))
+    || parseDateInput(value, now);
+  if (!date) {
+    throw new InputError(`'${value}' is not a recognized delivery time`);
+  }
+  if (date.getTime() < now.getTime() - PAST_TOLERANCE_MS) {
+    throw new InputError(`The delivery time ${date.toISOString()} is in the past`);
+  }
+  return date;
+}
+
+/**
+ * Moves a structured delivery time into the o:deliverytime field
+ * @param {Object} bodyParams - Request body parameters
+ * @param {Date} now - Current time
+ * @returns {Object} - Body parameters without `deliver_at` and `timezone`
+ */
+export function applyDeliveryTime(bodyParams, now = new Date()) {
+  const { deliver_at: deliverAt, timezone, ...rest } = bodyParams;
+  if (deliverAt === undefined) {
+    if (timezone !== undefined) {
+      throw new InputError('timezone only applies to deliver_at');
+    }
+    return bodyParams;
+  }
+  if (rest['o:deliverytime'] !== undefined) {
+    throw new InputError('Pass the delivery time either as deliver_at or as o:deliverytime, not both');
+  }
+  return { ...rest, 'o:deliverytime': toRfc2822Date(parseDeliveryTime(deliverAt, timezone, now)) };
+}
+
+/**
+ * Builds the recipient fields of one batch message
+ *
+ * Every recipient gets an entry in recipient-variables, which is what makes
+ * Mailgun send each recipient an individual copy.
+ * @param {Object[]} recipients - Recipients with address and optional variables
+ * @returns {Object} - `to` and `recipient-variables` fields
+ */
+export function toBatchFields(recipients) {
+  const variables = {};
+  for (const recipient of recipients) {
+    const address = (recipient.address.match(/<([^>]+)>/)?.[1] || recipient.address).trim();
+    variables[address] = recipient.variables || {};
+  }
+  return {
+    to: recipients.map(recipient => recipient.address),
+    'recipient-variables': JSON.stringify(variables),
+  };
+}
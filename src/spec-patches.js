@@ -0,0 +1,262 @@
+// Corrections and additions to the bundled OpenAPI spec, which is vendored
+// unchanged from Mailgun. They are applied to every spec after it is loaded.
+
+// Tag of the address validation operations
+const EMAIL_VALIDATION_TAG = 'Email Validation';
+
+/**
+ * Builds a path parameter definition
+ * @param {string} name - Parameter name
+ * @param {string} description - Parameter description
+ * @returns {Object} - OpenAPI parameter object
+ */
+function pathParam(name, description) {
+  return { name, in: 'path', description, required: true, schema: { type: 'string' } };
+}
+
+/**
+ * Builds a JSON response definition
+ * @param {string} description - Response description
+ * @param {Object} schema - Response body schema
+ * @returns {Object} - OpenAPI response object
+ */
+function jsonResponse(description, schema) {
+  return { description, content: { 'application/json': { schema } } };
+}
+
+// Response of the operations that start a validation job
+const JOB_SUBMITTED_RESPONSE = jsonResponse('Accepted', {
+  type: 'object',
+  properties: { id: { type: 'string' }, message: { type: 'string' } },
+});
+
+// Response of the operations that cancel or delete a validation job
+const JOB_CANCELED_RESPONSE = jsonResponse('OK', {
+  type: 'object',
+  properties: { message: { type: 'string' } },
+});
+
+// Validation jobs of whole mailing lists
+const LIST_VALIDATION_PARAMS = [pathParam('list_address', "The mailing list's address")];
+
+// Bulk validation jobs of uploaded address files
+const BULK_VALIDATION_PARAMS = [pathParam('list_id', 'Name of the job')];
+
+// Endpoints the bundled spec lacks, by path
+const MISSING_PATHS = {
+  '/v3/lists/{list_address}/validate': {
+    post: {
+      tags: ['Mailing Lists'],
+      summary: 'Validate a mailing list',
+      description: 'Starts a bulk validation job of all members of a mailing list. Only one job per list can run at a time.',
+      parameters: LIST_VALIDATION_PARAMS,
+      responses: { '202': JOB_SUBMITTED_RESPONSE },
+      security: [{ basicAuth: [] }],
+    },
+    get: {
+      tags: ['Mailing Lists'],
+      summary: 'Get the validation status of a mailing list',
+      description: "Returns the status of the list's validation job and, once it has completed, a summary of the results and links to download them.",
+      parameters: LIST_VALIDATION_PARAMS,
+      responses: {
+        '200': jsonResponse('OK', { $ref: '#/components/schemas/ListValidationJob' }),
+        '404': { description: 'Not Found' },
+      },
+      security: [{ basicAuth: [] }],
+    },
+    delete: {
+      tags: ['Mailing Lists'],
+      summary: 'Cancel the validation of a mailing list',
+      description: 'Cancels the running validation job of a mailing list.',
+      parameters: LIST_VALIDATION_PARAMS,
+      responses: { '200': JOB_CANCELED_RESPONSE },
+      security: [{ basicAuth: [] }],
+    },
+  },
+  '/v4/address/validate': {
+    get: {
+      tags: [EMAIL_VALIDATION_TAG],
+      summary: 'Validate an email address',
+      description: 'Checks the syntax, domain and mailbox of a single address and rates the risk of sending to it. Each call counts against the validation quota.',
+      parameters: [
+        { name: 'address', in: 'query', description: 'The address to validate', required: true, schema: { type: 'string' } },
+        {
+          name: 'provider_lookup',
+          in: 'query',
+          description: 'Whether the mailbox is checked with the email provider. Defaults to true.',
+          schema: { type: 'boolean' },
+        },
+      ],
+      responses: {
+        '200': jsonResponse('OK', { $ref: '#/components/schemas/AddressValidation' }),
+        '400': { description: 'Bad Request' },
+      },
+      security: [{ basicAuth: [] }],
+    },
+  },
+  '/v4/address/validate/bulk': {
+    get: {
+      tags: [EMAIL_VALIDATION_TAG],
+      summary: 'List bulk validation jobs',
+      description: 'Returns the bulk validation jobs of the account.',
+      parameters: [
+        { name: 'limit', in: 'query', description: 'Max count of jobs. Default: 500', schema: { type: 'integer' } },
+      ],
+      responses: {
+        '200': jsonResponse('OK', {
+          type: 'object',
+          properties: {
+            jobs: { type: 'array', items: { $ref: '#/components/schemas/ListValidationJob' } },
+            total: { type: 'integer' },
+          },
+        }),
+      },
+      security: [{ basicAuth: [] }],
+    },
+  },
+  '/v4/address/validate/bulk/{list_id}': {
+    post: {
+      tags: [EMAIL_VALIDATION_TAG],
+      summary: 'Create a bulk validation job',
+      description: 'Uploads a CSV file of addresses, with an email or email_address column, and starts validating them. The file may be gzipped and can be up to 25 MB.',
+      parameters: BULK_VALIDATION_PARAMS,
+      requestBody: {
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              properties: {
+                file: { type: 'string', format: 'binary', description: 'CSV file of the addresses' },
+              },
+              required: ['file'],
+            },
+          },
+        },
+      },
+      responses: { '202': JOB_SUBMITTED_RESPONSE },
+      security: [{ basicAuth: [] }],
+    },
+    get: {
+      tags: [EMAIL_VALIDATION_TAG],
+      summary: 'Get the status and results of a bulk validation job',
+      description: 'Returns the status of the job and, once it has completed, a summary of the results and links to download the result of every address.',
+      parameters: BULK_VALIDATION_PARAMS,
+      responses: {
+        '200': jsonResponse('OK', { $ref: '#/components/schemas/ListValidationJob' }),
+        '404': { description: 'Not Found' },
+      },
+      security: [{ basicAuth: [] }],
+    },
+    delete: {
+      tags: [EMAIL_VALIDATION_TAG],
+      summary: 'Delete a bulk validation job',
+      description: 'Cancels a running job, or deletes a completed job and its results.',
+      parameters: BULK_VALIDATION_PARAMS,
+      responses: { '200': JOB_CANCELED_RESPONSE },
+      security: [{ basicAuth: [] }],
+    },
+  },
+};
+
+// Schemas the added endpoints refer to, by name
+const MISSING_SCHEMAS = {
+  ListValidationJob: {
+    type: 'object',
+    properties: {
+      created_at: { type: 'integer', description: 'Creation time of the job in epoch seconds' },
+      download_url: { type: 'object', properties: { csv: { type: 'string' }, json: { type: 'string' } } },
+      id: { type: 'string', description: 'Address of the mailing list' },
+      quantity: { type: 'integer', description: 'Number of addresses to validate' },
+      records_processed: { type: 'integer', description: 'Number of addresses validated so far' },
+      status: { type: 'string', description: 'Status of the job, e.g. created, processing, uploaded or failed' },
+      summary: {
+        type: 'object',
+        properties: {
+          result: { type: 'object', additionalProperties: { type: 'integer' } },
+          risk: { type: 'object', additionalProperties: { type: 'integer' } },
+        },
+      },
+    },
+  },
+  AddressValidation: {
+    type: 'object',
+    properties: {
+      address: { type: 'string' },
+      did_you_mean: { type: 'string', nullable: true, description: 'Suggested correction of a likely typo' },
+      engagement: { type: 'object', properties: { engaging: { type: 'boolean' }, is_bot: { type: 'boolean' } } },
+      is_disposable_address: { type: 'boolean' },
+      is_role_address: { type: 'boolean' },
+      reason: { type: 'array', items: { type: 'string' } },
+      result: { type: 'string', description: 'deliverable, undeliverable, do_not_send, catch_all or unknown' },
+      risk: { type: 'string', description: 'low, medium, high or unknown' },
+    },
+  },
+};
+
+// Item schemas of the suppression lists added with a JSON body. The bundled
+// spec describes them with the stored records, whose fields such as code or
+// error cannot be sent and whose created_at is required.
+const SUPPRESSION_LIST_ITEMS = {
+  'github.com-mailgun-blackbook-api-BouncesList': {
+    $ref: '#/components/schemas/POST-v3-domainID-bounces-application-form-data-RequestBody',
+  },
+  'github.com-mailgun-blackbook-api-UnsubscribesList': {
+    type: 'object',
+    properties: {
+      address: { type: 'string', description: 'Valid email address' },
+      tags: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Tags to unsubscribe from, use * to unsubscribe an address from all domain’s correspondence (optional, default: *)',
+      },
+      created_at: {
+        type: 'string',
+        description: 'Timestamp of an unsubscribe event in RFC2822 format (optional, default: current time)',
+      },
+    },
+    required: ['address'],
+  },
+  'github.com-mailgun-blackbook-api-ComplaintsList': {
+    $ref: '#/components/schemas/POST-v3-domainID-complaints-application-form-data-RequestBody',
+  },
+};
+
+/**
+ * Applies the corrections and additions to a loaded spec
+ *
+ * Endpoints and schemas are only added where the spec lacks them, so a
+ * newer spec that has its own definitions keeps them. The suppression list
+ * item schemas are replaced wherever the lists are defined.
+ * @param {Object} spec - Parsed OpenAPI specification, changed in place
+ * @returns {Object} - The patched specification
+ */
+export function applySpecPatches(spec) {
+  for (const [path, operations] of Object.entries(MISSING_PATHS)) {
+    spec.paths[path] = { ...structuredClone(operations), ...spec.paths[path] };
+  }
+
+  spec.components ??= {};
+  spec.components.schemas ??= {};
+  const { schemas } = spec.components;
+  for (const [name, schema] of Object.entries(MISSING_SCHEMAS)) {
+    schemas[name] ??= structuredClone(schema);
+  }
+  for (const [name, items] of Object.entries(SUPPRESSION_LIST_ITEMS)) {
+    if (schemas[name]?.type === 'array') {
+      schemas[name] = { ...schemas[name], items: structuredClone(items) };
+    }
+  }
+
+  if (Array.isArray(spec.tags) && !spec.tags.some(tag => tag.name === EMAIL_VALIDATION_TAG)) {
+    spec.tags.push({
+      name: EMAIL_VALIDATION_TAG,
+      description: 'Check email addresses before sending to them, one at a time or in bulk jobs.',
+      'x-displayName': EMAIL_VALIDATION_TAG,
+    });
+  }
+  if (Array.isArray(spec['x-tagGroups']) && !spec['x-tagGroups'].some(group => group.name === EMAIL_VALIDATION_TAG)) {
+    spec['x-tagGroups'].push({ name: EMAIL_VALIDATION_TAG, tags: [EMAIL_VALIDATION_TAG] });
+  }
+
+  return spec;
+}
@@ -1,29 +1,62 @@
 import express from "express";
-import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
-import { server, main } from "./mailgun-mcp.js";
-
-const app = express();
-
-let transport;
-
-app.get("/sse", async (req, res) => {
-  transport = new SSEServerTransport("/messages", res);
-  await server.connect(transport);
-
-  server.onclose = async () => {
-    await server.close();
-    process.exit(0);
-  };
+import { createSessionServer, loadToolContext, runSpecCheck } from "./mailgun-mcp.js";
+import { getAuthConfig } from "./auth.js";
+import { createHttpApp } from "./http.js";
+import { WebhookEventBuffer, createWebhookHandler, getWebhookConfig } from "./webhooks.js";
+
+// Print the spec validation report and exit without starting a transport
+if (process.argv.includes("--check-spec")) {
+  process.exit(runSpecCheck());
+}
+
+// Time given to open connections to finish on shutdown
+const SHUTDOWN_TIMEOUT_MS = 10000;
+
+const auth = getAuthConfig();
+if (!auth?.clients.size) {
+  console.warn("No client tokens configured, anyone who can reach the port can use the server. Set MAILGUN_MCP_AUTH_TOKENS or MAILGUN_MCP_AUTH_FILE");
+}
+
+// Receive Mailgun webhooks when a signing key is configured
+const webhookConfig = getWebhookConfig();
+const webhookEvents = webhookConfig
+  ? new WebhookEventBuffer({ size: webhookConfig.bufferSize, maxAgeSeconds: webhookConfig.maxAgeSeconds })
+  : null;
+
+let toolContext;
+try {
+  toolContext = loadToolContext({ webhookEvents });
+} catch (error) {
+  console.error("Fatal error loading the tools:", error);
+  process.exit(1);
+}
+
+const { app, closeSessions } = createHttpApp({
+  createServer: client => createSessionServer(toolContext, client),
+  auth,
 });
 
-app.post("/messages", async (req, res) => {
-  await transport.handlePostMessage(req, res);
-});
+if (webhookConfig) {
+  app.post(webhookConfig.path, express.json({ limit: "1mb" }), createWebhookHandler(webhookEvents, webhookConfig));
+}
 
 const port = process.env.PORT || 3001;
 
-app.listen(port, () => {
-  console.log(`Mailgun MCP SSE Server is running on http://localhost:${port}/sse`);
+const httpServer = app.listen(port, () => {
+  console.log(`Mailgun MCP HTTP Server is running on http://localhost:${port}/mcp (SSE: http://localhost:${port}/sse)`);
 });
 
-await main()
+/**
+ * Closes all sessions and stops accepting connections, then exits
+ * @param {string} signal - Signal that triggered the shutdown
+ */
+async function shutdown(signal) {
+  console.log(`Received ${signal}, shutting down`);
+  setTimeout(() => process.exit(1), SHUTDOWN_TIMEOUT_MS).unref();
+  await closeSessions();
+  httpServer.close(() => process.exit(0));
+  httpServer.closeIdleConnections();
+}
+
+process.once("SIGTERM", () => shutdown("SIGTERM"));
+process.once("SIGINT", () => shutdown("SIGINT"));
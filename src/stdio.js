@@ -1,5 +1,10 @@
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
-import { server, main} from "./mailgun-mcp.js";
+import { server, main, runSpecCheck } from "./mailgun-mcp.js";
+
+// Print the spec validation report and exit without starting a transport
+if (process.argv.includes("--check-spec")) {
+  process.exit(runSpecCheck());
+}
 
 await main()
 
@@ -0,0 +1,89 @@
+import { InputError } from "./errors.js";
+
+// Mailgun API and storage hosts, e.g. storage-us-east4.api.mailgun.net or se.api.eu.mailgun.net
+const MAILGUN_HOST_PATTERN = /^([a-z0-9-]+\.)?api(\.eu)?\.mailgun\.net$/;
+
+// Path of a stored message on a storage host
+const STORED_MESSAGE_PATH_PATTERN = /^\/v3\/domains\/([^/]+)\/messages\/([^/]+)$/;
+
+/**
+ * Builds the path of a stored message
+ * @param {string} domain - Sending domain
+ * @param {string} key - Storage key from the message's events
+ * @returns {string} - API path
+ */
+export function storedMessagePath(domain, key) {
+  return `/v3/domains/${encodeURIComponent(domain)}/messages/${encodeURIComponent(key)}`;
+}
+
+/**
+ * Parses and checks the storage URL of a stored message
+ *
+ * The API key is sent along with the request, so only HTTPS Mailgun hosts
+ * and explicitly allowed origins are accepted.
+ * @param {string} storageUrl - storage.url of an event
+ * @param {Object} options - Options
+ * @param {string[]} [options.allowedOrigins] - Further origins, e.g. a local Mailgun stand-in
+ * @returns {Object} - Base URL, API path, domain and storage key
+ */
+export function parseStorageUrl(storageUrl, { allowedOrigins = [] } = {}) {
+  let url;
+  try {
+    url = new URL(storageUrl);
+  } catch {
+    throw new InputError(`Invalid storage URL '${storageUrl}'`);
+  }
+
+  const isMailgunHost = url.protocol === 'https:' && !url.port && MAILGUN_HOST_PATTERN.test(url.hostname);
+  if (!isMailgunHost && !allowedOrigins.includes(url.origin)) {
+    throw new InputError(`Storage URL '${storageUrl}' does not point at a Mailgun storage host`);
+  }
+  if (url.username || url.password || url.search || url.hash) {
+    throw new InputError(`Storage URL '${storageUrl}' must not have credentials, a query or a fragment`);
+  }
+
+  const match = url.pathname.match(STORED_MESSAGE_PATH_PATTERN);
+  if (!match) {
+    throw new InputError(`Storage URL '${storageUrl}' is not a stored message, expected /v3/domains/{domain}/messages/{key}`);
+  }
+  return {
+    baseUrl: url.origin,
+    path: url.pathname,
+    domain: decodeURIComponent(match[1]),
+    key: decodeURIComponent(match[2]),
+  };
+}
+
+/**
+ * Converts a stored message into headers, bodies and attachment metadata
+ * @param {Object} message - Response of GET /v3/domains/{domain}/messages/{key}
+ * @returns {Object} - Readable view of the message
+ */
+export function formatStoredMessage(message) {
+  const headers = {};
+  for (const [name, value] of message['message-headers'] || []) {
+    if (headers[name] === undefined) {
+      headers[name] = value;
+    } else {
+      headers[name] = [].concat(headers[name], value);
+    }
+  }
+
+  return {
+    from: message.From ?? message.from ?? headers.From ?? null,
+    to: message.To ?? headers.To ?? null,
+    recipients: message.recipients ?? null,
+    subject: message.Subject ?? message.subject ?? headers.Subject ?? null,
+    date: headers.Date ?? null,
+    message_id: message['Message-Id'] ?? headers['Message-Id'] ?? null,
+    headers,
+    text: message['body-plain'] ?? null,
+    html: message['body-html'] ?? null,
+    attachments: (message.attachments || []).map(attachment => ({
+      name: attachment.name ?? attachment.filename,
+      content_type: attachment['content-type'],
+      size: attachment.size,
+      url: attachment.url,
+    })),
+  };
+}
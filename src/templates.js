@@ -0,0 +1,265 @@
+import { z } from "zod";
+import { InputError } from "./errors.js";
+
+// Header Mailgun reads template variables from
+export const TEMPLATE_VARIABLES_HEADER = 'h:X-Mailgun-Variables';
+
+// Parameters added to the send-message tool
+export const templateVariablesParamsSchema = {
+  variables: z.record(z.any()).optional()
+    .describe(`Template variables as an object, sent as JSON in ${TEMPLATE_VARIABLES_HEADER}`),
+};
+
+// Characters escaped by {{ }} expressions, as in Handlebars
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#x27;',
+  '`': '&#x60;',
+  '=': '&#x3D;',
+};
+
+/**
+ * Moves the structured template variables of a send-message call into the
+ * header Mailgun expects them in
+ * @param {Object} bodyParams - Request body parameters
+ * @returns {Object} - Body parameters without `variables`
+ */
+export function applyTemplateVariables(bodyParams) {
+  const { variables, ...rest } = bodyParams;
+  if (variables === undefined) {
+    return bodyParams;
+  }
+  if (rest[TEMPLATE_VARIABLES_HEADER] !== undefined) {
+    throw new InputError(`Pass template variables either as variables or as ${TEMPLATE_VARIABLES_HEADER}, not both`);
+  }
+  return { ...rest, [TEMPLATE_VARIABLES_HEADER]: JSON.stringify(variables) };
+}
+
+/**
+ * Splits a template into text and tag tokens
+ * @param {string} source - Template source
+ * @returns {Object[]} - Tokens
+ */
+function tokenize(source) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < source.length) {
+    const start = source.indexOf('{{', position);
+    if (start === -1) {
+      tokens.push({ type: 'text', value: source.substring(position) });
+      break;
+    }
+    if (start > position) {
+      tokens.push({ type: 'text', value: source.substring(position, start) });
+    }
+
+    let closing = '}}';
+    if (source.startsWith('{{{', start)) closing = '}}}';
+    else if (source.startsWith('{{!--', start)) closing = '--}}';
+    const end = source.indexOf(closing, start + 2);
+    if (end === -1) {
+      throw new InputError(`Unclosed tag at position ${start}`);
+    }
+    position = end + closing.length;
+
+    if (closing === '}}}') {
+      tokens.push({ type: 'variable', expression: source.substring(start + 3, end).trim(), raw: true });
+      continue;
+    }
+    const content = source.substring(start + 2, end).trim();
+    if (content.startsWith('!')) continue;
+    if (content.startsWith('#')) {
+      const [helper, ...args] = splitArguments(content.substring(1));
+      tokens.push({ type: 'open', helper, args });
+    } else if (content.startsWith('/')) {
+      tokens.push({ type: 'close', helper: content.substring(1).trim() });
+    } else if (content === 'else') {
+      tokens.push({ type: 'else' });
+    } else {
+      tokens.push({ type: 'variable', expression: content, raw: false });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Splits helper arguments, keeping quoted strings together
+ * @param {string} content - Tag content after the `#`
+ * @returns {string[]} - Helper name and arguments
+ */
+function splitArguments(content) {
+  return content.match(/"[^"]*"|'[^']*'|\S+/g) || [];
+}
+
+/**
+ * Parses a template into a tree of text, variable and block nodes
+ * @param {string} source - Template source
+ * @returns {Object[]} - Top-level nodes
+ */
+function parseTemplate(source) {
+  const root = { children: [] };
+  const stack = [root];
+
+  for (const token of tokenize(source)) {
+    const current = stack[stack.length - 1];
+    if (token.type === 'open') {
+      const block = { type: 'block', helper: token.helper, args: token.args, body: [], inverse: [] };
+      block.children = block.body;
+      current.children.push(block);
+      stack.push(block);
+    } else if (token.type === 'else') {
+      if (current === root) throw new InputError('{{else}} outside of a block');
+      current.children = current.inverse;
+    } else if (token.type === 'close') {
+      if (current === root || current.helper !== token.helper) {
+        throw new InputError(`Unexpected {{/${token.helper}}}`);
+      }
+      stack.pop();
+    } else {
+      current.children.push(token);
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new InputError(`Unclosed {{#${stack[stack.length - 1].helper}}} block`);
+  }
+  return root.children;
+}
+
+/**
+ * Looks up an expression such as `name`, `user.name`, `this`, `../name`,
+ * `@index` or a string or number literal
+ * @param {string} expression - Expression to evaluate
+ * @param {Object[]} frames - Context frames, innermost last
+ * @param {Set<string>} missing - Collects variables that have no value
+ * @returns {*} - Value of the expression
+ */
+function lookup(expression, frames, missing) {
+  if (/^(["']).*\1$/.test(expression)) {
+    return expression.slice(1, -1);
+  }
+  if (/^-?\d+(\.\d+)?$/.test(expression)) {
+    return Number(expression);
+  }
+  if (['true', 'false', 'null'].includes(expression)) {
+    return JSON.parse(expression);
+  }
+
+  let path = expression;
+  let depth = 0;
+  while (path.startsWith('../')) {
+    path = path.substring(3);
+    depth += 1;
+  }
+  if (path.startsWith('@root')) {
+    path = path.replace(/^@root\.?/, '');
+    depth = frames.length - 1;
+  }
+  const frame = frames[Math.max(frames.length - 1 - depth, 0)];
+
+  if (path.startsWith('@')) {
+    return frame.data?.[path.substring(1)];
+  }
+  path = path.replace(/^(this|\.)(\/|\.|$)/, '');
+  const value = path
+    ? path.split(/[./]/).reduce((obj, segment) => obj?.[segment], frame.context)
+    : frame.context;
+
+  if (value === undefined) {
+    missing.add(expression);
+  }
+  return value;
+}
+
+/**
+ * Applies Handlebars truthiness, where empty lists are false
+ * @param {*} value - Value to test
+ * @returns {boolean} - Whether the value counts as true
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Renders parsed nodes
+ * @param {Object[]} nodes - Nodes to render
+ * @param {Object[]} frames - Context frames, innermost last
+ * @param {Set<string>} missing - Collects variables that have no value
+ * @returns {string} - Rendered text
+ */
+function renderNodes(nodes, frames, missing) {
+  let output = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'variable') {
+      const value = lookup(node.expression, frames, missing);
+      const text = value === undefined || value === null ? '' : String(value);
+      output += node.raw ? text : text.replace(/[&<>"'`=]/g, char => HTML_ESCAPES[char]);
+    } else {
+      output += renderBlock(node, frames, missing);
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Renders a block helper: if, unless, each, with or equal
+ * @param {Object} block - Block node
+ * @param {Object[]} frames - Context frames, innermost last
+ * @param {Set<string>} missing - Collects variables that have no value
+ * @returns {string} - Rendered text
+ */
+function renderBlock(block, frames, missing) {
+  const values = block.args.map(arg => lookup(arg, frames, missing));
+  const [value] = values;
+
+  switch (block.helper) {
+    case 'if':
+      return renderNodes(isTruthy(value) ? block.body : block.inverse, frames, missing);
+    case 'unless':
+      return renderNodes(isTruthy(value) ? block.inverse : block.body, frames, missing);
+    case 'equal':
+      return renderNodes(String(values[0]) === String(values[1]) ? block.body : block.inverse, frames, missing);
+    case 'with':
+      return isTruthy(value)
+        ? renderNodes(block.body, [...frames, { context: value }], missing)
+        : renderNodes(block.inverse, frames, missing);
+    case 'each': {
+      const entries = Array.isArray(value)
+        ? value.map((item, index) => [index, item])
+        : Object.entries(value && typeof value === 'object' ? value : {});
+      if (entries.length === 0) {
+        return renderNodes(block.inverse, frames, missing);
+      }
+      return entries.map(([key, item], index) => renderNodes(block.body, [...frames, {
+        context: item,
+        data: { index, key, first: index === 0, last: index === entries.length - 1 },
+      }], missing)).join('');
+    }
+    default:
+      throw new InputError(`Unsupported helper '${block.helper}', previews support if, unless, each, with and equal`);
+  }
+}
+
+/**
+ * Renders a Mailgun (Handlebars) template locally
+ *
+ * Supports variables, triple-stash raw output, comments and the if,
+ * unless, each, with and equal block helpers.
+ * @param {string} source - Template source
+ * @param {Object} variables - Template variables
+ * @returns {Object} - Rendered output and the variables that had no value
+ */
+export function renderTemplate(source, variables = {}) {
+  const missing = new Set();
+  const output = renderNodes(parseTemplate(source), [{ context: variables }], missing);
+  return { output, missing: [...missing] };
+}
@@ -0,0 +1,188 @@
+import crypto from "node:crypto";
+
+// Number of webhook events kept for the events tool
+const DEFAULT_BUFFER_SIZE = 500;
+
+// Webhooks signed longer ago than this are rejected, Mailgun sends them right away
+const DEFAULT_MAX_AGE_SECONDS = 300;
+
+// Path the webhook receiver is mounted on unless MAILGUN_WEBHOOK_PATH is set
+export const DEFAULT_WEBHOOK_PATH = '/webhooks/mailgun';
+
+/**
+ * Returns the webhook receiver configuration from the environment
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} - Receiver configuration, null if no signing key is set
+ */
+export function getWebhookConfig(env = process.env) {
+  if (!env.MAILGUN_WEBHOOK_SIGNING_KEY) {
+    return null;
+  }
+
+  const positive = (value, fallback) => {
+    const number = Number(value);
+    return Number.isInteger(number) && number > 0 ? number : fallback;
+  };
+  return {
+    signingKey: env.MAILGUN_WEBHOOK_SIGNING_KEY,
+    path: env.MAILGUN_WEBHOOK_PATH || DEFAULT_WEBHOOK_PATH,
+    bufferSize: positive(env.MAILGUN_WEBHOOK_BUFFER_SIZE, DEFAULT_BUFFER_SIZE),
+    maxAgeSeconds: positive(env.MAILGUN_WEBHOOK_MAX_AGE_SECONDS, DEFAULT_MAX_AGE_SECONDS),
+  };
+}
+
+/**
+ * Checks the HMAC signature Mailgun adds to every webhook
+ * @param {Object} signature - The webhook's signature object
+ * @param {string} signature.timestamp - Seconds since the epoch
+ * @param {string} signature.token - Random token
+ * @param {string} signature.signature - Hex HMAC-SHA256 of timestamp and token
+ * @param {string} signingKey - Webhook signing key of the Mailgun account
+ * @returns {boolean} - True if the signature is valid
+ */
+export function verifyWebhookSignature({ timestamp, token, signature } = {}, signingKey) {
+  if (typeof timestamp !== 'string' && typeof timestamp !== 'number') return false;
+  if (typeof token !== 'string' || typeof signature !== 'string') return false;
+
+  const expected = crypto.createHmac('sha256', signingKey).update(`${timestamp}${token}`).digest();
+  const actual = Buffer.from(signature, 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Returns the sending domain of a webhook event
+ *
+ * Taken from the storage URL of the message, which names the domain, or
+ * else from the envelope sender.
+ * @param {Object} eventData - The webhook's event-data
+ * @returns {string|null} - Lower-cased domain, null if the event names none
+ */
+export function eventDomain(eventData) {
+  const storagePath = String(eventData?.storage?.url ?? '').match(/\/v3\/domains\/([^/]+)\//);
+  if (storagePath) {
+    return decodeURIComponent(storagePath[1]).toLowerCase();
+  }
+  const sender = eventData?.envelope?.sender;
+  if (typeof sender === 'string' && sender.includes('@')) {
+    return sender.substring(sender.lastIndexOf('@') + 1).toLowerCase();
+  }
+  return null;
+}
+
+/**
+ * Keeps the most recent webhook events and the tokens seen recently
+ */
+export class WebhookEventBuffer {
+  /**
+   * @param {Object} options - Buffer options
+   * @param {number} [options.size] - Maximum number of events kept
+   * @param {number} [options.maxAgeSeconds] - How long tokens are remembered to detect replays
+   */
+  constructor({ size = DEFAULT_BUFFER_SIZE, maxAgeSeconds = DEFAULT_MAX_AGE_SECONDS } = {}) {
+    this.size = size;
+    this.maxAgeSeconds = maxAgeSeconds;
+    this.events = [];
+    this.tokens = new Map();
+    this.sequence = 0;
+  }
+
+  /**
+   * Records a token, unless it was seen before
+   * @param {string} token - Webhook token
+   * @param {number} timestamp - Webhook timestamp in seconds
+   * @param {number} now - Current time in seconds
+   * @returns {boolean} - False if the token is a replay
+   */
+  rememberToken(token, timestamp, now) {
+    // Tokens older than the maximum age are rejected by timestamp anyway
+    for (const [seenToken, seenAt] of this.tokens) {
+      if (seenAt < now - this.maxAgeSeconds) {
+        this.tokens.delete(seenToken);
+      }
+    }
+    if (this.tokens.has(token)) {
+      return false;
+    }
+    this.tokens.set(token, timestamp);
+    return true;
+  }
+
+  /**
+   * Adds an event, dropping the oldest one when the buffer is full
+   * @param {Object} eventData - The webhook's event-data
+   * @returns {Object} - Buffered entry with its sequence number
+   */
+  add(eventData) {
+    this.sequence += 1;
+    const entry = { seq: this.sequence, received_at: new Date().toISOString(), event: eventData };
+    this.events.push(entry);
+    if (this.events.length > this.size) {
+      this.events.shift();
+    }
+    return entry;
+  }
+
+  /**
+   * Returns buffered events, oldest first
+   * @param {Object} filters - Query filters
+   * @param {string[]} [filters.events] - Event types, e.g. failed or opened
+   * @param {string} [filters.recipient] - Recipient address
+   * @param {Date} [filters.since] - Only events that happened at or after this time
+   * @param {number} [filters.after] - Only events with a higher sequence number
+   * @param {string[]} [filters.domains] - Only events of these sending domains, see eventDomain
+   * @param {number} [filters.limit] - Maximum number of events, the most recent are kept
+   * @returns {Object[]} - Matching buffered entries
+   */
+  query({ events, recipient, since, after, domains, limit = 50 } = {}) {
+    const wantedEvents = events?.map(event => event.toLowerCase());
+    const matches = this.events.filter(({ seq, event }) => {
+      if (after !== undefined && seq <= after) return false;
+      if (domains && !domains.includes(eventDomain(event))) return false;
+      if (wantedEvents && !wantedEvents.includes(String(event.event).toLowerCase())) return false;
+      if (recipient && String(event.recipient).toLowerCase() !== recipient.toLowerCase()) return false;
+      if (since && Number(event.timestamp) * 1000 < since.getTime()) return false;
+      return true;
+    });
+    return matches.slice(-limit);
+  }
+}
+
+/**
+ * Creates the express handler that receives Mailgun webhooks
+ *
+ * Requests need a valid signature and a recent timestamp, and each token is
+ * accepted once. Rejected webhooks get 406 so Mailgun does not retry them.
+ * @param {WebhookEventBuffer} buffer - Buffer the events are added to
+ * @param {Object} options - Receiver options
+ * @param {string} options.signingKey - Webhook signing key
+ * @param {number} [options.maxAgeSeconds] - Maximum age of the signature timestamp
+ * @param {Function} [options.now] - Returns the current time in milliseconds
+ * @returns {Function} - Express request handler, expects a parsed JSON body
+ */
+export function createWebhookHandler(buffer, { signingKey, maxAgeSeconds = DEFAULT_MAX_AGE_SECONDS, now = Date.now }) {
+  return (req, res) => {
+    const { signature, 'event-data': eventData } = req.body || {};
+    if (!signature || !eventData || typeof eventData !== 'object') {
+      res.status(400).json({ message: 'Expected a JSON webhook with signature and event-data' });
+      return;
+    }
+    if (!verifyWebhookSignature(signature, signingKey)) {
+      res.status(406).json({ message: 'Invalid signature' });
+      return;
+    }
+
+    const currentSeconds = now() / 1000;
+    const timestamp = Number(signature.timestamp);
+    if (Math.abs(currentSeconds - timestamp) > maxAgeSeconds) {
+      res.status(406).json({ message: 'Stale timestamp' });
+      return;
+    }
+    if (!buffer.rememberToken(signature.token, timestamp, currentSeconds)) {
+      res.status(406).json({ message: 'Replayed webhook' });
+      return;
+    }
+
+    const entry = buffer.add(eventData);
+    res.status(200).json({ message: 'Received', seq: entry.seq });
+  };
+}
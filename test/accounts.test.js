@@ -0,0 +1,88 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import * as path from 'path';
+import * as accounts from '../src/accounts.js';
+
+describe('Mailgun account profiles', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mailgun-accounts-'));
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const writeAccountsFile = (config) => {
+    const filePath = path.join(tmpDir, `accounts-${Math.random().toString(36).slice(2)}.json`);
+    fs.writeFileSync(filePath, JSON.stringify(config));
+    return filePath;
+  };
+
+  describe('loadAccounts()', () => {
+    test('is disabled without an accounts file', () => {
+      expect(accounts.loadAccounts({})).toBeNull();
+    });
+
+    test('reads profiles by name', () => {
+      const loaded = accounts.loadAccounts({
+        MAILGUN_MCP_ACCOUNTS_FILE: writeAccountsFile({
+          accounts: {
+            acme: { mailgun_api_key: 'key-acme', region: 'eu', description: 'Acme Inc.' },
+            globex: { subaccount: '456' },
+          },
+        }),
+      });
+
+      expect([...loaded.keys()]).toEqual(['acme', 'globex']);
+      expect(loaded.get('acme')).toEqual({
+        name: 'acme',
+        apiKey: 'key-acme',
+        region: 'eu',
+        subaccount: undefined,
+        description: 'Acme Inc.',
+      });
+      expect(loaded.get('globex')).toMatchObject({ apiKey: undefined, subaccount: '456' });
+    });
+
+    test('rejects invalid accounts files', () => {
+      const list = writeAccountsFile({ accounts: [{ name: 'acme' }] });
+      const emptyKey = writeAccountsFile({ accounts: { acme: { mailgun_api_key: '' } } });
+
+      expect(() => accounts.loadAccounts({ MAILGUN_MCP_ACCOUNTS_FILE: list }))
+        .toThrow(`Accounts file ${list} needs an accounts object keyed by profile name`);
+      expect(() => accounts.loadAccounts({ MAILGUN_MCP_ACCOUNTS_FILE: emptyKey }))
+        .toThrow(`Account 'acme' of accounts file ${emptyKey} has an invalid mailgun_api_key`);
+      expect(() => accounts.loadAccounts({ MAILGUN_MCP_ACCOUNTS_FILE: path.join(tmpDir, 'missing.json') }))
+        .toThrow('Failed to load accounts file');
+    });
+  });
+
+  test('findAccount() names the configured profiles of unknown ones', () => {
+    const loaded = new Map([['acme', { name: 'acme', subaccount: '123' }]]);
+
+    expect(accounts.findAccount(loaded, 'acme')).toEqual({ name: 'acme', subaccount: '123' });
+    expect(() => accounts.findAccount(loaded, 'initech'))
+      .toThrow("Unknown Mailgun account 'initech', expected one of: acme");
+    expect(() => accounts.findAccount(null, 'acme')).toThrow('Set MAILGUN_MCP_ACCOUNTS_FILE');
+  });
+
+  test('describeAccounts() leaves out the API keys', () => {
+    const loaded = new Map([
+      ['acme', { name: 'acme', apiKey: 'key-acme', region: 'eu' }],
+      ['globex', { name: 'globex', subaccount: '456' }],
+    ]);
+
+    expect(accounts.describeAccounts(loaded)).toEqual([
+      { name: 'acme', region: 'eu', subaccount: null, description: null, own_api_key: true },
+      { name: 'globex', region: null, subaccount: '456', description: null, own_api_key: false },
+    ]);
+    expect(accounts.describeAccounts(null)).toEqual([]);
+  });
+
+  test('summarizeSubaccounts() counts shown and disabled subaccounts', () => {
+    const result = { subaccounts: [{ id: '123', status: 'open' }, { id: '456', status: 'disabled' }], total: 12 };
+
+    expect(accounts.summarizeSubaccounts(result)).toEqual({
+      summary: 'Subaccounts: 2 of 12 shown, 1 disabled; pass an id as subaccount to act on its behalf',
+      result,
+    });
+  });
+});
@@ -0,0 +1,98 @@
+import * as addresses from '../src/addresses.js';
+
+describe('Address validation', () => {
+  describe('findSyntaxError()', () => {
+    test.each([
+      'ada@example.com',
+      'ada.lovelace+news@mail.example.co.uk',
+      '"ada lovelace"@example.com',
+      'jörg@bücher.de',
+      'ada@example.xn--p1ai',
+    ])('accepts %s', address => {
+      expect(addresses.findSyntaxError(address)).toBeNull();
+    });
+
+    test.each([
+      ['example.com', 'the address has no @'],
+      ['@example.com', 'the part before the @ is empty'],
+      ['ada..lovelace@example.com', "'ada..lovelace' is not a valid mailbox name"],
+      ['ada lovelace@example.com', "'ada lovelace' is not a valid mailbox name"],
+      ['ada@', 'the domain is empty'],
+      ['ada@localhost', "'localhost' has no top-level domain"],
+      ['ada@-example.com', "'-example.com' is not a valid domain"],
+      ['ada@example.c0m', "'example.c0m' is not a valid domain"],
+      [`${'a'.repeat(65)}@example.com`, 'the part before the @ is longer than 64 characters'],
+    ])('rejects %s', (address, error) => {
+      expect(addresses.findSyntaxError(address)).toBe(error);
+    });
+  });
+
+  describe('precheckAddress()', () => {
+    test('settles invalid syntax and disposable domains locally', () => {
+      expect(addresses.precheckAddress(' ada@ ')).toMatchObject({
+        address: 'ada@',
+        result: 'undeliverable',
+        risk: 'high',
+        reason: ['invalid_syntax'],
+      });
+      expect(addresses.precheckAddress('ada@eu.Mailinator.com')).toMatchObject({
+        result: 'do_not_send',
+        reason: ['mailbox_is_disposable_address'],
+        is_disposable_address: true,
+      });
+    });
+
+    test('flags role addresses but leaves the verdict to Mailgun', () => {
+      expect(addresses.precheckAddress('Support+eu@example.com')).toEqual({
+        address: 'Support+eu@example.com',
+        result: null,
+        risk: null,
+        reason: ['mailbox_is_role_address'],
+        is_disposable_address: false,
+        is_role_address: true,
+      });
+    });
+  });
+
+  describe('parseAddressContent()', () => {
+    test('reads the address column of CSV content', () => {
+      expect(addresses.parseAddressContent('Name,Email_Address\nAda,ada@example.com\nBob\n')).toEqual([
+        { row: 2, address: 'ada@example.com' },
+        { row: 3, address: '' },
+      ]);
+    });
+
+    test('reads a single column without header', () => {
+      expect(addresses.parseAddressContent('ada@example.com\r\nbob@example.com')).toEqual([
+        { row: 1, address: 'ada@example.com' },
+        { row: 2, address: 'bob@example.com' },
+      ]);
+    });
+
+    test('reads JSON lists of addresses or objects', () => {
+      expect(addresses.parseAddressContent('["ada@example.com", {"email": "bob@example.com"}, {"address": "eve@example.com"}]')).toEqual([
+        { row: 1, address: 'ada@example.com' },
+        { row: 2, address: 'bob@example.com' },
+        { row: 3, address: 'eve@example.com' },
+      ]);
+    });
+
+    test('rejects CSV content without an address column', () => {
+      expect(() => addresses.parseAddressContent('name,plan\nAda,pro')).toThrow('The CSV header row needs an email, email_address or address column');
+    });
+  });
+
+  test('toValidationCsv() quotes addresses where needed', () => {
+    expect(addresses.toValidationCsv(['ada@example.com', '"a,b"@example.com'])).toBe('email\nada@example.com\n"""a,b""@example.com"\n');
+  });
+
+  test('summarizeAddressValidation() names the result, risk, reasons and suggestion', () => {
+    expect(addresses.summarizeAddressValidation({
+      address: 'ada@gmial.com',
+      result: 'undeliverable',
+      risk: 'high',
+      reason: ['no_mx'],
+      did_you_mean: 'ada@gmail.com',
+    })).toBe('ada@gmial.com: undeliverable, high risk (no_mx), did you mean ada@gmail.com?');
+  });
+});
@@ -0,0 +1,108 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import * as path from 'path';
+import * as attachments from '../src/attachments.js';
+
+describe('Attachments', () => {
+  let attachmentDir;
+  let outsideDir;
+  const originalEnv = { ...process.env };
+
+  beforeAll(() => {
+    attachmentDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mailgun-attachments-'));
+    outsideDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mailgun-outside-'));
+    fs.writeFileSync(path.join(attachmentDir, 'report.csv'), 'id,total\n1,42\n');
+    fs.writeFileSync(path.join(outsideDir, 'secret.txt'), 'secret');
+  });
+
+  afterAll(() => {
+    fs.rmSync(attachmentDir, { recursive: true, force: true });
+    fs.rmSync(outsideDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    process.env.MAILGUN_ATTACHMENT_DIR = attachmentDir;
+  });
+
+  afterEach(() => {
+    delete process.env.MAILGUN_ATTACHMENT_DIR;
+    delete process.env.MAILGUN_ATTACHMENT_MAX_BYTES;
+    Object.assign(process.env, originalEnv);
+  });
+
+  describe('toFilePart()', () => {
+    test('decodes base64 content and infers the content type', () => {
+      const result = attachments.toFilePart({
+        filename: 'logo.png',
+        content: Buffer.from('png-bytes').toString('base64')
+      });
+
+      expect(result).toBeInstanceOf(attachments.FilePart);
+      expect(result.contentType).toBe('image/png');
+      expect(result.data.toString()).toBe('png-bytes');
+      expect(result.size).toBe(9);
+    });
+
+    test('references files inside the attachment directory', () => {
+      const result = attachments.toFilePart({ path: 'report.csv' });
+
+      expect(result.filename).toBe('report.csv');
+      expect(result.contentType).toBe('text/csv');
+      expect(result.filePath).toBe(fs.realpathSync(path.join(attachmentDir, 'report.csv')));
+      expect(result.data).toBeNull();
+    });
+
+    test('rejects paths outside of the attachment directory', () => {
+      expect(() => attachments.toFilePart({ path: path.join(outsideDir, 'secret.txt') }))
+        .toThrow(/outside of the allowed attachment directory/);
+      expect(() => attachments.toFilePart({ path: '../' + path.basename(outsideDir) + '/secret.txt' }))
+        .toThrow(/outside of the allowed attachment directory/);
+    });
+
+    test('rejects paths when no attachment directory is configured', () => {
+      delete process.env.MAILGUN_ATTACHMENT_DIR;
+
+      expect(() => attachments.toFilePart({ path: 'report.csv' })).toThrow(/MAILGUN_ATTACHMENT_DIR/);
+    });
+
+    test('enforces the size limit', () => {
+      process.env.MAILGUN_ATTACHMENT_MAX_BYTES = '4';
+
+      expect(() => attachments.toFilePart({ path: 'report.csv' })).toThrow(/limit is 4 bytes/);
+    });
+  });
+
+  describe('assertAttachmentSize()', () => {
+    test('enforces the combined size limit', () => {
+      process.env.MAILGUN_ATTACHMENT_MAX_BYTES = '10';
+      const part = new attachments.FilePart({ filename: 'a.txt', contentType: 'text/plain', size: 6, data: Buffer.alloc(6) });
+
+      expect(() => attachments.assertAttachmentSize({ attachment: [part] })).not.toThrow();
+      expect(() => attachments.assertAttachmentSize({ attachment: [part, part] })).toThrow(/total 12 bytes/);
+    });
+  });
+
+  describe('fileInputSchema()', () => {
+    test('requires exactly one of content or path', () => {
+      expect(attachments.fileInputSchema().safeParse({ filename: 'a.txt' }).success).toBe(false);
+      expect(attachments.fileInputSchema().safeParse({
+        filename: 'a.txt',
+        content: 'YQ==',
+        path: 'report.csv'
+      }).success).toBe(false);
+    });
+
+    test('requires a filename with base64 content', () => {
+      const result = attachments.fileInputSchema().safeParse({ content: 'YQ==' });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].path).toEqual(['filename']);
+    });
+
+    test('reports unreadable files as validation issues', () => {
+      const result = attachments.fileInputSchema().safeParse({ path: 'missing.pdf' });
+
+      expect(result.success).toBe(false);
+    });
+  });
+});
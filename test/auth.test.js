@@ -0,0 +1,119 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import * as path from 'path';
+import * as auth from '../src/auth.js';
+
+describe('HTTP server authentication', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mailgun-auth-'));
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const writeAuthFile = (config) => {
+    const filePath = path.join(tmpDir, `auth-${Math.random().toString(36).slice(2)}.json`);
+    fs.writeFileSync(filePath, JSON.stringify(config));
+    return filePath;
+  };
+
+  describe('getAuthConfig()', () => {
+    test('is disabled without any setting', () => {
+      expect(auth.getAuthConfig({})).toBeNull();
+    });
+
+    test('combines tokens from the environment and the auth file', () => {
+      const config = auth.getAuthConfig({
+        MAILGUN_MCP_AUTH_TOKENS: 'alpha, beta',
+        MAILGUN_MCP_AUTH_FILE: writeAuthFile({
+          clients: [{ name: 'growth', token: 'gamma', mailgun_api_key: 'key-growth', region: 'eu' }],
+        }),
+        MAILGUN_MCP_ALLOWED_ORIGINS: 'https://App.example.com',
+      });
+
+      expect([...config.clients.values()]).toEqual([
+        { name: 'token-1', credentials: null, accounts: [] },
+        { name: 'token-2', credentials: null, accounts: [] },
+        { name: 'growth', credentials: { apiKey: 'key-growth', region: 'eu' }, accounts: [] },
+      ]);
+      expect(config.allowedOrigins).toEqual(['https://app.example.com']);
+      expect(config.allowedHosts).toBeNull();
+    });
+
+    test('reads the account profiles granted to a client', () => {
+      const config = auth.getAuthConfig({
+        MAILGUN_MCP_AUTH_FILE: writeAuthFile({ clients: [{ name: 'ops', token: 'delta', accounts: ['acme', 'globex'] }] }),
+      });
+
+      expect([...config.clients.values()]).toEqual([{ name: 'ops', credentials: null, accounts: ['acme', 'globex'] }]);
+    });
+
+    test('rejects invalid auth files', () => {
+      const missingToken = writeAuthFile({ clients: [{ name: 'growth' }] });
+      const accountString = writeAuthFile({ clients: [{ name: 'ops', token: 'delta', accounts: 'acme' }] });
+
+      expect(() => auth.getAuthConfig({ MAILGUN_MCP_AUTH_FILE: missingToken }))
+        .toThrow(`Client 1 of auth file ${missingToken} needs a name and a token`);
+      expect(() => auth.getAuthConfig({ MAILGUN_MCP_AUTH_FILE: accountString }))
+        .toThrow(`Client ops of auth file ${accountString} needs a list of account profile names as accounts`);
+      expect(() => auth.getAuthConfig({ MAILGUN_MCP_AUTH_FILE: path.join(tmpDir, 'missing.json') }))
+        .toThrow('Failed to load auth file');
+    });
+  });
+
+  describe('authenticateRequest()', () => {
+    const config = auth.getAuthConfig({
+      MAILGUN_MCP_AUTH_TOKENS: 'alpha',
+      MAILGUN_MCP_AUTH_FILE: writeAuthFile({ clients: [{ name: 'growth', token: 'gamma', mailgun_api_key: 'key-growth' }] }),
+    });
+
+    test('accepts bearer tokens and API keys', () => {
+      expect(auth.authenticateRequest(config, { authorization: 'Bearer gamma' })).toEqual({
+        id: 'client:growth',
+        name: 'growth',
+        credentials: { apiKey: 'key-growth' },
+        accounts: [],
+      });
+      expect(auth.authenticateRequest(config, { 'x-api-key': 'alpha' })).toMatchObject({ id: 'client:token-1', credentials: null });
+    });
+
+    test('rejects missing and unknown tokens', () => {
+      expect(() => auth.authenticateRequest(config, {})).toThrow('Missing client token');
+      expect(() => auth.authenticateRequest(config, { authorization: 'Bearer nope' })).toThrow('Invalid client token');
+    });
+
+    test('takes Mailgun credentials from headers unless the token maps them', () => {
+      const client = auth.authenticateRequest(config, {
+        authorization: 'Bearer alpha',
+        'x-mailgun-api-key': 'key-own',
+        'x-mailgun-region': 'eu',
+      });
+
+      expect(client.credentials).toEqual({ apiKey: 'key-own', region: 'eu' });
+      expect(client.id).toMatch(/^client:token-1,key:[0-9a-f]{16}$/);
+      expect(() => auth.authenticateRequest(config, { authorization: 'Bearer gamma', 'x-mailgun-api-key': 'key-own' }))
+        .toThrow(expect.objectContaining({ status: 403 }));
+    });
+
+    test('identifies clients by their Mailgun key without token auth', () => {
+      const first = auth.authenticateRequest(null, { 'x-mailgun-api-key': 'key-a' });
+      const second = auth.authenticateRequest(null, { 'x-mailgun-api-key': 'key-b' });
+
+      expect(first.id).not.toBe(second.id);
+      expect(auth.authenticateRequest(null, {})).toEqual({ id: 'anonymous', name: null, credentials: null, accounts: [] });
+    });
+  });
+
+  test('checkRequestOrigin() only lets allowed origins and hosts through', () => {
+    const config = auth.getAuthConfig({
+      MAILGUN_MCP_ALLOWED_ORIGINS: 'https://app.example.com',
+      MAILGUN_MCP_ALLOWED_HOSTS: 'mcp.example.com,localhost:3001',
+    });
+
+    expect(() => auth.checkRequestOrigin(config, { host: 'localhost:3001' })).not.toThrow();
+    expect(() => auth.checkRequestOrigin(config, { host: 'MCP.example.com', origin: 'https://app.example.com' })).not.toThrow();
+    expect(() => auth.checkRequestOrigin(config, { host: 'mcp.example.com', origin: 'https://evil.example.com' }))
+      .toThrow('Origin https://evil.example.com is not allowed');
+    expect(() => auth.checkRequestOrigin(config, { host: 'rebound.example.com' }))
+      .toThrow('Host rebound.example.com is not allowed');
+  });
+});
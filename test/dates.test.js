@@ -0,0 +1,75 @@
+import * as dates from '../src/dates.js';
+
+describe('Dates', () => {
+  const now = new Date('2024-05-15T12:30:00Z');
+
+  describe('parseDateInput()', () => {
+    test('parses ISO 8601 and RFC 2822 dates', () => {
+      expect(dates.parseDateInput('2024-05-01T10:00:00+02:00', now).toISOString()).toBe('2024-05-01T08:00:00.000Z');
+      expect(dates.parseDateInput('Wed, 01 May 2024 10:00:00 -0000', now).toISOString()).toBe('2024-05-01T10:00:00.000Z');
+    });
+
+    test('reads dates without a UTC offset as UTC, not in the server time zone', () => {
+      expect(dates.parseDateInput('2024-05-01 09:30', now).toISOString()).toBe('2024-05-01T09:30:00.000Z');
+      expect(dates.parseDateInput('2024-05-01T09:30:00.25', now).toISOString()).toBe('2024-05-01T09:30:00.250Z');
+      expect(dates.parseDateInput('2024-05-01', now).toISOString()).toBe('2024-05-01T00:00:00.000Z');
+      expect(dates.parseDateInput('Wed, 01 May 2024 10:00:00', now).toISOString()).toBe('2024-05-01T10:00:00.000Z');
+      expect(dates.parseDateInput('May 1, 2024 09:30', now).toISOString()).toBe('2024-05-01T09:30:00.000Z');
+    });
+
+    test('keeps the offset or zone name of a date', () => {
+      expect(dates.parseDateInput('Wed, 01 May 2024 10:00:00 +0200', now).toISOString()).toBe('2024-05-01T08:00:00.000Z');
+      expect(dates.parseDateInput('Wed, 01 May 2024 10:00:00 GMT', now).toISOString()).toBe('2024-05-01T10:00:00.000Z');
+      expect(dates.parseDateInput('01 May 2024 10:00 EST', now).toISOString()).toBe('2024-05-01T15:00:00.000Z');
+    });
+
+    test('treats numbers and digit strings as epoch seconds', () => {
+      expect(dates.parseDateInput(1714557600, now).toISOString()).toBe('2024-05-01T10:00:00.000Z');
+      expect(dates.parseDateInput('1714557600', now).toISOString()).toBe('2024-05-01T10:00:00.000Z');
+    });
+
+    test('parses relative times', () => {
+      expect(dates.parseDateInput('now', now).toISOString()).toBe('2024-05-15T12:30:00.000Z');
+      expect(dates.parseDateInput('today', now).toISOString()).toBe('2024-05-15T00:00:00.000Z');
+      expect(dates.parseDateInput('Yesterday', now).toISOString()).toBe('2024-05-14T00:00:00.000Z');
+      expect(dates.parseDateInput('3 days ago', now).toISOString()).toBe('2024-05-12T12:30:00.000Z');
+      expect(dates.parseDateInput('last 7 days', now).toISOString()).toBe('2024-05-08T12:30:00.000Z');
+      expect(dates.parseDateInput('past hour', now).toISOString()).toBe('2024-05-15T11:30:00.000Z');
+      expect(dates.parseDateInput('1 month ago', now).toISOString()).toBe('2024-04-15T12:30:00.000Z');
+      expect(dates.parseDateInput('in 2 hours', now).toISOString()).toBe('2024-05-15T14:30:00.000Z');
+    });
+
+    test('returns null for anything else', () => {
+      expect(dates.parseDateInput('next tuesday-ish', now)).toBeNull();
+      expect(dates.parseDateInput(true, now)).toBeNull();
+      expect(dates.parseDateInput(new Date('invalid'), now)).toBeNull();
+    });
+  });
+
+  describe('parseZonedDateTime()', () => {
+    test('converts local times of a time zone', () => {
+      expect(dates.parseZonedDateTime('2024-05-01 09:30', 'Europe/Berlin').toISOString()).toBe('2024-05-01T07:30:00.000Z');
+      expect(dates.parseZonedDateTime('2024-01-10T09:30:15', 'America/New_York').toISOString()).toBe('2024-01-10T14:30:15.000Z');
+      expect(dates.parseZonedDateTime('2024-01-10', 'Asia/Kolkata').toISOString()).toBe('2024-01-09T18:30:00.000Z');
+    });
+
+    test('ignores inputs that are not local times and rejects unknown zones', () => {
+      expect(dates.parseZonedDateTime('2024-05-01T09:30:00Z', 'Europe/Berlin')).toBeNull();
+      expect(() => dates.parseZonedDateTime('2024-05-01 09:30', 'Mars/Base')).toThrow("Unknown time zone 'Mars/Base'");
+    });
+  });
+
+  describe('toRfc2822Date()', () => {
+    test('formats dates in UTC', () => {
+      expect(dates.toRfc2822Date(new Date('2024-05-01T08:05:09+02:00'))).toBe('Wed, 01 May 2024 06:05:09 +0000');
+    });
+  });
+
+  describe('dateInputSchema()', () => {
+    test('accepts recognized dates only', () => {
+      expect(dates.dateInputSchema().parse('last 7 days')).toBe('last 7 days');
+      expect(dates.dateInputSchema().parse(1714557600)).toBe(1714557600);
+      expect(dates.dateInputSchema().safeParse('soon').success).toBe(false);
+    });
+  });
+});
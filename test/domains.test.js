@@ -0,0 +1,69 @@
+import * as domains from '../src/domains.js';
+
+describe('Domains', () => {
+  const domainResult = {
+    domain: { name: 'mg.example.com', state: 'unverified' },
+    sending_dns_records: [
+      { record_type: 'TXT', name: 'mg.example.com', value: 'v=spf1 include:mailgun.org ~all', valid: 'valid', cached: [] },
+      { record_type: 'TXT', name: 'pic._domainkey.mg.example.com', value: 'k=rsa; p=NEWKEY', valid: 'invalid', cached: ['k=rsa; p=OLDKEY'] },
+      { record_type: 'CNAME', name: 'email.mg.example.com', value: 'mailgun.org', valid: 'unknown', cached: [] },
+    ],
+    receiving_dns_records: [
+      { record_type: 'MX', priority: '10', value: 'mxa.mailgun.org', valid: 'valid', cached: [] },
+      { record_type: 'MX', priority: '10', value: 'mxb.mailgun.org', valid: 'valid', cached: [] },
+    ],
+  };
+
+  describe('checkDomainHealth()', () => {
+    test('compares expected records with published ones', () => {
+      const report = domains.checkDomainHealth(domainResult, [
+        { record_type: 'txt', value: '"v=spf1 include:_spf.google.com include:mailgun.org ~all"' },
+        { record_type: 'TXT', name: 'pic._domainkey.mg.example.com.', value: 'k=rsa; p=OLDKEY' },
+        { record_type: 'MX', name: 'mg.example.com', value: 'MXA.mailgun.org.', priority: 10 },
+      ]);
+
+      expect(report.healthy).toBe(false);
+      expect(report.summary).toEqual({ ok: 2, missing: 2, wrong: 1, unverified: 0 });
+      expect(report.records.map(record => [record.record_type, record.name, record.status])).toEqual([
+        ['TXT', 'mg.example.com', 'ok'],
+        ['TXT', 'pic._domainkey.mg.example.com', 'wrong'],
+        ['CNAME', 'email.mg.example.com', 'missing'],
+        ['MX', 'mg.example.com', 'ok'],
+        ['MX', 'mg.example.com', 'missing'],
+      ]);
+      expect(report.records[1].found).toEqual(['k=rsa; p=OLDKEY']);
+    });
+
+    test('flags MX records with another priority', () => {
+      const report = domains.checkDomainHealth(domainResult, [
+        { record_type: 'MX', value: 'mxa.mailgun.org', priority: 20 },
+      ]);
+
+      expect(report.records[3].status).toBe('wrong');
+    });
+
+    test("reports Mailgun's verification without published records", () => {
+      const report = domains.checkDomainHealth(domainResult);
+
+      expect(report.records.map(record => record.status)).toEqual(['ok', 'unverified', 'unverified', 'ok', 'ok']);
+      expect(report.records[1].found).toEqual(['k=rsa; p=OLDKEY']);
+    });
+  });
+
+  describe('formatDomainHealth()', () => {
+    test('summarizes the records that need attention', () => {
+      const report = domains.checkDomainHealth(domainResult, [
+        { record_type: 'TXT', value: 'v=spf1 -all' },
+      ]);
+
+      expect(domains.formatDomainHealth(report).split('\n')).toEqual([
+        'Domain mg.example.com (unverified): 4 missing, 1 wrong',
+        "✗ TXT mg.example.com: wrong, expected 'v=spf1 include:mailgun.org ~all', found 'v=spf1 -all'",
+        "✗ TXT pic._domainkey.mg.example.com: missing, expected 'k=rsa; p=NEWKEY'",
+        "✗ CNAME email.mg.example.com: missing, expected 'mailgun.org'",
+        "✗ MX mg.example.com: missing, expected 'mxa.mailgun.org'",
+        "✗ MX mg.example.com: missing, expected 'mxb.mailgun.org'",
+      ]);
+    });
+  });
+});
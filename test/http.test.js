@@ -0,0 +1,197 @@
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { z } from 'zod';
+import { getAuthConfig } from '../src/auth.js';
+import { createHttpApp } from '../src/http.js';
+
+/**
+ * Creates a server with a tool that reports which session server answered
+ * @returns {McpServer} - Session server
+ */
+function createServer() {
+  const server = new McpServer({ name: 'test', version: '1.0.0' });
+  const id = createServer.count = (createServer.count || 0) + 1;
+  server.tool('whoami', 'Returns the server number', { greeting: z.string() }, async ({ greeting }) => ({
+    content: [{ type: 'text', text: `${greeting} from server ${id}` }],
+  }));
+  server.tool('mailgun-key', 'Returns the Mailgun key of the session', {}, async (params, extra) => ({
+    content: [{ type: 'text', text: extra.authInfo?.extra?.mailgun?.apiKey ?? 'server key' }],
+  }));
+  return server;
+}
+
+/**
+ * Starts the HTTP app on a free port
+ * @param {Object} options - Options of createHttpApp
+ * @returns {Promise<Object>} - Base URL, HTTP server and the created app
+ */
+async function startApp(options) {
+  const created = createHttpApp({ createServer, ...options });
+  const httpServer = await new Promise(resolve => {
+    const listening = created.app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  return { ...created, httpServer, baseUrl: `http://127.0.0.1:${httpServer.address().port}` };
+}
+
+/**
+ * Closes the sessions and the HTTP server of an app
+ * @param {Object} started - Result of startApp
+ */
+async function stopApp({ closeSessions, httpServer }) {
+  await closeSessions();
+  httpServer.closeAllConnections();
+  await new Promise(resolve => httpServer.close(resolve));
+}
+
+describe('HTTP transport', () => {
+  let started;
+  let baseUrl;
+  let sessions;
+  let closeSessions;
+
+  beforeAll(async () => {
+    started = await startApp();
+    ({ baseUrl, sessions, closeSessions } = started);
+  });
+
+  afterAll(async () => {
+    await stopApp(started);
+  });
+
+  const connect = async (transport) => {
+    const client = new Client({ name: 'test-client', version: '1.0.0' });
+    await client.connect(transport);
+    return client;
+  };
+  const health = async () => (await fetch(`${baseUrl}/health`)).json();
+  const whoami = async (client, greeting) => (await client.callTool({ name: 'whoami', arguments: { greeting } })).content[0].text;
+
+  test('keeps concurrent sessions apart and closes only the one that ends', async () => {
+    const firstTransport = new StreamableHTTPClientTransport(new URL(`${baseUrl}/mcp`));
+    const first = await connect(firstTransport);
+    const secondTransport = new StreamableHTTPClientTransport(new URL(`${baseUrl}/mcp`));
+    const second = await connect(secondTransport);
+    const legacy = await connect(new SSEClientTransport(new URL(`${baseUrl}/sse`)));
+
+    const answers = await Promise.all([whoami(first, 'hi'), whoami(second, 'hello'), whoami(legacy, 'hey')]);
+    expect(new Set(answers.map(answer => answer.split(' from ')[1])).size).toBe(3);
+    expect((await health()).sessions).toEqual({ streamable: 2, sse: 1 });
+
+    await firstTransport.terminateSession();
+    await first.close();
+    await legacy.close();
+    // The SSE session ends once the server notices the closed stream
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(await whoami(second, 'still')).toMatch(/^still from server/);
+    expect(await health()).toMatchObject({ status: 'ok', sessions: { streamable: 1, sse: 0 } });
+    await secondTransport.terminateSession();
+    await second.close();
+    expect(sessions.size).toBe(0);
+  });
+
+  test('rejects requests without a valid session', async () => {
+    const post = (headers, body) => fetch(`${baseUrl}/mcp`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers },
+      body: JSON.stringify(body),
+    });
+
+    const missing = await post({}, { jsonrpc: '2.0', id: 1, method: 'tools/list' });
+    const unknown = await post({ 'mcp-session-id': 'nope' }, { jsonrpc: '2.0', id: 1, method: 'tools/list' });
+    const message = await fetch(`${baseUrl}/messages?sessionId=nope`, { method: 'POST' });
+
+    expect(missing.status).toBe(400);
+    expect(await missing.json()).toMatchObject({ error: { message: 'Bad Request: no session ID provided' } });
+    expect(unknown.status).toBe(404);
+    expect(message.status).toBe(404);
+  });
+
+  test('closes all sessions on shutdown', async () => {
+    const client = await connect(new StreamableHTTPClientTransport(new URL(`${baseUrl}/mcp`)));
+    expect(sessions.size).toBe(1);
+
+    await closeSessions();
+
+    expect(sessions.size).toBe(0);
+    await client.close();
+  });
+});
+
+describe('HTTP transport with authentication', () => {
+  let started;
+
+  beforeAll(async () => {
+    started = await startApp({
+      auth: getAuthConfig({
+        MAILGUN_MCP_AUTH_TOKENS: 'alpha,beta',
+        MAILGUN_MCP_ALLOWED_ORIGINS: 'https://app.example.com',
+      }),
+    });
+  });
+
+  afterAll(async () => {
+    await stopApp(started);
+  });
+
+  const connect = async (headers) => {
+    const transport = new StreamableHTTPClientTransport(new URL(`${started.baseUrl}/mcp`), { requestInit: { headers } });
+    const client = new Client({ name: 'test-client', version: '1.0.0' });
+    await client.connect(transport);
+    return { client, transport };
+  };
+  const mailgunKey = async (client) => (await client.callTool({ name: 'mailgun-key', arguments: {} })).content[0].text;
+
+  test('requires a client token', async () => {
+    const response = await fetch(`${started.baseUrl}/mcp`, { method: 'POST', headers: { Authorization: 'Bearer nope' } });
+
+    expect(response.status).toBe(401);
+    expect(response.headers.get('www-authenticate')).toBe('Bearer');
+    expect(await response.json()).toMatchObject({ error: { message: 'Invalid client token' } });
+  });
+
+  test('keeps each session on its own Mailgun credentials', async () => {
+    const first = await connect({ Authorization: 'Bearer alpha', 'X-Mailgun-Api-Key': 'key-a' });
+    const second = await connect({ 'X-API-Key': 'beta', 'X-Mailgun-Api-Key': 'key-b' });
+    const plain = await connect({ Authorization: 'Bearer beta' });
+
+    expect(await Promise.all([mailgunKey(first.client), mailgunKey(second.client), mailgunKey(plain.client)]))
+      .toEqual(['key-a', 'key-b', 'server key']);
+
+    // Another client cannot use the session, even with a valid token
+    const hijack = await fetch(`${started.baseUrl}/mcp`, {
+      method: 'POST',
+      headers: {
+        Authorization: 'Bearer beta',
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+        'mcp-session-id': first.transport.sessionId,
+        'mcp-protocol-version': '2025-03-26',
+      },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 9, method: 'tools/list' }),
+    });
+    expect(hijack.status).toBe(404);
+
+    for (const { client, transport } of [first, second, plain]) {
+      await transport.terminateSession();
+      await client.close();
+    }
+  });
+
+  test('answers CORS preflights of allowed origins only', async () => {
+    const preflight = (origin) => fetch(`${started.baseUrl}/mcp`, {
+      method: 'OPTIONS',
+      headers: { Origin: origin, 'Access-Control-Request-Method': 'POST' },
+    });
+
+    const allowed = await preflight('https://app.example.com');
+    const denied = await preflight('https://evil.example.com');
+
+    expect(allowed.status).toBe(204);
+    expect(allowed.headers.get('access-control-allow-origin')).toBe('https://app.example.com');
+    expect(allowed.headers.get('access-control-allow-headers')).toContain('Mcp-Session-Id');
+    expect(denied.status).toBe(403);
+  });
+});
@@ -0,0 +1,93 @@
+import * as lists from '../src/lists.js';
+
+describe('Mailing lists', () => {
+  describe('parseCsv()', () => {
+    test('handles quoted fields, line breaks and blank lines', () => {
+      const rows = lists.parseCsv('address,name\r\n"ada@example.com","Lovelace, Ada"\n\n"b@example.com","Say ""hi""\nthere"');
+
+      expect(rows).toEqual([
+        ['address', 'name'],
+        ['ada@example.com', 'Lovelace, Ada'],
+        ['b@example.com', 'Say "hi"\nthere'],
+      ]);
+    });
+
+    test('rejects an unterminated quoted field', () => {
+      expect(() => lists.parseCsv('address\n"ada@example.com')).toThrow('CSV content ends inside a quoted field');
+    });
+  });
+
+  describe('parseMembersCsv()', () => {
+    test('maps columns to member fields and variables', () => {
+      const result = lists.parseMembersCsv([
+        'Address,Name,Subscribed,vars,plan',
+        'ada@example.com,Ada,no,"{""age"":36}",pro',
+        'bob@example.com,,,,',
+        'eve@example.com,Eve,maybe,,',
+      ].join('\n'));
+
+      expect(result.members).toEqual([
+        { row: 2, member: { address: 'ada@example.com', name: 'Ada', subscribed: false, vars: { age: 36, plan: 'pro' } } },
+        { row: 3, member: { address: 'bob@example.com' } },
+      ]);
+      expect(result.skipped).toEqual([{ row: 4, reason: "'maybe' is not a boolean" }]);
+    });
+
+    test('requires an address column', () => {
+      expect(() => lists.parseMembersCsv('email,name\nada@example.com,Ada')).toThrow('The CSV header row needs an address column');
+    });
+  });
+
+  describe('validateMembers()', () => {
+    test('skips invalid and duplicate addresses', () => {
+      const result = lists.validateMembers([
+        { row: 1, member: { address: 'Ada <ada@example.com>' } },
+        { row: 2, member: { address: 'ADA@example.com' } },
+        { row: 3, member: { address: 'nobody' } },
+        { row: 4, member: { name: 'No address' } },
+      ]);
+
+      expect(result.members).toEqual([{ address: 'Ada <ada@example.com>' }]);
+      expect(result.skipped).toEqual([
+        { row: 2, reason: 'ADA@example.com is listed more than once' },
+        { row: 3, reason: "'nobody' is not an email address" },
+        { row: 4, reason: "'' is not an email address" },
+      ]);
+    });
+  });
+
+  describe('toBatches()', () => {
+    test('splits items into batches of the given size', () => {
+      expect(lists.toBatches([1, 2, 3, 4, 5], 2)).toEqual([[1, 2], [3, 4], [5]]);
+      expect(lists.toBatches(Array.from({ length: 2500 })).map(batch => batch.length)).toEqual([1000, 1000, 500]);
+    });
+  });
+
+  describe('summaries', () => {
+    test('count members and note listings cut within a page', () => {
+      const items = Array.from({ length: 100 }, (_, index) => ({ address: `user${index}@example.com`, subscribed: index % 4 !== 0 }));
+      const whole = lists.summarizeMembers({ items, paging: {} });
+      const cut = lists.summarizeMembers({
+        items,
+        paging: { next: 'page-1' },
+        pagination: { pages_fetched: 1, item_count: 100, complete: false, skip_items: 100 },
+      });
+
+      expect(whole.summary).toBe('Members: 100 (75 subscribed, 25 unsubscribed)');
+      expect(whole.result.items).toBe(items);
+      expect(cut.summary).toBe('Members: 100 (75 subscribed, 25 unsubscribed); cut at 100 items, pass paging.next and pagination.skip_items to fetch-next-page for the rest');
+    });
+
+    test('describe lists and validation jobs', () => {
+      expect(lists.summarizeList({ list: { address: 'team@example.com', members_count: 12 } }).summary)
+        .toBe('Mailing list team@example.com: 12 members');
+      expect(lists.summarizeListValidation({
+        id: 'team@example.com',
+        status: 'uploaded',
+        quantity: 10,
+        records_processed: 10,
+        summary: { result: { deliverable: 8, undeliverable: 2 } },
+      }).summary).toBe('Validation of team@example.com: uploaded, 10 of 10 addresses processed (8 deliverable, 2 undeliverable)');
+    });
+  });
+});
@@ -1,5 +1,25 @@
 import { jest } from '@jest/globals';
 import * as serverModule from '../src/mailgun-mcp.js';
+import http from 'node:http';
+import fs from 'node:fs';
+import os from 'node:os';
+import * as path from 'path';
+import { FilePart } from '../src/attachments.js';
+import { createPolicy } from '../src/policy.js';
+import { summarizeLists } from '../src/lists.js';
+import { WebhookEventBuffer } from '../src/webhooks.js';
+import {
+  ConfigError,
+  InputError,
+  MailgunAbortError,
+  MailgunApiError,
+  MailgunTimeoutError,
+  toToolErrorResult,
+} from '../src/errors.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { z } from 'zod';
 
 // Disable console.error during tests
 const originalConsoleError = console.error;
@@ -9,6 +29,54 @@ console.error = jest.fn();
 const originalProcessExit = process.exit;
 process.exit = jest.fn();
 
+/**
+ * Connects an in-memory MCP client to a server
+ * @param {McpServer} target - Server to connect to
+ * @param {Object} [authInfo] - Auth info the server receives with every message, as from an HTTP session
+ * @returns {Promise<Client>} - Connected client
+ */
+async function connectClient(target, authInfo) {
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  if (authInfo) {
+    const send = clientTransport.send.bind(clientTransport);
+    clientTransport.send = (message, options) => send(message, { ...options, authInfo });
+  }
+  const client = new Client({ name: 'test-client', version: '1.0.0' });
+  await Promise.all([target.connect(serverTransport), client.connect(clientTransport)]);
+  return client;
+}
+
+/**
+ * Calls a tool through an in-memory MCP client, so the arguments are parsed like in a real session
+ * @param {McpServer} target - Server the tool is registered on
+ * @param {string} name - Tool name
+ * @param {Object} args - Tool arguments
+ * @param {Object} [options] - Auth info of the session and abort signal of the call
+ * @returns {Promise<Object>} - Tool result
+ */
+async function callToolOn(target, name, args, { authInfo, signal } = {}) {
+  const client = await connectClient(target, authInfo);
+  try {
+    return await client.callTool({ name, arguments: args }, undefined, { signal });
+  } finally {
+    await client.close();
+  }
+}
+
+/**
+ * Lists the tools of a server as a client sees them
+ * @param {McpServer} target - Server to list the tools of
+ * @returns {Promise<Object[]>} - Listed tools
+ */
+async function listToolsOn(target) {
+  const client = await connectClient(target);
+  try {
+    return (await client.listTools()).tools;
+  } finally {
+    await client.close();
+  }
+}
+
 describe('Mailgun MCP Server', () => {
   // Focus on testing the pure utility functions that don't need mocks
   describe('processPathParameters()', () => {
@@ -167,6 +235,15 @@ describe('openapiToZod()', () => {
         )).toBe(true);
     });
     
+    test('converts binary strings to file inputs', () => {
+      const schema = { type: 'array', items: { type: 'string', format: 'binary' } };
+      const result = serverModule.openapiToZod(schema, {});
+      const parsed = result.parse([{ filename: 'a.txt', content: 'YQ==' }]);
+
+      expect(parsed[0].data.toString()).toBe('a');
+      expect(parsed[0].contentType).toBe('text/plain');
+    });
+    
     test('resolves references correctly', () => {
       const schema = { $ref: '#/components/schemas/TestType' };
       const fullSpec = {
@@ -182,6 +259,165 @@ describe('openapiToZod()', () => {
       expect(result._def.typeName).toBe('ZodString');
       expect(result._def.description).toBe('Referenced type');
     });
+
+    describe('with fragments of the bundled spec', () => {
+      const spec = serverModule.loadOpenApiSpec(serverModule.resolveSpecPath([], {}));
+      const schemaRef = name => ({ $ref: `#/components/schemas/${name}` });
+
+      test('resolves EventSeverityType from the spec', () => {
+        const result = serverModule.openapiToZod(schemaRef('EventSeverityType'), spec);
+
+        expect(result.parse('permanent')).toBe('permanent');
+        expect(result.safeParse('fatal').success).toBe(false);
+      });
+
+      test('converts integers with bounds and defaults', () => {
+        const { parameters } = spec.paths['/v3/ip_pools/{pool_id}/domains'].get;
+        const limit = parameters.find(param => param.name === 'limit');
+        const result = serverModule.openapiToZod(limit.schema, spec);
+
+        expect(result.parse(undefined)).toBe(10);
+        expect(result.safeParse(20.5).success).toBe(false);
+        expect(result.safeParse(5).success).toBe(false);
+        expect(result.safeParse(501).success).toBe(false);
+      });
+
+      test('leaves out read-only properties', () => {
+        const result = serverModule.openapiToZod(schemaRef('github.com-mailgun-temple-model-Template'), spec);
+
+        expect(Object.keys(result.shape)).toEqual(['name', 'description', 'createdBy', 'versions']);
+        expect(result.safeParse({ description: 'no name' }).success).toBe(false);
+      });
+
+      test('merges allOf members', () => {
+        const result = serverModule.openapiToZod(schemaRef('github.com-mailgun-logs-api-pkg-api-model-LogsRequest'), spec);
+        const filter = result.shape.filter.unwrap();
+
+        expect(filter.description).toBe('Filters to apply to the query.');
+        expect(filter.safeParse({ AND: [{ attribute: 'event', comparator: '=', values: [] }] }).success).toBe(true);
+        expect(filter.safeParse({}).success).toBe(false);
+      });
+
+      test('converts nested additionalProperties to records', () => {
+        const result = serverModule.openapiToZod(schemaRef('github.com-mailgun-scout-api-TagAggregateResponse'), spec);
+        const device = result.shape.device.unwrap();
+
+        expect(device.parse({ desktop: { clicked: 2 } })).toEqual({ desktop: { clicked: 2 } });
+        expect(device.safeParse({ desktop: { clicked: 'two' } }).success).toBe(false);
+      });
+    });
+
+    test('merges allOf properties and required lists', () => {
+      const fullSpec = {
+        components: {
+          schemas: {
+            Base: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] }
+          }
+        }
+      };
+      const schema = {
+        allOf: [
+          { $ref: '#/components/schemas/Base' },
+          { type: 'object', properties: { count: { type: 'integer' } }, required: ['count'] }
+        ]
+      };
+      const result = serverModule.openapiToZod(schema, fullSpec);
+
+      expect(result.parse({ id: 'a', count: 1 })).toEqual({ id: 'a', count: 1 });
+      expect(result.safeParse({ id: 'a' }).success).toBe(false);
+    });
+
+    test('supports nullable in OpenAPI 3.0 and 3.1 style', () => {
+      expect(serverModule.openapiToZod({ type: 'string', nullable: true }, {}).parse(null)).toBeNull();
+      expect(serverModule.openapiToZod({ type: ['integer', 'null'] }, {}).parse(null)).toBeNull();
+      expect(serverModule.openapiToZod({ type: 'string' }, {}).safeParse(null).success).toBe(false);
+    });
+
+    test('supports multiple types and non-string enums', () => {
+      const multi = serverModule.openapiToZod({ type: ['string', 'integer'] }, {});
+      const numbers = serverModule.openapiToZod({ type: 'integer', enum: [1, 2] }, {});
+
+      expect(multi.parse(3)).toBe(3);
+      expect(multi.parse('three')).toBe('three');
+      expect(numbers.parse(2)).toBe(2);
+      expect(numbers.safeParse(3).success).toBe(false);
+    });
+
+    test('applies string constraints and formats', () => {
+      const name = serverModule.openapiToZod({ type: 'string', minLength: 2, maxLength: 4, pattern: '^[a-z]+$' }, {});
+      const timestamp = serverModule.openapiToZod({ type: 'string', format: 'date-time' }, {});
+
+      expect(name.parse('abc')).toBe('abc');
+      expect(name.safeParse('a').success).toBe(false);
+      expect(name.safeParse('abcde').success).toBe(false);
+      expect(name.safeParse('ABC').success).toBe(false);
+      expect(timestamp.parse('2024-05-01T10:00:00+02:00')).toBe('2024-05-01T10:00:00+02:00');
+      expect(timestamp.safeParse('Wed, 01 May 2024 10:00:00 +0200').success).toBe(false);
+    });
+
+    test('requires absolute URLs for uri formats', () => {
+      const url = serverModule.openapiToZod({ type: 'string', format: 'uri' }, {});
+
+      expect(url.parse('https://example.com/hook')).toBe('https://example.com/hook');
+      expect(url.safeParse('example.com/hook').success).toBe(false);
+      expect(url.safeParse('/hook').success).toBe(false);
+    });
+
+    test('applies array length limits', () => {
+      const result = serverModule.openapiToZod({ type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 2 }, {});
+
+      expect(result.safeParse([]).success).toBe(false);
+      expect(result.safeParse(['a', 'b', 'c']).success).toBe(false);
+      expect(result.parse(['a'])).toEqual(['a']);
+    });
+
+    test('honours additionalProperties', () => {
+      const properties = { name: { type: 'string' } };
+      const closed = serverModule.openapiToZod({ type: 'object', properties, additionalProperties: false }, {});
+      const open = serverModule.openapiToZod({ type: 'object', properties, additionalProperties: true }, {});
+      const typed = serverModule.openapiToZod({ type: 'object', properties, additionalProperties: { type: 'integer' } }, {});
+
+      expect(closed.safeParse({ name: 'a', extra: 1 }).success).toBe(false);
+      expect(open.parse({ name: 'a', extra: 'b' })).toEqual({ name: 'a', extra: 'b' });
+      expect(typed.parse({ name: 'a', extra: 1 })).toEqual({ name: 'a', extra: 1 });
+      expect(typed.safeParse({ name: 'a', extra: 'b' }).success).toBe(false);
+    });
+
+    test('stops at cyclic references', () => {
+      const fullSpec = {
+        components: {
+          schemas: {
+            Node: {
+              type: 'object',
+              properties: {
+                value: { type: 'string' },
+                children: { type: 'array', items: { $ref: '#/components/schemas/Node' } }
+              }
+            },
+            Loop: { allOf: [{ $ref: '#/components/schemas/Loop' }], type: 'string' }
+          }
+        }
+      };
+      const node = serverModule.openapiToZod({ $ref: '#/components/schemas/Node' }, fullSpec);
+      const loop = serverModule.openapiToZod({ $ref: '#/components/schemas/Loop' }, fullSpec);
+
+      expect(node.parse({ value: 'a', children: [{ value: 'b', children: [] }] }).value).toBe('a');
+      expect(node.shape.children.unwrap().element.description).toBe('Recursive reference: #/components/schemas/Node');
+      expect(loop.parse('a')).toBe('a');
+    });
+
+    test('accepts any value for unresolved references', () => {
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      try {
+        const result = serverModule.openapiToZod({ $ref: '#/components/schemas/Missing' }, {});
+
+        expect(result._def.typeName).toBe('ZodAny');
+        expect(error).toHaveBeenCalledWith('Failed to resolve reference: #/components/schemas/Missing');
+      } finally {
+        error.mockRestore();
+      }
+    });
   });
   
   describe('getOperationDetails()', () => {
@@ -275,3 +511,1484 @@ describe('openapiToZod()', () => {
     });
 });
   
+
+describe('resolveApiBaseUrl()', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    delete process.env.MAILGUN_API_BASE_URL;
+    delete process.env.MAILGUN_API_REGION;
+    Object.assign(process.env, originalEnv);
+  });
+
+  test('defaults to the US region', () => {
+    const result = serverModule.resolveApiBaseUrl();
+
+    expect(result.href).toBe('https://api.mailgun.net/');
+  });
+
+  test('uses the configured region', () => {
+    process.env.MAILGUN_API_REGION = 'EU';
+
+    const result = serverModule.resolveApiBaseUrl();
+
+    expect(result.hostname).toBe('api.eu.mailgun.net');
+  });
+
+  test('prefers the configured base URL over the region', () => {
+    process.env.MAILGUN_API_REGION = 'eu';
+    process.env.MAILGUN_API_BASE_URL = 'http://localhost:8080';
+
+    const result = serverModule.resolveApiBaseUrl();
+
+    expect(result.protocol).toBe('http:');
+    expect(result.port).toBe('8080');
+  });
+
+  test('per-call region overrides the configured base URL', () => {
+    process.env.MAILGUN_API_BASE_URL = 'http://localhost:8080';
+
+    const result = serverModule.resolveApiBaseUrl({ region: 'eu' });
+
+    expect(result.href).toBe('https://api.eu.mailgun.net/');
+  });
+
+  test('resolves the storage API host of a region', () => {
+    process.env.MAILGUN_API_REGION = 'eu';
+
+    expect(serverModule.resolveStorageBaseUrl().href).toBe('https://storage-europe-west1.api.mailgun.net/');
+    expect(serverModule.resolveStorageBaseUrl({ region: 'us' }).href).toBe('https://storage-us-east4.api.mailgun.net/');
+
+    process.env.MAILGUN_STORAGE_BASE_URL = 'http://localhost:8081';
+    try {
+      expect(serverModule.resolveStorageBaseUrl().href).toBe('http://localhost:8081/');
+    } finally {
+      delete process.env.MAILGUN_STORAGE_BASE_URL;
+    }
+  });
+
+  test('rejects unknown regions and protocols', () => {
+    expect(() => serverModule.resolveApiBaseUrl({ region: 'ap' })).toThrow(/unknown mailgun region/i);
+    expect(() => serverModule.resolveApiBaseUrl({ baseUrl: 'ftp://localhost' })).toThrow(/unsupported protocol/i);
+  });
+});
+
+describe('extractControlParams()', () => {
+  test('removes control options from API parameters', () => {
+    const result = serverModule.extractControlParams({ region: 'eu', domain_name: 'example.com' });
+
+    expect(result.controls).toEqual({ region: 'eu' });
+    expect(result.apiParams).toEqual({ domain_name: 'example.com' });
+  });
+});
+
+describe('makeMailgunRequest()', () => {
+  let mockServer;
+  let baseUrl;
+  let lastRequest;
+  let requestCount;
+
+  beforeEach(() => {
+    requestCount = 0;
+  });
+
+  beforeAll(async () => {
+    mockServer = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        lastRequest = { method: req.method, url: req.url, headers: req.headers, body };
+        requestCount += 1;
+        if (req.url.includes('flaky') && requestCount <= 2) {
+          res.writeHead(requestCount === 1 ? 429 : 503, { 'Content-Type': 'application/json', 'Retry-After': '0' });
+          res.end(JSON.stringify({ message: 'Try again later' }));
+          return;
+        }
+        if (req.url.includes('slow')) {
+          setTimeout(() => {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end('{}');
+          }, 200);
+          return;
+        }
+        if (req.url.includes('html-error')) {
+          res.writeHead(502, { 'Content-Type': 'text/html' });
+          res.end('<html><body><h1>502 Bad Gateway</h1></body></html>');
+          return;
+        }
+        res.writeHead(req.url.includes('missing') ? 404 : 200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(req.url.includes('missing') ? { message: 'Domain not found' } : { ok: true }));
+      });
+    });
+    await new Promise(resolve => mockServer.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${mockServer.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => mockServer.close(resolve));
+  });
+
+  test('sends requests to a plain HTTP base URL', async () => {
+    const result = await serverModule.makeMailgunRequest('POST', 'v3/example.com/messages', { to: 'a@example.com' }, { baseUrl });
+
+    expect(result).toEqual({ ok: true });
+    expect(lastRequest.method).toBe('POST');
+    expect(lastRequest.url).toBe('/v3/example.com/messages');
+    expect(lastRequest.headers.authorization).toMatch(/^Basic /);
+    expect(lastRequest.body).toBe('to=a%40example.com');
+  });
+
+  test('sends JSON bodies when requested', async () => {
+    const data = { filter: { AND: [{ attribute: 'domain', values: [{ value: 'example.com' }] }] }, resolution: 'day' };
+
+    await serverModule.makeMailgunRequest('POST', '/v1/analytics/metrics', data, { baseUrl, contentType: 'application/json' });
+
+    expect(lastRequest.headers['content-type']).toBe('application/json');
+    expect(JSON.parse(lastRequest.body)).toEqual(data);
+  });
+
+  test('streams attachments from disk in multipart bodies', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mailgun-request-'));
+    fs.writeFileSync(path.join(dir, 'report.pdf'), '%PDF-1.4 report');
+    const attachment = new FilePart({
+      filename: 'report.pdf',
+      contentType: 'application/pdf',
+      size: 15,
+      filePath: path.join(dir, 'report.pdf')
+    });
+
+    try {
+      await serverModule.makeMailgunRequest('POST', '/v3/example.com/messages', { to: 'a@example.com', attachment: [attachment] }, { baseUrl, contentType: 'multipart/form-data' });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    expect(lastRequest.headers['content-type']).toMatch(/^multipart\/form-data; boundary=/);
+    expect(Number(lastRequest.headers['content-length'])).toBe(Buffer.byteLength(lastRequest.body));
+    expect(lastRequest.body).toContain('name="attachment"; filename="report.pdf"\r\nContent-Type: application/pdf\r\n\r\n%PDF-1.4 report\r\n');
+  });
+
+  test('keeps the path prefix of the base URL', async () => {
+    await serverModule.makeMailgunRequest('GET', '/v4/domains', null, { baseUrl: `${baseUrl}/mailgun/` });
+
+    expect(lastRequest.url).toBe('/mailgun/v4/domains');
+  });
+
+  test('fetches pages from paging URLs of the configured host', async () => {
+    await serverModule.fetchPage(`${baseUrl}/v3/example.com/events/W3siYiI6`, { baseUrl });
+
+    expect(lastRequest.method).toBe('GET');
+    expect(lastRequest.url).toBe('/v3/example.com/events/W3siYiI6');
+    await expect(serverModule.fetchPage('https://example.org/v3/example.com/events/W3siYiI6', { baseUrl }))
+      .rejects.toThrow(/does not point at the configured Mailgun API/);
+  });
+
+  test('retries rate limited and unavailable responses for idempotent methods', async () => {
+    const result = await serverModule.makeMailgunRequest('GET', '/v3/flaky/events', null, { baseUrl });
+
+    expect(result).toEqual({ ok: true });
+    expect(requestCount).toBe(3);
+  });
+
+  test('does not retry POST requests unless opted in', async () => {
+    const error = await serverModule.makeMailgunRequest('POST', '/v3/flaky/messages', { to: 'a@example.com' }, { baseUrl })
+      .catch(e => e);
+
+    expect(requestCount).toBe(1);
+    expect(error).toBeInstanceOf(MailgunApiError);
+    expect(error.toJSON()).toEqual({
+      name: 'MailgunApiError',
+      status: 429,
+      message: 'Try again later',
+      method: 'POST',
+      path: '/v3/flaky/messages',
+      attempts: 1
+    });
+
+    requestCount = 0;
+    await serverModule.makeMailgunRequest('POST', '/v3/flaky/messages', { to: 'a@example.com' }, { baseUrl, retryNonIdempotent: true });
+    expect(requestCount).toBe(3);
+  });
+
+  test('reports the attempt count when retries are exhausted', async () => {
+    const error = await serverModule.makeMailgunRequest('GET', '/v3/flaky/events', null, { baseUrl, retries: 1 })
+      .catch(e => e);
+
+    expect(error.status).toBe(503);
+    expect(error.attempts).toBe(2);
+    expect(error.message).toBe('Mailgun API error: Try again later (after 2 attempts)');
+  });
+
+  test('summarizes non-JSON error pages', async () => {
+    const error = await serverModule.makeMailgunRequest('GET', '/v3/html-error', null, { baseUrl, retries: 0 })
+      .catch(e => e);
+
+    expect(error.status).toBe(502);
+    expect(error.message).toBe('Mailgun API error: 502 Bad Gateway (non-JSON response)');
+    expect(error.rawBody).toContain('<h1>502 Bad Gateway</h1>');
+  });
+
+  test('times out when the response takes too long', async () => {
+    const error = await serverModule.makeMailgunRequest('GET', '/v3/slow', null, { baseUrl, responseTimeout: 50, retries: 0 })
+      .catch(e => e);
+
+    expect(error).toBeInstanceOf(MailgunTimeoutError);
+    expect(error.phase).toBe('response');
+    expect(error.message).toBe('Mailgun API response timed out after 50 ms');
+  });
+
+  test('cancels the request when the signal aborts', async () => {
+    const controller = new AbortController();
+    const pending = serverModule.makeMailgunRequest('GET', '/v3/slow', null, { baseUrl, signal: controller.signal });
+    setTimeout(() => controller.abort(), 20);
+
+    const error = await pending.catch(e => e);
+
+    expect(error).toBeInstanceOf(MailgunAbortError);
+    expect(requestCount).toBe(1);
+  });
+
+  test('stops retrying once the signal aborts', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(serverModule.makeMailgunRequest('GET', '/v3/flaky/events', null, { baseUrl, signal: controller.signal }))
+      .rejects.toBeInstanceOf(MailgunAbortError);
+    expect(requestCount).toBe(0);
+  });
+
+  test('rejects with the Mailgun error message', async () => {
+    await expect(serverModule.makeMailgunRequest('GET', '/v4/domains/missing', null, { baseUrl }))
+      .rejects.toThrow('Mailgun API error: Domain not found');
+  });
+});
+
+describe('getRequestContentType()', () => {
+  test('prefers JSON over form encodings', () => {
+    const operation = {
+      requestBody: {
+        content: {
+          'multipart/form-data': { schema: {} },
+          'application/json': { schema: {} }
+        }
+      }
+    };
+
+    expect(serverModule.getRequestContentType(operation)).toBe('application/json');
+  });
+
+  test('encodes the non-standard application/form-data as multipart', () => {
+    const operation = { requestBody: { content: { 'application/form-data': { schema: {} } } } };
+
+    expect(serverModule.getRequestContentType(operation)).toBe('multipart/form-data');
+  });
+
+  test('defaults to urlencoded without a request body', () => {
+    expect(serverModule.getRequestContentType({})).toBe('application/x-www-form-urlencoded');
+  });
+});
+
+describe('encodeRequestBody()', () => {
+  const data = {
+    to: ['a@example.com', 'b@example.com'],
+    'recipient-variables': { 'a@example.com': { id: 1 } },
+    subject: 'Hello',
+    cc: undefined
+  };
+
+  test('keeps nested structures in JSON bodies', () => {
+    const result = serverModule.encodeRequestBody({ filter: { AND: [] } }, 'application/json');
+
+    expect(result.contentType).toBe('application/json');
+    expect(result.body.toString()).toBe('{"filter":{"AND":[]}}');
+  });
+
+  test('repeats array keys and serializes objects as JSON in urlencoded bodies', () => {
+    const result = serverModule.encodeRequestBody(data, 'application/x-www-form-urlencoded');
+    const fields = new URLSearchParams(result.body.toString());
+
+    expect(fields.getAll('to')).toEqual(['a@example.com', 'b@example.com']);
+    expect(JSON.parse(fields.get('recipient-variables'))).toEqual({ 'a@example.com': { id: 1 } });
+    expect(fields.has('cc')).toBe(false);
+  });
+
+  test('builds a multipart body with one part per value', () => {
+    const result = serverModule.encodeRequestBody(data, 'multipart/form-data');
+    const boundary = result.contentType.match(/boundary=(.+)$/)[1];
+    const body = result.body.toString();
+
+    expect(body.split(`--${boundary}\r\n`)).toHaveLength(5);
+    expect(body).toContain('Content-Disposition: form-data; name="to"\r\n\r\nb@example.com\r\n');
+    expect(body).toContain('{"a@example.com":{"id":1}}');
+    expect(body.endsWith(`--${boundary}--\r\n`)).toBe(true);
+  });
+
+  test('requires multipart encoding for file parts', () => {
+    const attachment = new FilePart({ filename: 'a.txt', contentType: 'text/plain', size: 1, data: Buffer.from('a') });
+
+    expect(() => serverModule.encodeRequestBody({ attachment }, 'application/x-www-form-urlencoded'))
+      .toThrow(/multipart\/form-data is required/);
+  });
+
+  test('rejects unsupported content types', () => {
+    expect(() => serverModule.encodeRequestBody({}, 'text/plain')).toThrow(/unsupported request content type/i);
+  });
+});
+
+describe('processRequestBody()', () => {
+  test('exposes array bodies as a single items parameter', () => {
+    const requestBody = {
+      required: true,
+      content: {
+        'application/json': {
+          schema: {
+            type: 'array',
+            items: { type: 'object', properties: { address: { type: 'string' } }, required: ['address'] }
+          }
+        }
+      }
+    };
+    const paramsSchema = {};
+
+    serverModule.processRequestBody(requestBody, paramsSchema, {});
+
+    expect(Object.keys(paramsSchema)).toEqual(['items']);
+    expect(paramsSchema.items.safeParse([{ address: 'a@example.com' }]).success).toBe(true);
+    expect(paramsSchema.items.safeParse(undefined).success).toBe(false);
+  });
+
+  test('applies the defaults of omitted optional properties', () => {
+    const requestBody = {
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              limit: { type: 'integer', default: 100 },
+              options: { type: 'object', properties: { mode: { type: 'string', default: 'fast' } } }
+            }
+          }
+        }
+      }
+    };
+    const paramsSchema = {};
+
+    serverModule.processRequestBody(requestBody, paramsSchema, {});
+
+    expect(z.object(paramsSchema).parse({ options: {} })).toEqual({ limit: 100, options: { mode: 'fast' } });
+    expect(z.object(paramsSchema).parse({ limit: 20 })).toEqual({ limit: 20 });
+  });
+});
+
+describe('summarizeChange()', () => {
+  const operation = {
+    parameters: [
+      { name: 'domainID', in: 'path' },
+      { name: 'address', in: 'path' }
+    ]
+  };
+
+  test('names the affected resource and the Mailgun message', () => {
+    const result = serverModule.summarizeChange(
+      'Clear a single bounce',
+      operation,
+      { domainID: 'example.com', address: 'a@example.com' },
+      { message: 'Bounced address has been removed' }
+    );
+
+    expect(result).toBe('Summary: Clear a single bounce (domainID=example.com, address=a@example.com); Mailgun: Bounced address has been removed');
+  });
+
+  test('counts submitted records', () => {
+    const result = serverModule.summarizeChange(
+      'Insert bounce records',
+      { parameters: [{ name: 'domainID', in: 'path' }] },
+      { domainID: 'example.com', items: [{ address: 'a@example.com' }, { address: 'b@example.com' }] },
+      {}
+    );
+
+    expect(result).toBe('Summary: Insert bounce records (domainID=example.com); 2 record(s) submitted');
+  });
+});
+
+describe('registerTool()', () => {
+  let mockServer;
+  let requests;
+  let onHangingRequest;
+
+  beforeAll(async () => {
+    mockServer = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+        let payload = { message: 'done' };
+        if (req.url.startsWith('/v3/example.com/templates/welcome')) {
+          payload = { template: { name: 'welcome', version: { template: '<p>Hi {{name}}</p>', headers: '{"Subject":"Welcome {{name}}"}' } } };
+        } else if (req.url === '/v3/lists/team%40example.com/members.json') {
+          payload = { message: 'Mailing list has been updated', list: { address: 'team@example.com', members_count: requests.length } };
+        } else if (req.url === '/v3/domains/example.com/messages/KEY%3D') {
+          payload = req.method === 'GET'
+            ? { From: 'app@example.com', Subject: 'Receipt', 'message-headers': [['To', 'ada@example.com']], 'body-plain': 'Thanks' }
+            : { id: '<resent@example.com>', message: 'Queued. Thank you.' };
+        } else if (req.url.startsWith('/v3/example.com/stats/total?')) {
+          // The previous period has fewer deliveries
+          const delivered = req.url.includes('start=Wed%2C+01+May+2024') ? 990 : 900;
+          payload = { stats: [{ accepted: { outgoing: 1000 }, delivered: { total: delivered }, failed: { permanent: { bounce: 5 } } }] };
+        } else if (req.url === '/v3/example.com/aggregates/providers') {
+          payload = { providers: { 'gmail.com': { accepted: 700, delivered: 650 } } };
+        } else if (req.url === '/v3/example.com/aggregates/countries') {
+          res.writeHead(403, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ message: 'Forbidden' }));
+          return;
+        } else if (req.url.startsWith('/v3/example.com/tag/stats?')) {
+          payload = { stats: [{ accepted: { outgoing: 100 }, delivered: { total: 95 } }] };
+        } else if (req.url === '/v3/example.com/messages') {
+          payload = { id: `<${requests.length}@example.com>`, message: 'Queued. Thank you.' };
+        } else if (req.url === '/v3/example.com/flaky' && requests.length === 1) {
+          res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': '0' });
+          res.end(JSON.stringify({ message: 'Try again later' }));
+          return;
+        } else if (req.url === '/v3/routes?skip=0&limit=1000') {
+          payload = {
+            total_count: 2,
+            items: [
+              { id: 'support', priority: 0, expression: 'match_recipient("support@.*")', actions: ['forward("ops@example.com")'] },
+              { id: 'fallback', priority: 1, expression: 'catch_all()', actions: ['store()'] },
+            ],
+          };
+        } else if (req.url.startsWith('/v4/address/validate?')) {
+          payload = { address: 'ada@example.com', result: 'deliverable', risk: 'low', reason: [], did_you_mean: null };
+        } else if (req.url === '/v4/address/validate/bulk/signups') {
+          payload = { id: 'signups', message: 'The validation job was submitted.' };
+        } else if (req.method === 'GET' && req.url.startsWith('/v5/accounts/subaccounts')) {
+          payload = { subaccounts: [{ id: '123', name: 'Acme', status: 'open' }, { id: '456', name: 'Globex', status: 'disabled' }], total: 2 };
+        } else if (req.url === '/v3/paged.example.com/events') {
+          payload = { items: [1, 2, 3], paging: { next: `${process.env.MAILGUN_API_BASE_URL}/v3/paged.example.com/events/P2` } };
+        } else if (req.url === '/v3/paged.example.com/events/P2') {
+          payload = { items: [4, 5, 6], paging: { next: `${process.env.MAILGUN_API_BASE_URL}/v3/paged.example.com/events/P3` } };
+        } else if (req.url.startsWith('/v3/lists/big%40example.com/members/pages')) {
+          // 150 members on the first page, 80 on the second
+          const pageUrl = page => `${process.env.MAILGUN_API_BASE_URL}/v3/lists/big%40example.com/members/pages?page=${page}`;
+          const members = (from, count) => Array.from({ length: count }, (_, index) => ({ address: `m${from + index}@example.com` }));
+          if (req.url.endsWith('page=p2')) {
+            payload = { items: members(150, 80), paging: { next: pageUrl('p3') } };
+          } else if (req.url.endsWith('page=p3')) {
+            payload = { items: [], paging: { next: pageUrl('p4') } };
+          } else {
+            payload = { items: members(0, 150), paging: { next: pageUrl('p2') } };
+          }
+        } else if (req.url === '/v3/lists/pages') {
+          payload = { items: [{ address: 'team@example.com', members_count: 3 }, { address: 'news@example.com', members_count: 4 }] };
+        } else if (req.url === '/v4/domains/hanging.example.com') {
+          // Never answered, the caller has to abort it
+          onHangingRequest(res);
+          return;
+        } else if (req.url === '/v4/domains/example.com') {
+          payload = {
+            domain: { name: 'example.com', state: 'active' },
+            sending_dns_records: [{ record_type: 'TXT', name: 'example.com', value: 'v=spf1 include:mailgun.org ~all', valid: 'valid', cached: [] }],
+            receiving_dns_records: [],
+          };
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      });
+    });
+    await new Promise(resolve => mockServer.listen(0, '127.0.0.1', resolve));
+    process.env.MAILGUN_API_BASE_URL = `http://127.0.0.1:${mockServer.address().port}`;
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  afterAll(async () => {
+    delete process.env.MAILGUN_API_BASE_URL;
+    await new Promise(resolve => mockServer.close(resolve));
+  });
+
+  const callTool = (toolId, params, options) => callToolOn(serverModule.server, toolId, params, options);
+
+  test('requires confirmation for deletes', async () => {
+    const operation = { parameters: [{ name: 'domainID', in: 'path', required: true }] };
+    serverModule.registerTool('test-delete-bounces', 'Delete entire bounce list', { domainID: z.string() }, 'DELETE', '/v3/{domainID}/bounces', operation);
+
+    const refused = await callTool('test-delete-bounces', { domainID: 'example.com' });
+    expect(refused.content[0].text).toMatch(/confirm set to true/);
+    expect(requests).toHaveLength(0);
+
+    const confirmed = await callTool('test-delete-bounces', { domainID: 'example.com', confirm: true });
+    expect(requests[0]).toMatchObject({ method: 'DELETE', url: '/v3/example.com/bounces' });
+    expect(confirmed.content[0].text).toContain('Summary: Delete entire bounce list (domainID=example.com); Mailgun: done');
+  });
+
+  test('returns the resolved request in dry-run mode', async () => {
+    const operation = {
+      parameters: [{ name: 'domainID', in: 'path', required: true }, { name: 'limit', in: 'query' }]
+    };
+    serverModule.registerTool('test-dry-run', 'Delete entire bounce list', { domainID: z.string(), limit: z.number().optional() }, 'DELETE', '/v3/{domainID}/bounces', operation);
+
+    const result = await callTool('test-dry-run', { domainID: 'example.com', limit: 5, dry_run: true });
+    const [, json] = result.content[0].text.split(/was not sent:\n/);
+
+    expect(requests).toHaveLength(0);
+    expect(JSON.parse(json)).toMatchObject({
+      method: 'DELETE',
+      url: `${process.env.MAILGUN_API_BASE_URL}/v3/example.com/bounces?limit=5`,
+      headers: { Authorization: 'Basic [REDACTED]' },
+      body: null
+    });
+  });
+
+  test('serializes friendly query inputs', async () => {
+    const spec = serverModule.loadOpenApiSpec(serverModule.resolveSpecPath([], {}));
+    const operation = spec.paths['/v3/{domain_name}/events'].get;
+    serverModule.registerTool('test-events-query', 'Get events', serverModule.buildParamsSchema(operation, spec), 'GET', '/v3/{domain_name}/events', operation, {
+      queryParams: serverModule.getQueryParamDefinitions(operation, spec)
+    });
+
+    await callTool('test-events-query', {
+      domain_name: 'example.com',
+      begin: '2024-05-01T10:00:00Z',
+      ascending: true,
+      event: ['delivered', 'failed'],
+    });
+
+    expect(requests[0].url).toBe('/v3/example.com/events?begin=Wed%2C+01+May+2024+10%3A00%3A00+%2B0000&ascending=yes&event=delivered&event=failed');
+  });
+
+  test('retries POST requests only when the call opts in', async () => {
+    const operation = { parameters: [{ name: 'domain_name', in: 'path', required: true }] };
+    const paramsSchema = { domain_name: z.string(), to: z.string().optional() };
+    serverModule.registerTool('test-flaky-post', 'Send a message', paramsSchema, 'POST', '/v3/{domain_name}/flaky', operation);
+    serverModule.registerTool('test-flaky-get', 'Get a message', paramsSchema, 'GET', '/v3/{domain_name}/flaky', operation);
+
+    const failed = await callTool('test-flaky-post', { domain_name: 'example.com', to: 'a@example.com' });
+    expect(requests).toHaveLength(1);
+    expect(JSON.parse(failed.content[1].text).error).toMatchObject({ category: 'rate_limit', attempts: 1 });
+
+    requests = [];
+    const retried = await callTool('test-flaky-post', { domain_name: 'example.com', to: 'a@example.com', retry: true });
+    expect(requests).toHaveLength(2);
+    expect(requests[1].body).toBe('to=a%40example.com');
+    expect(retried.isError).toBeUndefined();
+
+    const tools = await listToolsOn(serverModule.server);
+    expect(tools.find(tool => tool.name === 'test-flaky-post').inputSchema.properties.retry).toBeDefined();
+    expect(tools.find(tool => tool.name === 'test-flaky-get').inputSchema.properties.retry).toBeUndefined();
+  });
+
+  test('returns at most max_items items with a cursor to the rest', async () => {
+    const spec = serverModule.loadOpenApiSpec(serverModule.resolveSpecPath([], {}));
+    const operation = spec.paths['/v3/{domain_name}/events'].get;
+    const target = new McpServer({ name: 'test', version: '1.0.0' });
+    serverModule.registerTool('get-events', 'Get events', serverModule.buildParamsSchema(operation, spec), 'GET', '/v3/{domain_name}/events', operation, {
+      paginated: true,
+      server: target
+    });
+    serverModule.registerPagingTool(spec, createPolicy({ allow: ['GET /v3/{domain_name}/events'] }), target);
+    const call = (toolId, params) => callToolOn(target, toolId, params);
+    const parse = result => JSON.parse(result.content[0].text.split(/successfully:\n/)[1]);
+
+    const first = parse(await call('get-events', { domain_name: 'paged.example.com', paginate: true, max_items: 4 }));
+    const rest = parse(await call('fetch-next-page', { url: first.paging.next, skip_items: first.pagination.skip_items }));
+
+    expect(first.items).toEqual([1, 2, 3, 4]);
+    expect(first.pagination).toEqual({ pages_fetched: 2, item_count: 4, complete: false, skip_items: 1 });
+    expect(first.paging.next).toBe(`${process.env.MAILGUN_API_BASE_URL}/v3/paged.example.com/events/P2`);
+    expect(rest.items).toEqual([5, 6]);
+  });
+
+  test('sends the spec default of an omitted query parameter', async () => {
+    const spec = serverModule.loadOpenApiSpec(serverModule.resolveSpecPath([], {}));
+    const operation = spec.paths['/v3/ip_pools/{pool_id}/domains'].get;
+    serverModule.registerTool('test-pool-domains', 'Get pool domains', serverModule.buildParamsSchema(operation, spec), 'GET', '/v3/ip_pools/{pool_id}/domains', operation, {
+      queryParams: serverModule.getQueryParamDefinitions(operation, spec)
+    });
+
+    await callTool('test-pool-domains', { pool_id: 'pool-1' });
+    await callTool('test-pool-domains', { pool_id: 'pool-1', limit: 50 });
+    const tooFew = await callTool('test-pool-domains', { pool_id: 'pool-1', limit: 5 });
+
+    expect(requests.map(request => request.url)).toEqual([
+      '/v3/ip_pools/pool-1/domains?limit=10',
+      '/v3/ip_pools/pool-1/domains?limit=50'
+    ]);
+    expect(JSON.parse(tooFew.content[1].text).error.category).toBe('validation');
+  });
+
+  test('fetches only pages of the paged endpoints the policy exposes', async () => {
+    const spec = serverModule.loadOpenApiSpec(serverModule.resolveSpecPath([], {}));
+    serverModule.registerPagingTool(spec, createPolicy({ deny: ['GET /v3/{domainID}/bounces'], allowedDomains: ['example.com'] }));
+    const baseUrl = process.env.MAILGUN_API_BASE_URL;
+
+    const events = await callTool('fetch-next-page', { url: `${baseUrl}/v3/example.com/events/W3siYiI6` });
+    const otherDomain = await callTool('fetch-next-page', { url: `${baseUrl}/v3/other.com/events/W3siYiI6` });
+    const denied = await callTool('fetch-next-page', { url: `${baseUrl}/v3/example.com/bounces?page=next&address=a%40example.com` });
+    const notPaged = await callTool('fetch-next-page', { url: `${baseUrl}/v3/example.com/events/W3siYiI6/extra` });
+
+    expect(requests).toEqual([expect.objectContaining({ method: 'GET', url: '/v3/example.com/events/W3siYiI6' })]);
+    expect(events.isError).toBeUndefined();
+    expect(JSON.parse(otherDomain.content[1].text).error.category).toBe('policy');
+    expect(denied.content[0].text).toContain('is not a page of a paged endpoint this server exposes');
+    expect(notPaged.isError).toBe(true);
+  });
+
+  test('lists template versions without the paging parameters the spec marks required', async () => {
+    const spec = serverModule.loadOpenApiSpec(serverModule.resolveSpecPath([], {}));
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    serverModule.generateToolsFromOpenApi(spec, createPolicy({ allow: ['GET /v3/{domain_name}/templates/{template_name}/versions'] }));
+    warn.mockRestore();
+
+    const result = await callTool('get--v3-domain_name-templates-template_name-versions', { domain_name: 'example.com', template_name: 'welcome' });
+
+    expect(spec.paths['/v3/{domain_name}/templates/{template_name}/versions'].get.parameters
+      .filter(param => param.required).map(param => param.name)).toEqual(expect.arrayContaining(['page', 'limit', 'p']));
+    expect(result.isError).toBeUndefined();
+    expect(requests[0].url).toBe('/v3/example.com/templates/welcome/versions');
+  });
+
+  test('sends template variables in the variables header', async () => {
+    const spec = serverModule.loadOpenApiSpec(serverModule.resolveSpecPath([], {}));
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    serverModule.generateToolsFromOpenApi(spec, createPolicy({ allow: ['POST /v3/{domain_name}/messages'] }));
+    warn.mockRestore();
+
+    const result = await callTool('post--v3-domain_name-messages', {
+      domain_name: 'example.com',
+      from: 'app@example.com',
+      to: ['ada@example.com'],
+      subject: 'Welcome',
+      template: 'welcome',
+      variables: { name: 'Ada' },
+    });
+
+    expect(result.isError).toBeUndefined();
+    expect(requests[0].body).toMatch(/name="h:X-Mailgun-Variables"\r\n\r\n\{"name":"Ada"\}\r\n/);
+    expect(requests[0].body).not.toContain('name="variables"');
+  });
+
+  test('schedules messages and deletes scheduled ones on the storage host', async () => {
+    // The send-message tool was generated by the template variables test
+    const spec = serverModule.loadOpenApiSpec(serverModule.resolveSpecPath([], {}));
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    serverModule.generateToolsFromOpenApi(spec, createPolicy({ allow: ['DELETE /v3/{domain_name}/envelopes'] }));
+    warn.mockRestore();
+    process.env.MAILGUN_STORAGE_BASE_URL = `${process.env.MAILGUN_API_BASE_URL}/storage`;
+
+    try {
+      const sent = await callTool('post--v3-domain_name-messages', {
+        domain_name: 'example.com',
+        from: 'app@example.com',
+        to: ['ada@example.com'],
+        subject: 'Later',
+        text: 'Hi',
+        deliver_at: '2099-05-01 09:30',
+        timezone: 'Europe/Berlin',
+      });
+      const past = await callTool('post--v3-domain_name-messages', {
+        domain_name: 'example.com',
+        from: 'app@example.com',
+        to: ['ada@example.com'],
+        subject: 'Earlier',
+        deliver_at: '2001-01-01T00:00:00Z',
+      });
+      await callTool('delete--v3-domain_name-envelopes', { domain_name: 'example.com', confirm: true });
+
+      expect(sent.isError).toBeUndefined();
+      expect(requests[0].body).toMatch(/name="o:deliverytime"\r\n\r\nFri, 01 May 2099 07:30:00 \+0000\r\n/);
+      expect(past.content[0].text).toContain('The delivery time 2001-01-01T00:00:00.000Z is in the past');
+      expect(requests[1]).toMatchObject({ method: 'DELETE', url: '/storage/v3/example.com/envelopes' });
+    } finally {
+      delete process.env.MAILGUN_STORAGE_BASE_URL;
+    }
+  });
+
+  test('sends batches with recipient variables', async () => {
+    serverModule.registerBatchSendTool(createPolicy({}));
+    const recipients = Array.from({ length: 1001 }, (_, index) => ({
+      address: `user${index}@example.com`,
+      variables: { index },
+    }));
+
+    const result = await callTool('send-batch', {
+      domain_name: 'example.com',
+      from: 'app@example.com',
+      subject: 'Hi %recipient.index%',
+      text: 'Hello',
+      recipients: [...recipients, 'Ada <ada@example.com>', 'user0@example.com'],
+      tags: ['launch'],
+    });
+    const [, json] = result.content[0].text.split(/skipped:\n/);
+
+    expect(requests).toHaveLength(2);
+    expect(requests[0].body).toMatch(/name="o:tag"\r\n\r\nlaunch\r\n/);
+    expect(requests[1].body).toMatch(/name="to"\r\n\r\nuser1000@example.com\r\n[\s\S]*name="to"\r\n\r\nAda <ada@example.com>\r\n/);
+    expect(requests[1].body).toContain('{"user1000@example.com":{"index":1000},"ada@example.com":{}}');
+    expect(result.content[0].text).toMatch(/^✅ Sent to 1002 recipient\(s\) in 2 batch\(es\), 1 skipped/);
+    expect(JSON.parse(json).batches).toEqual([
+      { batch: 1, recipients: 1000, id: '<1@example.com>', message: 'Queued. Thank you.' },
+      { batch: 2, recipients: 2, id: '<2@example.com>', message: 'Queued. Thank you.' },
+    ]);
+  });
+
+  test('builds route expressions from filters and actions', async () => {
+    const spec = serverModule.loadOpenApiSpec(serverModule.resolveSpecPath([], {}));
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    serverModule.generateToolsFromOpenApi(spec, createPolicy({ allow: ['POST /v3/routes'] }));
+    warn.mockRestore();
+
+    const result = await callTool('post--v3-routes', {
+      filters: [{ type: 'match_recipient', pattern: 'support@.*' }],
+      actions: [{ type: 'forward', destination: 'ops@example.com' }, { type: 'stop' }],
+    });
+    const invalid = await callTool('post--v3-routes', { expression: 'match_sender("x")', action: ['stop()'] });
+
+    expect(result.isError).toBeUndefined();
+    expect(requests).toHaveLength(1);
+    expect(requests[0].body).toMatch(/name="expression"\r\n\r\nmatch_recipient\("support@\.\*"\)\r\n/);
+    expect(requests[0].body).toMatch(/name="action"\r\n\r\nforward\("ops@example.com"\)\r\n[\s\S]*name="action"\r\n\r\nstop\(\)\r\n/);
+    expect(invalid.isError).toBe(true);
+    expect(invalid.content[0].text).toContain("Unknown filter 'match_sender'");
+  });
+
+  test('leaves out hand-written tools whose endpoint the policy blocks', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    serverModule.registerRouteTestTool(createPolicy({ deny: ['GET /v3/routes'] }));
+
+    expect((await listToolsOn(serverModule.server)).map(tool => tool.name)).not.toContain('test-routes');
+    expect(warn).toHaveBeenCalledWith('Skipping tool test-routes, endpoint blocked by policy: GET /v3/routes');
+    warn.mockRestore();
+  });
+
+  test('tests which routes match a message', async () => {
+    serverModule.registerRouteTestTool(createPolicy({}));
+
+    const result = await callTool('test-routes', { recipient: 'sales@example.com' });
+    const [, json] = result.content[0].text.split(/sales@example.com:\n/);
+
+    expect(requests[0].url).toBe('/v3/routes?skip=0&limit=1000');
+    expect(result.content[0].text).toMatch(/^✅ 1 of 2 route\(s\) match sales@example.com:/);
+    expect(JSON.parse(json)).toMatchObject({ matched: [{ id: 'fallback' }], actions: ['store()'] });
+  });
+
+  test('retrieves and resends stored messages', async () => {
+    serverModule.registerStoredMessageTools(createPolicy({}));
+    process.env.MAILGUN_STORAGE_BASE_URL = process.env.MAILGUN_API_BASE_URL;
+
+    try {
+      const stored = await callTool('get-stored-message', { domain_name: 'example.com', storage_key: 'KEY=' });
+      const resent = await callTool('resend-stored-message', {
+        storage_url: `${process.env.MAILGUN_API_BASE_URL}/v3/domains/example.com/messages/KEY%3D`,
+        to: 'ada@example.org',
+      });
+      const elsewhere = await callTool('resend-stored-message', {
+        storage_url: 'https://storage.example.com/v3/domains/example.com/messages/KEY%3D',
+        to: 'ada@example.org',
+      });
+      const [, json] = stored.content[0].text.split(/app@example.com:\n/);
+
+      expect(stored.content[0].text).toMatch(/^✅ Stored message 'Receipt' from app@example.com:/);
+      expect(JSON.parse(json)).toMatchObject({ to: 'ada@example.com', text: 'Thanks' });
+      expect(requests[1]).toMatchObject({ method: 'POST', url: '/v3/domains/example.com/messages/KEY%3D' });
+      expect(requests[1].body).toMatch(/name="to"\r\n\r\nada@example.org\r\n/);
+      expect(resent.content[0].text).toMatch(/^✅ Resent stored message to ada@example.org:/);
+      expect(elsewhere.isError).toBe(true);
+      expect(elsewhere.content[0].text).toContain('does not point at a Mailgun storage host');
+      expect(requests).toHaveLength(2);
+    } finally {
+      delete process.env.MAILGUN_STORAGE_BASE_URL;
+    }
+  });
+
+  test('reports on deliverability', async () => {
+    serverModule.registerDeliverabilityReportTool(createPolicy({}));
+
+    const result = await callTool('get-deliverability-report', {
+      domain: 'example.com',
+      start: '2024-05-08T00:00:00Z',
+      end: '2024-05-15T00:00:00Z',
+      tags: ['receipts'],
+    });
+    const report = JSON.parse(result.content[1].text);
+
+    expect(requests.map(request => request.url.split('?')[0]).sort()).toEqual([
+      '/v3/example.com/aggregates/countries',
+      '/v3/example.com/aggregates/providers',
+      '/v3/example.com/bounces',
+      '/v3/example.com/stats/total',
+      '/v3/example.com/stats/total',
+      '/v3/example.com/tag/stats',
+    ]);
+    expect(requests.find(request => request.url.startsWith('/v3/example.com/tag/stats')).url).toContain('tag=receipts');
+    expect(result.content[0].text).toMatch(/^⚠️ Deliverability report for example.com, 1 anomalies flagged:\n\n## Deliverability of example.com/);
+    expect(report.rates.delivery_rate).toBe(0.9);
+    expect(report.previous.rates.delivery_rate).toBe(0.99);
+    expect(report.by_provider).toMatchObject({
+      window: expect.stringContaining('not limited to the report period'),
+      rows: [{ name: 'gmail.com', delivered: 650 }]
+    });
+    expect(report.by_tag).toMatchObject([{ name: 'receipts', delivered: 95 }]);
+    expect(report.errors).toEqual([{ section: 'countries', error: expect.stringContaining('Forbidden') }]);
+  });
+
+  test('does not register the template preview when the policy blocks templates', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    serverModule.registerTemplatePreviewTool(createPolicy({ deny: ['GET /v3/{domain_name}/templates/**'] }));
+
+    expect((await listToolsOn(serverModule.server)).map(tool => tool.name)).not.toContain('preview-template');
+    expect(warn).toHaveBeenCalledWith('Skipping tool preview-template, endpoint blocked by policy: GET /v3/{domain_name}/templates/{template_name}');
+    warn.mockRestore();
+  });
+
+  test('previews stored and inline templates', async () => {
+    serverModule.registerTemplatePreviewTool(createPolicy({}));
+
+    const stored = await callTool('preview-template', {
+      domain_name: 'example.com',
+      template_name: 'welcome',
+      variables: { name: 'Ada' },
+    });
+    const inline = await callTool('preview-template', { template: 'Hi {{name}}' });
+
+    expect(requests[0].url).toBe('/v3/example.com/templates/welcome?active=yes');
+    expect(stored.content[0].text).toBe('✅ Rendered template preview:\nSubject: Welcome Ada\n\n<p>Hi Ada</p>');
+    expect(inline.content[0].text).toBe('✅ Rendered template preview:\n⚠️ Variables without a value: name\nHi ');
+  });
+
+  test('checks the DNS records of a domain', async () => {
+    serverModule.registerDomainHealthTool(createPolicy({}));
+
+    const healthy = await callTool('check-domain-health', { name: 'example.com' });
+    const broken = await callTool('check-domain-health', {
+      name: 'example.com',
+      records: [{ record_type: 'TXT', value: 'v=spf1 -all' }],
+    });
+
+    expect(requests[0].url).toBe('/v4/domains/example.com');
+    expect(healthy.content[0].text).toMatch(/^✅ Domain example.com \(active\): 1 ok\n/);
+    expect(broken.content[0].text).toMatch(/^⚠️ Domain example.com \(active\): 1 wrong\n✗ TXT example.com: wrong/);
+  });
+
+  test('summarizes results of list endpoints', async () => {
+    serverModule.registerTool('test-get-lists', 'Get mailing lists', {}, 'GET', '/v3/lists/pages', {}, {
+      summarizeResult: summarizeLists
+    });
+
+    const result = await callTool('test-get-lists', {});
+
+    expect(result.content[0].text).toMatch(/^✅ GET \/v3\/lists\/pages completed successfully:\nMailing lists: 2 with 7 members in total\n\{/);
+  });
+
+  test('resumes long member listings at the first member left out', async () => {
+    const spec = serverModule.loadOpenApiSpec(serverModule.resolveSpecPath([], {}));
+    const policy = createPolicy({ allow: ['GET /v3/lists/{list_address}/members/pages'] });
+    const target = new McpServer({ name: 'test', version: '1.0.0' });
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    serverModule.generateToolsFromOpenApi(spec, policy, target);
+    serverModule.registerPagingTool(spec, policy, target);
+    warn.mockRestore();
+    const call = async (toolId, params) => {
+      const result = await callToolOn(target, toolId, params);
+      const { text } = result.content[0];
+      return JSON.parse(text.substring(text.indexOf('\n{') + 1));
+    };
+
+    for (const paginate of [false, true]) {
+      let page = await call('get--v3-lists-list_address-members-pages', { list_address: 'big@example.com', paginate });
+      const addresses = [...page.items.map(member => member.address)];
+      expect(addresses).toHaveLength(100);
+      while (page.items.length > 0) {
+        page = await call('fetch-next-page', { url: page.paging.next, skip_items: page.pagination?.skip_items });
+        addresses.push(...page.items.map(member => member.address));
+      }
+
+      expect(addresses).toEqual(Array.from({ length: 230 }, (_, index) => `m${index}@example.com`));
+    }
+  });
+
+  test('lists subaccounts and deletes them on their behalf', async () => {
+    const spec = serverModule.loadOpenApiSpec(serverModule.resolveSpecPath([], {}));
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    serverModule.generateToolsFromOpenApi(spec, createPolicy({ allow: ['GET /v5/accounts/subaccounts', 'DELETE /v5/accounts/subaccounts'] }));
+    warn.mockRestore();
+
+    const listed = await callTool('get--v5-accounts-subaccounts', { enabled: true });
+    const missing = await callTool('delete--v5-accounts-subaccounts', { confirm: true });
+    const deleted = await callTool('delete--v5-accounts-subaccounts', { subaccount: '456', confirm: true });
+
+    expect(listed.content[0].text).toContain('Subaccounts: 2 of 2 shown, 1 disabled');
+    expect(requests[0].headers['x-mailgun-on-behalf-of']).toBeUndefined();
+    expect(missing.content[0].text).toContain('Delete a subaccount acts on a subaccount, pass its ID as subaccount');
+    expect(deleted.isError).toBeUndefined();
+    expect(requests).toHaveLength(2);
+    expect(requests[1]).toMatchObject({ method: 'DELETE', url: '/v5/accounts/subaccounts' });
+    expect(requests[1].headers['x-mailgun-on-behalf-of']).toBe('456');
+  });
+
+  test('uses the API key and subaccount of named account profiles', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mailgun-accounts-'));
+    const accountsFile = path.join(dir, 'accounts.json');
+    fs.writeFileSync(accountsFile, JSON.stringify({
+      accounts: {
+        acme: { mailgun_api_key: 'key-acme', subaccount: '123', description: 'Acme Inc.' },
+        globex: { subaccount: '456' },
+      },
+    }));
+    process.env.MAILGUN_MCP_ACCOUNTS_FILE = accountsFile;
+    serverModule.registerTool('test-account-lists', 'Get mailing lists', {}, 'GET', '/v3/lists/pages', {});
+    serverModule.registerAccountListTool();
+
+    try {
+      await callTool('test-account-lists', { account: 'acme' });
+      await callTool('test-account-lists', { account: 'globex', subaccount: '789' });
+      const unknown = await callTool('test-account-lists', { account: 'initech' });
+      const ownCredentials = await callTool('test-account-lists', { account: 'acme' }, {
+        authInfo: { extra: { mailgun: { apiKey: 'key-own' } } }
+      });
+      const listed = await callTool('list-accounts', {});
+      // HTTP sessions only switch to the profiles granted to their client
+      const granted = { authInfo: { extra: { accounts: ['globex'] } } };
+      const grantedCall = await callTool('test-account-lists', { account: 'globex' }, granted);
+      const notGranted = await callTool('test-account-lists', { account: 'acme' }, granted);
+      const noGrants = await callTool('test-account-lists', { account: 'globex' }, { authInfo: { extra: {} } });
+      const grantedList = await callTool('list-accounts', {}, granted);
+
+      expect(requests).toHaveLength(3);
+      expect(requests[0].headers.authorization).toBe(`Basic ${Buffer.from('api:key-acme').toString('base64')}`);
+      expect(requests[0].headers['x-mailgun-on-behalf-of']).toBe('123');
+      expect(requests[1].headers.authorization).not.toBe(requests[0].headers.authorization);
+      expect(requests[1].headers['x-mailgun-on-behalf-of']).toBe('789');
+      expect(unknown.content[0].text).toContain("Unknown Mailgun account 'initech', expected one of: acme, globex");
+      expect(ownCredentials.content[0].text).toContain('this session uses its own Mailgun credentials');
+      expect(listed.content[0].text).toMatch(/^✅ 2 account profile\(s\):\n/);
+      expect(listed.content[0].text).not.toContain('key-acme');
+      expect(grantedCall.isError).toBeUndefined();
+      expect(requests[2].headers['x-mailgun-on-behalf-of']).toBe('456');
+      expect(JSON.parse(notGranted.content[1].text).error).toMatchObject({
+        category: 'policy',
+        message: "Policy violation: account 'acme' is not granted to this client, list it in the client's accounts in the auth file",
+      });
+      expect(noGrants.isError).toBe(true);
+      expect(grantedList.content[0].text).toMatch(/^✅ 1 account profile\(s\):\n/);
+      expect(grantedList.content[0].text).not.toContain('acme');
+    } finally {
+      delete process.env.MAILGUN_MCP_ACCOUNTS_FILE;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('reports a broken accounts file as a configuration error', async () => {
+    process.env.MAILGUN_MCP_ACCOUNTS_FILE = path.join(os.tmpdir(), 'mailgun-missing-accounts.json');
+    serverModule.registerTool('test-account-config', 'Get mailing lists', {}, 'GET', '/v3/lists/pages', {});
+
+    try {
+      const broken = await callTool('test-account-config', { account: 'acme' });
+      const invalid = await callTool('test-account-config', { region: 'moon' });
+
+      expect(requests).toHaveLength(0);
+      expect(JSON.parse(broken.content[1].text).error.category).toBe('config');
+      expect(JSON.parse(invalid.content[1].text).error).toMatchObject({
+        category: 'validation',
+        message: "Invalid parameters: region: Invalid enum value. Expected 'us' | 'eu', received 'moon'",
+      });
+    } finally {
+      delete process.env.MAILGUN_MCP_ACCOUNTS_FILE;
+    }
+  });
+
+  test('uploads list members in batches', async () => {
+    serverModule.registerListUploadTool(createPolicy({}));
+    const members = Array.from({ length: 1001 }, (_, index) => `user${index}@example.com`);
+
+    const result = await callTool('upload-list-members', {
+      list_address: 'team@example.com',
+      members: [...members, 'not-an-address', 'user0@example.com'],
+      upsert: true,
+    });
+    const [, json] = result.content[0].text.split(/skipped:\n/);
+
+    expect(requests).toHaveLength(2);
+    expect(requests[0].body).toMatch(/name="upsert"\r\n\r\nyes\r\n/);
+    expect(requests[1].body).toContain('[{"address":"user1000@example.com"}]');
+    expect(result.content[0].text).toMatch(/^✅ Uploaded 1001 member\(s\) to team@example.com in 2 batch\(es\), 2 skipped/);
+    expect(JSON.parse(json)).toMatchObject({
+      members: 1001,
+      batches: 2,
+      skipped: [
+        { row: 1002, reason: "'not-an-address' is not an email address" },
+        { row: 1003, reason: 'user0@example.com is listed more than once' },
+      ],
+      members_count: 2,
+    });
+  });
+
+  test('previews a CSV member upload in dry-run mode', async () => {
+    const result = await callTool('upload-list-members', {
+      list_address: 'team@example.com',
+      csv: 'address,name,plan\nada@example.com,Ada,pro\n',
+      dry_run: true,
+    });
+
+    expect(requests).toHaveLength(0);
+    expect(result.content[0].text).toMatch(/^🔍 Dry run, 1 POST \/v3\/lists\/team%40example.com\/members.json request\(s\) were not sent/);
+  });
+
+  test('validates an address, answering invalid ones locally', async () => {
+    serverModule.registerAddressValidationTools(createPolicy({}));
+
+    const valid = await callTool('validate-address', { address: 'ada@example.com', provider_lookup: false });
+    const disposable = await callTool('validate-address', { address: 'ada@mailinator.com' });
+    const invalid = await callTool('validate-address', { address: 'ada@example' });
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0]).toMatchObject({ method: 'GET', url: '/v4/address/validate?address=ada%40example.com&provider_lookup=false' });
+    expect(valid.content[0].text).toMatch(/^✅ ada@example.com: deliverable, low risk:\n/);
+    expect(disposable.content[0].text).toMatch(/^✅ ada@mailinator.com: do_not_send, high risk \(mailbox_is_disposable_address\), found by the local check/);
+    expect(invalid.content[0].text).toContain('"syntax_error": "\'example\' has no top-level domain"');
+  });
+
+  test('starts a bulk validation of the addresses that pass the local check', async () => {
+    const result = await callTool('create-bulk-validation', {
+      list_id: 'signups',
+      content: 'name,email\nAda,ada@example.com\nBob,bob@@example.com\nAda again,ADA@example.com\nEve,eve@example.org\n',
+    });
+    const [, json] = result.content[0].text.split(/check:\n/);
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0].body).toMatch(/name="file"; filename="signups.csv"\r\nContent-Type: text\/csv\r\n\r\nemail\nada@example.com\neve@example.org\n\r\n/);
+    expect(result.content[0].text).toMatch(/^✅ Started bulk validation signups of 2 address\(es\), 1 rejected by the local check/);
+    expect(JSON.parse(json)).toMatchObject({
+      submitted: 2,
+      duplicates: 1,
+      rejected_locally: [{ row: 3, address: 'bob@@example.com', result: 'undeliverable' }],
+      response: { id: 'signups' },
+    });
+  });
+
+  test('does not start a bulk validation without valid addresses', async () => {
+    const result = await callTool('create-bulk-validation', { list_id: 'signups', addresses: ['nobody', 'x@yopmail.com'] });
+
+    expect(requests).toHaveLength(0);
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('No addresses passed the local check, 2 rejected, e.g. row 1: the address has no @');
+  });
+
+  test('queries buffered webhook events', async () => {
+    const buffer = new WebhookEventBuffer();
+    buffer.add({ event: 'delivered', recipient: 'a@example.com', timestamp: 1700000000 });
+    buffer.add({ event: 'failed', recipient: 'b@example.com', timestamp: 1700000100 });
+    serverModule.registerWebhookEventsTool(buffer);
+
+    const result = await callTool('get-webhook-events', { event: 'failed' });
+    const [, json] = result.content[0].text.split(/event\(s\):\n/);
+
+    expect(result.content[0].text).toMatch(/^✅ 1 webhook event\(s\)/);
+    expect(JSON.parse(json)).toMatchObject({ events: [{ seq: 2, event: { recipient: 'b@example.com' } }], last_seq: 2 });
+  });
+
+  test('forces dry-run mode when configured globally', async () => {
+    process.env.MAILGUN_MCP_DRY_RUN = 'true';
+    serverModule.registerTool('test-global-dry-run', 'List domains', {}, 'GET', '/v4/domains', {});
+
+    try {
+      const result = await callTool('test-global-dry-run', { dry_run: false });
+
+      expect(result.content[0].text).toMatch(/^🔍 Dry run, GET \/v4\/domains was not sent/);
+      expect(requests).toHaveLength(0);
+    } finally {
+      delete process.env.MAILGUN_MCP_DRY_RUN;
+    }
+  });
+
+  test('aborts the request when the client cancels the call', async () => {
+    serverModule.registerTool('test-cancelled', 'Get a domain', {}, 'GET', '/v4/domains/hanging.example.com', {});
+    const controller = new AbortController();
+    // Cancel once Mailgun received the request, then wait for it to be closed
+    const closed = new Promise(resolve => {
+      onHangingRequest = res => {
+        res.on('close', resolve);
+        controller.abort();
+      };
+    });
+
+    await expect(callTool('test-cancelled', {}, { signal: controller.signal })).rejects.toThrow();
+    await closed;
+
+    expect(requests).toEqual([expect.objectContaining({ method: 'GET', url: '/v4/domains/hanging.example.com' })]);
+  });
+
+  test('returns a policy violation instead of sending blocked calls', async () => {
+    const operation = { parameters: [{ name: 'domain_name', in: 'path', required: true }] };
+    const policy = createPolicy({ allowedRecipients: ['*@example.com'] });
+    serverModule.registerTool('test-send-message', 'Send an email', { domain_name: z.string(), to: z.string() }, 'POST', '/v3/{domain_name}/messages', operation, { policy });
+
+    const result = await callTool('test-send-message', { domain_name: 'example.com', to: 'someone@elsewhere.com' });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toBe("Error: Policy violation: recipient 'someone@elsewhere.com' is not in the allowed recipients");
+    expect(JSON.parse(result.content[1].text).error.category).toBe('policy');
+    expect(requests).toHaveLength(0);
+  });
+
+  test('sends array bodies as JSON lists', async () => {
+    const operation = {
+      parameters: [{ name: 'domainID', in: 'path', required: true }],
+      requestBody: { content: { 'application/json': { schema: { type: 'array' } } } }
+    };
+    const paramsSchema = { domainID: z.string(), items: z.array(z.object({ address: z.string() })) };
+    serverModule.registerTool('test-import-bounces', 'Insert bounce records', paramsSchema, 'POST', '/v3/{domainID}/bounces', operation, { arrayBody: true });
+
+    const result = await callTool('test-import-bounces', { domainID: 'example.com', items: [{ address: 'a@example.com' }] });
+
+    expect(requests[0].headers['content-type']).toBe('application/json');
+    expect(JSON.parse(requests[0].body)).toEqual([{ address: 'a@example.com' }]);
+    expect(result.content[0].text).toContain('1 record(s) submitted');
+  });
+});
+
+describe('buildMailgunRequest()', () => {
+  test('resolves the URL and encoded body without sending', () => {
+    const request = serverModule.buildMailgunRequest('POST', '/v3/example.com/messages?o:testmode=yes', { to: 'a@example.com' }, {
+      baseUrl: 'http://localhost:8080/mailgun'
+    });
+
+    expect(request.url.href).toBe('http://localhost:8080/mailgun/v3/example.com/messages?o:testmode=yes');
+    expect(request.headers['Content-Type']).toBe('application/x-www-form-urlencoded');
+    expect(request.encoded.body.toString()).toBe('to=a%40example.com');
+  });
+
+  test('uses the API key and region of the session', () => {
+    const credentials = serverModule.sessionCredentials({ authInfo: { extra: { mailgun: { apiKey: 'key-team', region: 'eu' } } } });
+    const request = serverModule.buildMailgunRequest('GET', '/v4/domains', null, { credentials });
+    const overridden = serverModule.buildMailgunRequest('GET', '/v4/domains', null, { credentials, region: 'us' });
+
+    expect(request.url.host).toBe('api.eu.mailgun.net');
+    expect(request.headers.Authorization).toBe(`Basic ${Buffer.from('api:key-team').toString('base64')}`);
+    expect(overridden.url.host).toBe('api.mailgun.net');
+    expect(serverModule.sessionCredentials({})).toBeUndefined();
+  });
+
+  test('acts on behalf of a subaccount', () => {
+    const request = serverModule.buildMailgunRequest('GET', '/v4/domains', null, { subaccount: '123' });
+    const primary = serverModule.buildMailgunRequest('GET', '/v4/domains', null, {});
+
+    expect(request.headers['X-Mailgun-On-Behalf-Of']).toBe('123');
+    expect(primary.headers).not.toHaveProperty('X-Mailgun-On-Behalf-Of');
+  });
+
+  test('never lets the path change the host', () => {
+    const request = serverModule.buildMailgunRequest('GET', '//evil.example.com/v3/domains', null, { region: 'us' });
+
+    expect(request.url.host).toBe('api.mailgun.net');
+  });
+});
+
+describe('describeMailgunRequest()', () => {
+  test('redacts the API key', () => {
+    const request = serverModule.buildMailgunRequest('POST', '/v1/analytics/metrics', { resolution: 'day' }, {
+      region: 'eu',
+      contentType: 'application/json'
+    });
+
+    expect(serverModule.describeMailgunRequest(request)).toEqual({
+      method: 'POST',
+      url: 'https://api.eu.mailgun.net/v1/analytics/metrics',
+      headers: {
+        'Authorization': 'Basic [REDACTED]',
+        'Content-Type': 'application/json',
+        'Content-Length': 20
+      },
+      body: '{"resolution":"day"}'
+    });
+  });
+});
+
+describe('tool error results', () => {
+  let client;
+
+  beforeAll(async () => {
+    const operation = { parameters: [{ name: 'domain_name', in: 'path', required: true }] };
+    serverModule.registerTool('test-validated-tool', 'Get a domain', { domain_name: z.string(), limit: z.number().optional() }, 'GET', '/v3/{domain_name}', operation);
+
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    client = new Client({ name: 'test-client', version: '1.0.0' });
+    await Promise.all([
+      serverModule.server.connect(serverTransport),
+      client.connect(clientTransport)
+    ]);
+  });
+
+  afterAll(async () => {
+    await client.close();
+  });
+
+  test('keeps required parameters in the advertised schema', async () => {
+    const { tools } = await client.listTools();
+    const tool = tools.find(t => t.name === 'test-validated-tool');
+
+    expect(tool.inputSchema.required).toEqual(['domain_name']);
+    expect(tool.inputSchema.properties.limit.type).toBe('number');
+  });
+
+  test('returns invalid arguments as a validation error result', async () => {
+    const result = await client.callTool({ name: 'test-validated-tool', arguments: { limit: 'ten' } });
+    const { error } = JSON.parse(result.content[1].text);
+
+    expect(result.isError).toBe(true);
+    expect(error.category).toBe('validation');
+    expect(error.path).toBe('/v3/{domain_name}');
+    expect(error.issues).toEqual([
+      { path: 'domain_name', message: 'Required' },
+      { path: 'limit', message: 'Expected number, received string' }
+    ]);
+  });
+});
+
+describe('createSessionServer()', () => {
+  const listSessionTools = async (sessionServer) => (await listToolsOn(sessionServer)).map(tool => tool.name);
+
+  test('registers the tools on a new server for every session', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const context = {
+      openApiSpec: serverModule.loadOpenApiSpec(serverModule.resolveSpecPath()),
+      policy: createPolicy({ allow: ['GET /v4/domains', 'GET /v4/domains/{name}', 'GET /v3/{domain_name}/events'] }),
+    };
+    const first = serverModule.createSessionServer(context);
+    const second = serverModule.createSessionServer(context);
+    warn.mockRestore();
+
+    const tools = await listSessionTools(first);
+
+    expect(first).not.toBe(second);
+    expect(first).not.toBe(serverModule.server);
+    expect(tools).toEqual(expect.arrayContaining(['get--v4-domains', 'check-domain-health', 'fetch-next-page']));
+    expect(tools).not.toContain('send-batch');
+    expect(tools).not.toContain('get-webhook-events');
+    expect(await listSessionTools(second)).toEqual(tools);
+  });
+
+  test('lists input schemas without references', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const sessionServer = serverModule.createSessionServer({
+      openApiSpec: serverModule.loadOpenApiSpec(serverModule.resolveSpecPath()),
+      policy: createPolicy({}),
+      webhookEvents: new WebhookEventBuffer(),
+    });
+    warn.mockRestore();
+
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    const client = new Client({ name: 'test-client', version: '1.0.0' });
+    await Promise.all([sessionServer.connect(serverTransport), client.connect(clientTransport)]);
+    const { tools } = await client.listTools();
+    await client.close();
+    const withRefs = tools
+      .filter(tool => JSON.stringify(tool.inputSchema).includes('"$ref"'))
+      .map(tool => tool.name);
+
+    expect(tools.length).toBeGreaterThan(100);
+    expect(withRefs).toEqual([]);
+  });
+
+  test('adds the webhook events tool when the receiver is running', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const context = { openApiSpec: { paths: {} }, policy: createPolicy({}), webhookEvents: new WebhookEventBuffer() };
+    const sessionServer = serverModule.createSessionServer(context, { name: 'ops', credentials: null });
+    const ownCredentials = serverModule.createSessionServer(context, { name: 'acme', credentials: { apiKey: 'key-acme' } });
+    const denied = serverModule.createSessionServer({ ...context, policy: createPolicy({ deny: ['GET /v3/*/events'] }) });
+    warn.mockRestore();
+
+    expect(await listSessionTools(sessionServer)).toContain('get-webhook-events');
+    expect(await listSessionTools(ownCredentials)).not.toContain('get-webhook-events');
+    expect(await listSessionTools(denied)).not.toContain('get-webhook-events');
+  });
+
+  test('only returns webhook events of the allowed domains', async () => {
+    const webhookEvents = new WebhookEventBuffer();
+    webhookEvents.add({ event: 'delivered', envelope: { sender: 'app@example.com' } });
+    webhookEvents.add({ event: 'delivered', envelope: { sender: 'app@other.com' } });
+    webhookEvents.add({ event: 'opened', recipient: 'ada@example.com' });
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const sessionServer = serverModule.createSessionServer({
+      openApiSpec: { paths: {} },
+      policy: createPolicy({ allowedDomains: ['example.com'] }),
+      webhookEvents,
+    });
+    warn.mockRestore();
+
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    const client = new Client({ name: 'test-client', version: '1.0.0' });
+    await Promise.all([sessionServer.connect(serverTransport), client.connect(clientTransport)]);
+    const result = await client.callTool({ name: 'get-webhook-events', arguments: {} });
+    await client.close();
+    const [, json] = result.content[0].text.split(/event\(s\):\n/);
+
+    expect(JSON.parse(json).events.map(entry => entry.seq)).toEqual([1]);
+  });
+});
+
+describe('toToolErrorResult()', () => {
+  test('classifies Mailgun errors by status', () => {
+    const categories = [401, 403, 404, 400, 429, 500, 503].map(status =>
+      JSON.parse(toToolErrorResult(new MailgunApiError('failed', { status })).content[1].text).error.category
+    );
+
+    expect(categories).toEqual(['auth', 'auth', 'not_found', 'validation', 'rate_limit', 'upstream', 'upstream']);
+  });
+
+  test('carries the status, path, message and attempts', () => {
+    const error = new MailgunApiError('Domain not found', { status: 404, method: 'GET', path: '/v4/domains/x', attempts: 1 });
+
+    expect(JSON.parse(toToolErrorResult(error).content[1].text)).toEqual({
+      error: {
+        category: 'not_found',
+        status: 404,
+        method: 'GET',
+        path: '/v4/domains/x',
+        message: 'Domain not found',
+        attempts: 1
+      }
+    });
+  });
+
+  test('reports timeouts and cancellations as their own categories', () => {
+    const timeout = toToolErrorResult(new MailgunTimeoutError('connect', 100, { method: 'GET', path: '/v4/domains' }));
+    const cancelled = toToolErrorResult(new MailgunAbortError({ method: 'GET', path: '/v4/domains' }));
+
+    expect(JSON.parse(timeout.content[1].text).error.category).toBe('timeout');
+    expect(JSON.parse(cancelled.content[1].text).error.category).toBe('cancelled');
+  });
+
+  test('tells invalid input from configuration problems and internal failures', () => {
+    const categories = [
+      new InputError('start must be before end'),
+      z.string().safeParse(1).error,
+      new ConfigError('Failed to load policy file policy.json'),
+      new TypeError("Cannot read properties of undefined (reading 'items')"),
+    ].map(error => JSON.parse(toToolErrorResult(error).content[1].text).error.category);
+
+    expect(categories).toEqual(['validation', 'validation', 'config', 'internal']);
+  });
+
+  test('classifies connection failures as network errors', () => {
+    const error = Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:1'), { code: 'ECONNREFUSED' });
+    const result = toToolErrorResult(error, { method: 'GET', path: '/v4/domains' });
+
+    expect(JSON.parse(result.content[1].text).error).toMatchObject({ category: 'network', path: '/v4/domains', status: null });
+  });
+});
+
+describe('OpenAPI spec loading and validation', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mailgun-spec-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const spec = {
+    openapi: '3.1.0',
+    paths: {
+      '/v4/domains': {
+        get: {
+          parameters: [{ name: 'limit', in: 'query', schema: { $ref: '#/components/schemas/Limit' } }]
+        }
+      },
+      '/v3/{domain_name}/events': {
+        get: {
+          parameters: [{ name: 'severity', in: 'query', schema: { $ref: '#/components/schemas/Missing' } }]
+        }
+      }
+    },
+    components: {
+      schemas: {
+        Limit: { type: 'integer' },
+        Node: { type: 'object', properties: { child: { $ref: '#/components/schemas/Node' } } }
+      }
+    }
+  };
+
+  test('loads JSON specs', () => {
+    const file = path.join(dir, 'spec.json');
+    fs.writeFileSync(file, JSON.stringify(spec));
+
+    const loaded = serverModule.loadOpenApiSpec(file);
+
+    expect(loaded).toMatchObject(spec);
+    expect(loaded.paths['/v3/lists/{list_address}/validate']).toBeDefined();
+  });
+
+  test('throws instead of exiting when the spec cannot be loaded', () => {
+    expect(() => serverModule.loadOpenApiSpec(path.join(dir, 'missing.yaml'))).toThrow(/error loading openapi spec/i);
+
+    const file = path.join(dir, 'empty.yaml');
+    fs.writeFileSync(file, 'openapi: 3.1.0\n');
+    expect(() => serverModule.loadOpenApiSpec(file)).toThrow(/no paths defined/);
+  });
+
+  test('resolves the spec path from the flag, the environment, then the bundled spec', () => {
+    expect(serverModule.resolveSpecPath(['--spec', '/specs/a.yaml'], { MAILGUN_OPENAPI_SPEC: '/specs/b.yaml' })).toBe('/specs/a.yaml');
+    expect(serverModule.resolveSpecPath(['--spec=/specs/a.json'], {})).toBe('/specs/a.json');
+    expect(serverModule.resolveSpecPath([], { MAILGUN_OPENAPI_SPEC: '/specs/b.yaml' })).toBe('/specs/b.yaml');
+    expect(serverModule.resolveSpecPath([], {})).toMatch(/src\/openapi-final\.yaml$/);
+  });
+
+  test('reads the strictness setting', () => {
+    expect(serverModule.isStrictSpecMode(['--strict'], {})).toBe(true);
+    expect(serverModule.isStrictSpecMode([], { MAILGUN_SPEC_STRICT: 'true' })).toBe(true);
+    expect(serverModule.isStrictSpecMode([], {})).toBe(false);
+  });
+
+  test('finds unresolved references and survives cyclic ones', () => {
+    const result = serverModule.findUnresolvedRefs(
+      { a: { $ref: '#/components/schemas/Node' }, b: [{ $ref: '#/components/schemas/Nope' }], c: { $ref: 'other.yaml#/X' } },
+      spec
+    );
+
+    expect([...result]).toEqual(['#/components/schemas/Nope', 'other.yaml#/X']);
+  });
+
+  test('reports unmatched endpoints and unresolved references', () => {
+    const report = serverModule.validateOpenApiSpec(spec, [
+      'GET /v4/domains',
+      'GET /v3/{domain_name}/events',
+      'POST /v3/{domain_name}/messages'
+    ]);
+
+    expect(report).toEqual({
+      matched: ['GET /v4/domains', 'GET /v3/{domain_name}/events'],
+      unmatched: ['POST /v3/{domain_name}/messages'],
+      unresolvedRefs: [{ endpoint: 'GET /v3/{domain_name}/events', ref: '#/components/schemas/Missing' }],
+      ok: false
+    });
+  });
+
+  test('validates the bundled spec', () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    try {
+      expect(serverModule.runSpecCheck([])).toBe(0);
+      expect(log.mock.calls[0][0]).toMatch(/Spec OK$/);
+    } finally {
+      log.mockRestore();
+    }
+  });
+
+  test('fails the check for specs with problems', () => {
+    const file = path.join(dir, 'broken.json');
+    fs.writeFileSync(file, JSON.stringify(spec));
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    try {
+      expect(serverModule.runSpecCheck(['--spec', file])).toBe(1);
+      expect(log.mock.calls[0][0]).toContain('✗ not found in spec: POST /v3/{domain_name}/messages');
+    } finally {
+      log.mockRestore();
+    }
+  });
+});
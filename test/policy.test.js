@@ -0,0 +1,131 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import * as path from 'path';
+import * as policyModule from '../src/policy.js';
+
+describe('Policy', () => {
+  describe('isEndpointAllowed()', () => {
+    test('allows everything by default', () => {
+      const policy = policyModule.createPolicy();
+
+      expect(policyModule.isEndpointAllowed(policy, 'POST', '/v3/{domain_name}/messages')).toBe(true);
+    });
+
+    test('only allows GET operations in read-only mode', () => {
+      const policy = policyModule.createPolicy({ readOnly: true });
+
+      expect(policyModule.isEndpointAllowed(policy, 'GET', '/v4/domains')).toBe(true);
+      expect(policyModule.isEndpointAllowed(policy, 'POST', '/v3/{domain_name}/messages')).toBe(false);
+      expect(policyModule.isEndpointAllowed(policy, 'DELETE', '/v3/{domainID}/bounces')).toBe(false);
+    });
+
+    test('lets allow globs re-enable writes in read-only mode', () => {
+      const policy = policyModule.createPolicy({ readOnly: true, allow: ['POST /v1/analytics/*', 'GET /**'] });
+
+      expect(policyModule.isEndpointAllowed(policy, 'POST', '/v1/analytics/metrics')).toBe(true);
+      expect(policyModule.isEndpointAllowed(policy, 'POST', '/v1/analytics/usage/metrics')).toBe(false);
+      expect(policyModule.isEndpointAllowed(policy, 'GET', '/v3/{domainID}/bounces')).toBe(true);
+    });
+
+    test('only registers allow-listed endpoints', () => {
+      const policy = policyModule.createPolicy({ allow: ['get /v3/*/events'] });
+
+      expect(policyModule.isEndpointAllowed(policy, 'GET', '/v3/{domain_name}/events')).toBe(true);
+      expect(policyModule.isEndpointAllowed(policy, 'GET', '/v4/domains')).toBe(false);
+    });
+
+    test('gives deny globs precedence', () => {
+      const policy = policyModule.createPolicy({ allow: ['* /**'], deny: ['DELETE /**', '* /v3/{domain_name}/messages'] });
+
+      expect(policyModule.isEndpointAllowed(policy, 'DELETE', '/v3/{domainID}/bounces')).toBe(false);
+      expect(policyModule.isEndpointAllowed(policy, 'POST', '/v3/{domain_name}/messages')).toBe(false);
+      expect(policyModule.isEndpointAllowed(policy, 'POST', '/v3/{domainID}/bounces')).toBe(true);
+    });
+
+    test('rejects malformed patterns', () => {
+      expect(() => policyModule.createPolicy({ allow: ['/v3/**'] })).toThrow(/invalid endpoint pattern/i);
+      expect(() => policyModule.createPolicy({ deny: 'DELETE /**' })).toThrow(/must be a list/);
+    });
+  });
+
+  describe('assertRequestAllowed()', () => {
+    test('restricts the domains tools may act on', () => {
+      const policy = policyModule.createPolicy({ allowedDomains: ['mg.example.com'] });
+
+      expect(() => policyModule.assertRequestAllowed(policy, 'GET', '/v3/{domain_name}/events', { domain_name: 'MG.example.com' }))
+        .not.toThrow();
+      expect(() => policyModule.assertRequestAllowed(policy, 'GET', '/v3/{domainID}/bounces', { domainID: 'other.com' }))
+        .toThrow(policyModule.PolicyViolationError);
+      expect(() => policyModule.assertRequestAllowed(policy, 'GET', '/v4/domains/{name}', { name: 'other.com' }))
+        .toThrow(/domain 'other.com' is not in the allowed domains/);
+      expect(() => policyModule.assertRequestAllowed(policy, 'GET', '/v3/ips', {})).not.toThrow();
+    });
+
+    test('checks created domains and DKIM authorities', () => {
+      const policy = policyModule.createPolicy({ allowedDomains: ['mg.example.com'] });
+
+      expect(() => policyModule.assertRequestAllowed(policy, 'POST', '/v4/domains', { name: 'mg.example.com' }))
+        .not.toThrow();
+      expect(() => policyModule.assertRequestAllowed(policy, 'POST', '/v4/domains', { name: 'other.com' }))
+        .toThrow(/domain 'other.com'/);
+      expect(() => policyModule.assertRequestAllowed(policy, 'GET', '/v4/domains/{authority_name}/keys', { authority_name: 'other.com' }))
+        .toThrow(/domain 'other.com'/);
+    });
+
+    test('restricts the recipients of sent messages', () => {
+      const policy = policyModule.createPolicy({ allowedRecipients: ['*@example.com', 'ops@partner.org'] });
+      const params = { domain_name: 'mg.example.com', to: ['Jane <jane@example.com>', 'ops@partner.org'] };
+
+      expect(() => policyModule.assertRequestAllowed(policy, 'POST', '/v3/{domain_name}/messages', params)).not.toThrow();
+      expect(() => policyModule.assertRequestAllowed(policy, 'POST', '/v3/{domain_name}/messages', {
+        ...params,
+        bcc: 'someone@elsewhere.com'
+      })).toThrow(/recipient 'someone@elsewhere.com' is not in the allowed recipients/);
+      expect(() => policyModule.assertRequestAllowed(policy, 'POST', '/v3/domains/{domain_name}/messages/{storage_key}', {
+        domain_name: 'mg.example.com',
+        to: 'someone@elsewhere.com'
+      })).toThrow(/recipient 'someone@elsewhere.com' is not in the allowed recipients/);
+    });
+
+    test('blocks endpoints the policy does not allow', () => {
+      const policy = policyModule.createPolicy({ readOnly: true });
+
+      expect(() => policyModule.assertRequestAllowed(policy, 'POST', '/v3/{domain_name}/messages', {}))
+        .toThrow('Policy violation: POST /v3/{domain_name}/messages is not allowed');
+    });
+  });
+
+  describe('parseRecipients()', () => {
+    test('extracts addresses from display names and comma separated lists', () => {
+      expect(policyModule.parseRecipients(['Jane Doe <Jane@Example.com>, bob@example.com']))
+        .toEqual(['jane@example.com', 'bob@example.com']);
+    });
+  });
+
+  describe('loadPolicy()', () => {
+    test('reads the policy file and lets environment variables override it', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mailgun-policy-'));
+      const file = path.join(dir, 'policy.json');
+      fs.writeFileSync(file, JSON.stringify({ readOnly: true, deny: ['DELETE /**'], allowedDomains: ['a.com'] }));
+
+      try {
+        const policy = policyModule.loadPolicy({
+          MAILGUN_MCP_POLICY_FILE: file,
+          MAILGUN_MCP_READ_ONLY: 'false',
+          MAILGUN_MCP_ALLOWED_DOMAINS: 'b.com, c.com'
+        });
+
+        expect(policy.readOnly).toBe(false);
+        expect(policy.deny).toHaveLength(1);
+        expect(policy.allowedDomains).toEqual(['b.com', 'c.com']);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test('reports unreadable policy files', () => {
+      expect(() => policyModule.loadPolicy({ MAILGUN_MCP_POLICY_FILE: '/nonexistent/policy.json' }))
+        .toThrow(/failed to load policy file/i);
+    });
+  });
+});
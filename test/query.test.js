@@ -0,0 +1,111 @@
+import { z } from 'zod';
+import * as query from '../src/query.js';
+
+describe('Query parameters', () => {
+  const now = new Date('2024-05-15T12:30:00Z');
+  const toZod = schema => (schema.enum ? z.enum(schema.enum) : z.string());
+
+  describe('getQueryParamDefinition()', () => {
+    test('defaults to exploded form style', () => {
+      expect(query.getQueryParamDefinition({ name: 'limit' }, { type: 'integer' }))
+        .toEqual({ name: 'limit', description: undefined, style: 'form', explode: true, schema: { type: 'integer' } });
+    });
+
+    test('keeps the style and explode settings of the spec', () => {
+      const definition = query.getQueryParamDefinition({ name: 'ids', style: 'pipeDelimited', explode: false }, { type: 'array' });
+
+      expect(definition).toMatchObject({ style: 'pipeDelimited', explode: false });
+    });
+
+    test('fills in the formats of Mailgun date and event parameters', () => {
+      const begin = query.getQueryParamDefinition({ name: 'begin', description: 'Start' }, { type: 'string' });
+      const event = query.getQueryParamDefinition({ name: 'event' }, { type: 'string' });
+
+      expect(begin.schema).toEqual({ type: 'string', format: 'date-time' });
+      expect(begin.description).toBe('Start');
+      expect(event.schema).toEqual({ type: 'array', items: { type: 'string' } });
+    });
+
+    test('prefers schemas the spec defines', () => {
+      const schema = { type: 'string', enum: ['accepted', 'delivered'] };
+
+      expect(query.getQueryParamDefinition({ name: 'event' }, schema).schema).toBe(schema);
+    });
+  });
+
+  describe('queryParamToZod()', () => {
+    test('accepts friendly dates', () => {
+      const definition = query.getQueryParamDefinition({ name: 'start', description: 'Start date' }, { type: 'string' });
+      const schema = query.queryParamToZod(definition, toZod);
+
+      expect(schema.parse('last 7 days')).toBe('last 7 days');
+      expect(schema.safeParse('whenever').success).toBe(false);
+      expect(schema.description).toMatch(/^Start date\. Accepts ISO 8601/);
+    });
+
+    test('accepts booleans for yes/no flags', () => {
+      const definition = query.getQueryParamDefinition({ name: 'ascending' }, { type: 'string', enum: ['yes', 'no'] });
+      const schema = query.queryParamToZod(definition, toZod);
+
+      expect(schema.parse(true)).toBe(true);
+      expect(schema.parse('no')).toBe('no');
+      expect(schema.safeParse('maybe').success).toBe(false);
+    });
+
+    test('accepts single values and lists for array parameters', () => {
+      const definition = query.getQueryParamDefinition({ name: 'event' }, { type: 'string' });
+      const schema = query.queryParamToZod(definition, toZod);
+
+      expect(schema.parse('delivered')).toBe('delivered');
+      expect(schema.parse(['delivered', 'failed'])).toEqual(['delivered', 'failed']);
+    });
+  });
+
+  describe('serializeQueryParams()', () => {
+    const definitions = {
+      begin: query.getQueryParamDefinition({ name: 'begin' }, { type: 'string' }),
+      end: query.getQueryParamDefinition({ name: 'end' }, { type: 'string' }),
+      event: query.getQueryParamDefinition({ name: 'event' }, { type: 'string' }),
+      ascending: query.getQueryParamDefinition({ name: 'ascending' }, { type: 'string', enum: ['yes', 'no'] }),
+      tags: query.getQueryParamDefinition({ name: 'tags', explode: false }, { type: 'array' }),
+      ids: query.getQueryParamDefinition({ name: 'ids', style: 'pipeDelimited' }, { type: 'array' }),
+      filter: query.getQueryParamDefinition({ name: 'filter', style: 'deepObject' }, { type: 'object' }),
+    };
+    const serialize = params => query.serializeQueryParams(params, definitions, now).toString();
+
+    test('converts dates to RFC 2822 and keeps epoch seconds', () => {
+      const result = query.serializeQueryParams({ begin: 'last 7 days', end: 1715776200 }, definitions, now);
+
+      expect(result.get('begin')).toBe('Wed, 08 May 2024 12:30:00 +0000');
+      expect(result.get('end')).toBe('1715776200');
+    });
+
+    test('repeats keys of exploded arrays', () => {
+      expect(serialize({ event: ['delivered', 'failed'] })).toBe('event=delivered&event=failed');
+      expect(serialize({ event: 'delivered' })).toBe('event=delivered');
+    });
+
+    test('joins arrays that are not exploded', () => {
+      expect(serialize({ tags: ['a', 'b'] })).toBe('tags=a%2Cb');
+      expect(serialize({ ids: ['1', '2'] })).toBe('ids=1%7C2');
+    });
+
+    test('converts booleans to yes/no where the parameter expects it', () => {
+      expect(serialize({ ascending: true })).toBe('ascending=yes');
+      expect(serialize({ ascending: false, enabled: true })).toBe('ascending=no&enabled=true');
+    });
+
+    test('serializes objects by style', () => {
+      expect(serialize({ filter: { domain: 'example.com' } })).toBe('filter%5Bdomain%5D=example.com');
+      expect(serialize({ other: { a: 1, b: 2 } })).toBe('a=1&b=2');
+    });
+
+    test('skips missing values', () => {
+      expect(serialize({ begin: undefined, limit: null, skip: 0 })).toBe('skip=0');
+    });
+
+    test('rejects dates it does not understand', () => {
+      expect(() => serialize({ begin: 'whenever' })).toThrow(/not a recognized date/);
+    });
+  });
+});
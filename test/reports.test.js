@@ -0,0 +1,150 @@
+import * as reports from '../src/reports.js';
+
+describe('Reports', () => {
+  const statsEntry = (accepted, delivered, bounce, complained, uniqueOpened) => ({
+    accepted: { outgoing: accepted, incoming: 0, total: accepted },
+    delivered: { total: delivered },
+    failed: {
+      permanent: { total: bounce + 1, bounce, 'delayed-bounce': 0, 'suppress-bounce': 1, 'suppress-unsubscribe': 0, 'suppress-complaint': 0 },
+      temporary: { total: 2, espblock: 2 },
+    },
+    opened: { total: uniqueOpened * 2, unique: uniqueOpened },
+    clicked: { total: 10, unique: 5 },
+    complained: { total: complained },
+    unsubscribed: { total: 1 },
+  });
+
+  describe('sumStats() and computeRates()', () => {
+    test('add up a period and compute its rates', () => {
+      const counts = reports.sumStats({ stats: [statsEntry(600, 580, 10, 1, 200), statsEntry(400, 390, 5, 0, 100)] });
+
+      expect(counts).toEqual({
+        accepted: 1000,
+        delivered: 970,
+        failed_permanent: 17,
+        failed_temporary: 4,
+        bounced: 15,
+        suppressed: 2,
+        opened: 600,
+        unique_opened: 300,
+        clicked: 20,
+        unique_clicked: 10,
+        complained: 1,
+        unsubscribed: 2,
+      });
+      expect(reports.computeRates(counts)).toEqual({
+        delivery_rate: 0.97,
+        bounce_rate: 0.015,
+        complaint_rate: 0.001,
+        unsubscribe_rate: 0.0021,
+        open_rate: 0.3093,
+        click_rate: 0.0103,
+      });
+    });
+
+    test('leave rates empty without messages', () => {
+      expect(reports.computeRates(reports.sumStats({ stats: [] })).delivery_rate).toBeNull();
+    });
+  });
+
+  describe('buildBreakdown()', () => {
+    test('sorts aggregates by delivered messages', () => {
+      const rows = reports.buildBreakdown({
+        'aol.com': { accepted: 10, delivered: 9, opened: 3 },
+        'gmail.com': { accepted: 100, delivered: 98, opened: 40, unique_opened: 30 },
+      });
+
+      expect(rows.map(row => row.name)).toEqual(['gmail.com', 'aol.com']);
+      expect(rows[0].rates.open_rate).toBe(0.3061);
+      expect(rows[1].rates.open_rate).toBe(0.3333);
+    });
+  });
+
+  describe('groupBounces()', () => {
+    test('counts bounces of the period by code', () => {
+      const groups = reports.groupBounces([
+        { code: '550', error: 'No such user', created_at: 'Tue, 07 May 2024 10:00:00 UTC' },
+        { code: '550', error: 'Mailbox unavailable', created_at: 'Wed, 08 May 2024 10:00:00 UTC' },
+        { code: '552', error: 'Mailbox full', created_at: 'Wed, 08 May 2024 11:00:00 UTC' },
+        { code: '550', error: 'Too old', created_at: 'Mon, 01 Jan 2024 10:00:00 UTC' },
+      ], new Date('2024-05-06T00:00:00Z'), new Date('2024-05-13T00:00:00Z'));
+
+      expect(groups).toEqual([
+        { code: '550', count: 2, example_error: 'No such user' },
+        { code: '552', count: 1, example_error: 'Mailbox full' },
+      ]);
+    });
+  });
+
+  describe('pickRecentTags()', () => {
+    test('keeps the tags seen most recently', () => {
+      const tags = reports.pickRecentTags([
+        { tag: 'old', 'last-seen': '2024-01-01T00:00:00Z' },
+        { tag: 'newsletter', 'last-seen': '2024-05-10T00:00:00Z' },
+        { tag: 'receipts', 'last-seen': '2024-05-12T00:00:00Z' },
+        { tag: 'welcome', 'last-seen': '2024-05-11T00:00:00Z' },
+      ], new Date('2024-05-06T00:00:00Z'), 2);
+
+      expect(tags).toEqual(['receipts', 'welcome']);
+    });
+  });
+
+  describe('detectAnomalies()', () => {
+    const period = stats => {
+      const counts = reports.sumStats({ stats });
+      return { counts, rates: reports.computeRates(counts) };
+    };
+
+    test('flags rates that got worse and rates above their limit', () => {
+      const anomalies = reports.detectAnomalies(
+        period([statsEntry(3000, 2700, 240, 10, 300)]),
+        period([statsEntry(1000, 980, 10, 0, 300)])
+      );
+
+      expect(anomalies.map(anomaly => [anomaly.metric, anomaly.severity])).toEqual([
+        ['accepted', 'info'],
+        ['delivery_rate', 'warning'],
+        ['bounce_rate', 'critical'],
+        ['complaint_rate', 'critical'],
+        ['open_rate', 'warning'],
+        ['click_rate', 'warning'],
+      ]);
+      expect(anomalies[1].message).toBe('delivery rate fell from 98.00% to 90.00%');
+    });
+
+    test('ignores low volumes and steady periods', () => {
+      expect(reports.detectAnomalies(period([statsEntry(50, 20, 30, 5, 0)]), period([statsEntry(50, 50, 0, 0, 10)]))).toEqual([]);
+      expect(reports.detectAnomalies(period([statsEntry(1000, 980, 10, 0, 300)]), period([statsEntry(1000, 980, 10, 0, 300)]))).toEqual([]);
+    });
+  });
+
+  describe('buildDeliverabilityReport() and formatReportMarkdown()', () => {
+    test('combine the sections into JSON and Markdown', () => {
+      const report = reports.buildDeliverabilityReport({
+        domain: 'example.com',
+        period: { start: new Date('2024-05-08T00:00:00Z'), end: new Date('2024-05-15T00:00:00Z') },
+        previousPeriod: { start: new Date('2024-05-01T00:00:00Z'), end: new Date('2024-05-08T00:00:00Z') },
+        stats: { stats: [statsEntry(1000, 980, 10, 0, 300)] },
+        previousStats: { stats: [statsEntry(1000, 980, 10, 0, 300)] },
+        providers: { 'gmail.com': { accepted: 600, delivered: 590 } },
+        tags: { receipts: { stats: [statsEntry(200, 199, 1, 0, 50)] } },
+        bounces: [{ code: '550', error: 'No | such user', created_at: 'Fri, 10 May 2024 10:00:00 UTC' }],
+        errors: [{ section: 'countries', error: 'Mailgun API error (403): Forbidden' }],
+      });
+      const markdown = reports.formatReportMarkdown(report);
+
+      expect(report.rates.delivery_rate).toBe(0.98);
+      expect(report.by_tag).toMatchObject([{ name: 'receipts', accepted: 200 }]);
+      expect(report.by_provider).toEqual({ window: reports.AGGREGATES_WINDOW, rows: [expect.objectContaining({ name: 'gmail.com' })] });
+      expect(report.by_country).toBeUndefined();
+      expect(markdown).toContain('## Deliverability of example.com');
+      expect(markdown).toContain('| delivery rate | 98.00% | 98.00% |');
+      expect(markdown).toContain("### By provider\n\nCounts: Mailgun's running aggregates, not limited to the report period.\n\n| Name |");
+      expect(markdown).toContain('| gmail.com | 600 | 590 | 98.33% |');
+      expect(markdown).not.toMatch(/### By tag\n\nCounts:/);
+      expect(markdown).toContain('| 550 | 1 | No \\| such user |');
+      expect(markdown).toContain('- countries: Mailgun API error (403): Forbidden');
+      expect(markdown).not.toContain('### Anomalies');
+    });
+  });
+});
@@ -0,0 +1,97 @@
+import * as retry from '../src/retry.js';
+
+describe('Retry', () => {
+  const config = { retries: 2, baseDelay: 100, maxDelay: 1000, retryNonIdempotent: false };
+
+  describe('getRetryConfig()', () => {
+    afterEach(() => {
+      delete process.env.MAILGUN_RETRY_MAX;
+      delete process.env.MAILGUN_RETRY_NON_IDEMPOTENT;
+    });
+
+    test('reads defaults from the environment and lets options override them', () => {
+      process.env.MAILGUN_RETRY_MAX = '5';
+
+      expect(retry.getRetryConfig().retries).toBe(5);
+      expect(retry.getRetryConfig({ retries: 0 }).retries).toBe(0);
+      expect(retry.getRetryConfig().baseDelay).toBe(500);
+    });
+
+    test('retries non-idempotent requests when the environment or the options opt in', () => {
+      expect(retry.getRetryConfig().retryNonIdempotent).toBe(false);
+
+      process.env.MAILGUN_RETRY_NON_IDEMPOTENT = 'true';
+
+      expect(retry.getRetryConfig().retryNonIdempotent).toBe(true);
+      expect(retry.getRetryConfig({ retryNonIdempotent: false }).retryNonIdempotent).toBe(false);
+    });
+
+    test('ignores invalid environment values', () => {
+      process.env.MAILGUN_RETRY_MAX = 'many';
+
+      expect(retry.getRetryConfig().retries).toBe(2);
+    });
+  });
+
+  describe('isRetryable()', () => {
+    test('retries rate limits, server errors and network errors for idempotent methods', () => {
+      expect(retry.isRetryable('GET', 429, config)).toBe(true);
+      expect(retry.isRetryable('DELETE', 503, config)).toBe(true);
+      expect(retry.isRetryable('GET', null, config)).toBe(true);
+      expect(retry.isRetryable('GET', 400, config)).toBe(false);
+      expect(retry.isRetryable('GET', 501, config)).toBe(false);
+    });
+
+    test('only retries POST requests when opted in', () => {
+      expect(retry.isRetryable('POST', 429, config)).toBe(false);
+      expect(retry.isRetryable('POST', 429, { ...config, retryNonIdempotent: true })).toBe(true);
+    });
+  });
+
+  describe('getServerRetryDelay()', () => {
+    const now = Date.parse('2025-01-01T00:00:00Z');
+
+    test('reads Retry-After in seconds and as a date', () => {
+      expect(retry.getServerRetryDelay({ 'retry-after': '3' }, now)).toBe(3000);
+      expect(retry.getServerRetryDelay({ 'retry-after': 'Wed, 01 Jan 2025 00:00:05 GMT' }, now)).toBe(5000);
+    });
+
+    test('reads X-RateLimit-Reset when no requests remain', () => {
+      const headers = { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(now + 2000) };
+
+      expect(retry.getServerRetryDelay(headers, now)).toBe(2000);
+      expect(retry.getServerRetryDelay({ ...headers, 'x-ratelimit-reset': String(now / 1000 + 4) }, now)).toBe(4000);
+      expect(retry.getServerRetryDelay({ ...headers, 'x-ratelimit-remaining': '10' }, now)).toBeNull();
+    });
+
+    test('returns null without rate limit headers', () => {
+      expect(retry.getServerRetryDelay({}, now)).toBeNull();
+    });
+  });
+
+  describe('computeRetryDelay()', () => {
+    test('backs off exponentially with jitter', () => {
+      expect(retry.computeRetryDelay(1, {}, config, () => 0)).toBe(50);
+      expect(retry.computeRetryDelay(1, {}, config, () => 0.999)).toBe(100);
+      expect(retry.computeRetryDelay(3, {}, config, () => 0)).toBe(200);
+      expect(retry.computeRetryDelay(10, {}, config, () => 0)).toBe(500);
+    });
+
+    test('honors the server delay unless it exceeds the maximum', () => {
+      expect(retry.computeRetryDelay(1, { 'retry-after': '0.5' }, config)).toBe(500);
+      expect(retry.computeRetryDelay(1, { 'retry-after': '60' }, config)).toBeNull();
+    });
+  });
+
+  describe('sleep()', () => {
+    test('resolves early when the signal aborts', async () => {
+      const controller = new AbortController();
+      const started = Date.now();
+      setTimeout(() => controller.abort(), 10);
+
+      await retry.sleep(5000, controller.signal);
+
+      expect(Date.now() - started).toBeLessThan(1000);
+    });
+  });
+});
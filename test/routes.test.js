@@ -0,0 +1,102 @@
+import * as routes from '../src/routes.js';
+
+describe('Routes', () => {
+  describe('parseExpression()', () => {
+    test('parses filters joined by and', () => {
+      expect(routes.parseExpression(`match_recipient('.*@support.example.com') and match_header("subject", "(?P<word>urgent|help)")`)).toEqual([
+        { type: 'match_recipient', pattern: '.*@support.example.com' },
+        { type: 'match_header', header: 'subject', pattern: '(?P<word>urgent|help)' },
+      ]);
+      expect(routes.parseExpression('catch_all()')).toEqual([{ type: 'catch_all' }]);
+    });
+
+    test('keeps backslashes of patterns and unescapes quotes', () => {
+      expect(routes.parseExpression('match_header("subject", "say \\"hi\\"\\.")')).toEqual([
+        { type: 'match_header', header: 'subject', pattern: 'say "hi"\\.' },
+      ]);
+    });
+
+    test('rejects invalid expressions', () => {
+      expect(() => routes.parseExpression('match_recipient(".*@example.com"')).toThrow('Expected , or ) at position 32');
+      expect(() => routes.parseExpression('match_recipient(".*@example.com") or catch_all()')).toThrow('Expected and');
+      expect(() => routes.parseExpression('match_sender(".*")')).toThrow("Unknown filter 'match_sender'");
+      expect(() => routes.parseExpression('match_header("subject")')).toThrow('match_header takes 2 argument(s)');
+      expect(() => routes.parseExpression('match_recipient("(")')).toThrow("Invalid regular expression '('");
+      expect(() => routes.parseExpression('catch_all() and match_recipient(".*")')).toThrow('catch_all() cannot be combined');
+    });
+  });
+
+  describe('parseAction()', () => {
+    test('parses forward, store and stop', () => {
+      expect(routes.parseAction('forward("ops@example.com")')).toEqual({ type: 'forward', destination: 'ops@example.com' });
+      expect(routes.parseAction("store(notify='https://example.com/hook')")).toEqual({ type: 'store', notify: 'https://example.com/hook' });
+      expect(routes.parseAction('stop()')).toEqual({ type: 'stop' });
+    });
+
+    test('rejects invalid actions', () => {
+      expect(() => routes.parseAction('forward("ops")')).toThrow("forward() needs an email address or an http(s) URL, got 'ops'");
+      expect(() => routes.parseAction('store(notify="ftp://example.com")')).toThrow('store() needs an http(s) URL');
+      expect(() => routes.parseAction('drop()')).toThrow("Invalid action 'drop()'");
+      expect(() => routes.parseAction('stop() and stop()')).toThrow('must be a single action');
+    });
+  });
+
+  describe('prepareRouteBody()', () => {
+    test('builds the expression and actions from structured input', () => {
+      const body = routes.prepareRouteBody({
+        priority: 1,
+        filters: [
+          { type: 'match_recipient', pattern: 'support@example.com' },
+          { type: 'match_header', header: 'subject', pattern: '.*"urgent"' },
+        ],
+        actions: [{ type: 'forward', destination: 'https://example.com/inbound' }, { type: 'store' }, { type: 'stop' }],
+      }, { create: true });
+
+      expect(body).toEqual({
+        priority: 1,
+        expression: `match_recipient("support@example.com") and match_header("subject", '.*"urgent"')`,
+        action: ['forward("https://example.com/inbound")', 'store()', 'stop()'],
+      });
+    });
+
+    test('checks raw input and what a new route needs', () => {
+      expect(routes.prepareRouteBody({ action: ['stop()'] })).toEqual({ action: ['stop()'] });
+      expect(() => routes.prepareRouteBody({ expression: 'match_recipient(".*")', filters: [{ type: 'catch_all' }] }))
+        .toThrow('Pass the filter either as filters or as expression, not both');
+      expect(() => routes.prepareRouteBody({ action: ['forward("nowhere")'] })).toThrow('forward() needs');
+      expect(() => routes.prepareRouteBody({ action: ['stop()'] }, { create: true })).toThrow('A route needs filters or an expression');
+      expect(() => routes.prepareRouteBody({ expression: 'catch_all()' }, { create: true })).toThrow('A route needs actions');
+    });
+  });
+
+  describe('matchRoutes()', () => {
+    const accountRoutes = [
+      { id: 'fallback', priority: 5, expression: 'catch_all()', actions: ['store()'] },
+      { id: 'urgent', priority: 0, created_at: 'Wed, 15 Feb 2012 13:03:31 GMT', expression: 'match_recipient("support@.*") and match_header("Subject", ".*urgent")', actions: ['forward("oncall@example.com")', 'stop()'] },
+      { id: 'support', priority: 0, created_at: 'Wed, 15 Feb 2012 14:00:00 GMT', expression: 'match_recipient("support@.*")', actions: ['forward("https://example.com/tickets")'] },
+      { id: 'broken', priority: 1, expression: 'match_sender("x")', actions: [] },
+    ];
+
+    test('applies routes by priority until one stops', () => {
+      const report = routes.matchRoutes(accountRoutes, {
+        recipient: 'Support@example.com',
+        headers: { subject: 'This is urgent' },
+      });
+
+      expect(report.matched.map(route => route.id)).toEqual(['urgent']);
+      expect(report.actions).toEqual(['forward("oncall@example.com")']);
+      expect(report.stopped_by).toBe('urgent');
+      expect(report.not_evaluated).toBe(3);
+    });
+
+    test('uses catch_all only when nothing else matched', () => {
+      const support = routes.matchRoutes(accountRoutes, { recipient: 'support@example.com', headers: { Subject: 'Question' } });
+      const other = routes.matchRoutes(accountRoutes, { recipient: 'sales@example.com' });
+
+      expect(support.matched.map(route => route.id)).toEqual(['support']);
+      expect(support.invalid).toEqual([{ id: 'broken', expression: 'match_sender("x")', error: expect.stringContaining('Unknown filter') }]);
+      expect(other.matched.map(route => route.id)).toEqual(['fallback']);
+      expect(other.actions).toEqual(['store()']);
+    });
+  });
+});
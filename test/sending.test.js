@@ -0,0 +1,49 @@
+import * as sending from '../src/sending.js';
+
+describe('Sending', () => {
+  const now = new Date('2024-05-15T12:30:00Z');
+
+  describe('parseDeliveryTime()', () => {
+    test('accepts dates with offsets, local times in a time zone and relative times', () => {
+      expect(sending.parseDeliveryTime('2024-05-16T09:00:00-04:00', undefined, now).toISOString()).toBe('2024-05-16T13:00:00.000Z');
+      expect(sending.parseDeliveryTime('2024-05-16 09:00', 'Europe/Berlin', now).toISOString()).toBe('2024-05-16T07:00:00.000Z');
+      expect(sending.parseDeliveryTime('in 2 days', 'Europe/Berlin', now).toISOString()).toBe('2024-05-17T12:30:00.000Z');
+    });
+
+    test('reads local times without a time zone as UTC, not in the server time zone', () => {
+      expect(sending.parseDeliveryTime('2024-05-16 09:30', undefined, now).toISOString()).toBe('2024-05-16T09:30:00.000Z');
+    });
+
+    test('rejects unknown and past times', () => {
+      expect(() => sending.parseDeliveryTime('soonish', undefined, now)).toThrow("'soonish' is not a recognized delivery time");
+      expect(() => sending.parseDeliveryTime('2024-05-15 09:00', 'UTC', now)).toThrow('The delivery time 2024-05-15T09:00:00.000Z is in the past');
+      expect(sending.parseDeliveryTime('now', undefined, now).toISOString()).toBe('2024-05-15T12:30:00.000Z');
+    });
+  });
+
+  describe('applyDeliveryTime()', () => {
+    test('converts deliver_at into o:deliverytime', () => {
+      expect(sending.applyDeliveryTime({ to: 'a@example.com', deliver_at: '2024-05-16 09:00', timezone: 'America/New_York' }, now))
+        .toEqual({ to: 'a@example.com', 'o:deliverytime': 'Thu, 16 May 2024 13:00:00 +0000' });
+      expect(sending.applyDeliveryTime({ to: 'a@example.com' }, now)).toEqual({ to: 'a@example.com' });
+    });
+
+    test('rejects conflicting inputs', () => {
+      expect(() => sending.applyDeliveryTime({ deliver_at: 'in 1 hour', 'o:deliverytime': 'Thu, 16 May 2024 13:00:00 +0000' }, now))
+        .toThrow('Pass the delivery time either as deliver_at or as o:deliverytime, not both');
+      expect(() => sending.applyDeliveryTime({ timezone: 'UTC' }, now)).toThrow('timezone only applies to deliver_at');
+    });
+  });
+
+  describe('toBatchFields()', () => {
+    test('gives every recipient an entry in recipient-variables', () => {
+      expect(sending.toBatchFields([
+        { address: 'Ada <ada@example.com>', variables: { first: 'Ada' } },
+        { address: 'bob@example.com' },
+      ])).toEqual({
+        to: ['Ada <ada@example.com>', 'bob@example.com'],
+        'recipient-variables': '{"ada@example.com":{"first":"Ada"},"bob@example.com":{}}',
+      });
+    });
+  });
+});
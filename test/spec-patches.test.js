@@ -0,0 +1,60 @@
+import { applySpecPatches } from '../src/spec-patches.js';
+
+describe('OpenAPI spec patches', () => {
+  const suppressionSpec = () => ({
+    paths: {},
+    components: {
+      schemas: {
+        'github.com-mailgun-blackbook-api-BouncesList': {
+          type: 'array',
+          items: { $ref: '#/components/schemas/github.com-mailgun-blackbook-model-Bounce' },
+        },
+        'github.com-mailgun-blackbook-api-UnsubscribesList': {
+          type: 'array',
+          items: { $ref: '#/components/schemas/github.com-mailgun-blackbook-model-Unsubscribe' },
+        },
+      },
+    },
+  });
+
+  test('adds the mailing list validation endpoints the spec lacks', () => {
+    const spec = applySpecPatches({ paths: { '/v3/lists/{list_address}/validate': { get: { summary: 'Own' } } } });
+    const operations = spec.paths['/v3/lists/{list_address}/validate'];
+
+    expect(Object.keys(operations).sort()).toEqual(['delete', 'get', 'post']);
+    expect(operations.get).toEqual({ summary: 'Own' });
+    expect(operations.post.parameters).toEqual([expect.objectContaining({ name: 'list_address', in: 'path', required: true })]);
+    expect(spec.components.schemas.ListValidationJob.properties.status).toEqual(expect.objectContaining({ type: 'string' }));
+  });
+
+  test('adds the address validation endpoints under their own tag', () => {
+    const spec = applySpecPatches({
+      tags: [{ name: 'Mailing Lists' }],
+      'x-tagGroups': [{ name: 'Mailing Lists', tags: ['Mailing Lists'] }],
+      paths: {},
+    });
+
+    expect(Object.keys(spec.paths)).toEqual(expect.arrayContaining([
+      '/v4/address/validate',
+      '/v4/address/validate/bulk',
+      '/v4/address/validate/bulk/{list_id}',
+    ]));
+    expect(spec.paths['/v4/address/validate/bulk/{list_id}'].post.requestBody.content['multipart/form-data'].schema.required)
+      .toEqual(['file']);
+    expect(spec.components.schemas.AddressValidation.properties.result.type).toBe('string');
+    expect(spec.tags.map(tag => tag.name)).toEqual(['Mailing Lists', 'Email Validation']);
+    expect(applySpecPatches(spec)['x-tagGroups']).toHaveLength(2);
+  });
+
+  test('describes suppression list items by the fields that can be added', () => {
+    const { schemas } = applySpecPatches(suppressionSpec()).components;
+
+    expect(schemas['github.com-mailgun-blackbook-api-BouncesList'].items)
+      .toEqual({ $ref: '#/components/schemas/POST-v3-domainID-bounces-application-form-data-RequestBody' });
+    expect(schemas['github.com-mailgun-blackbook-api-UnsubscribesList']).toMatchObject({
+      type: 'array',
+      items: { type: 'object', required: ['address'], properties: { tags: { type: 'array' } } },
+    });
+    expect(schemas['github.com-mailgun-blackbook-api-ComplaintsList']).toBeUndefined();
+  });
+});
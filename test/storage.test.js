@@ -0,0 +1,70 @@
+import * as storage from '../src/storage.js';
+
+describe('Stored messages', () => {
+  describe('parseStorageUrl()', () => {
+    test('accepts Mailgun storage URLs', () => {
+      expect(storage.parseStorageUrl('https://storage-us-east4.api.mailgun.net/v3/domains/mg.example.com/messages/AgEAAbc%3D')).toEqual({
+        baseUrl: 'https://storage-us-east4.api.mailgun.net',
+        path: '/v3/domains/mg.example.com/messages/AgEAAbc%3D',
+        domain: 'mg.example.com',
+        key: 'AgEAAbc=',
+      });
+      expect(storage.parseStorageUrl('https://se.api.eu.mailgun.net/v3/domains/mg.example.com/messages/key').baseUrl)
+        .toBe('https://se.api.eu.mailgun.net');
+    });
+
+    test('rejects other hosts, plain HTTP and other paths', () => {
+      expect(() => storage.parseStorageUrl('https://storage.api.mailgun.net.evil.com/v3/domains/a.com/messages/key'))
+        .toThrow('does not point at a Mailgun storage host');
+      expect(() => storage.parseStorageUrl('http://storage-us-east4.api.mailgun.net/v3/domains/a.com/messages/key'))
+        .toThrow('does not point at a Mailgun storage host');
+      expect(() => storage.parseStorageUrl('https://storage-us-east4.api.mailgun.net:8443/v3/domains/a.com/messages/key'))
+        .toThrow('does not point at a Mailgun storage host');
+      expect(() => storage.parseStorageUrl('https://storage-us-east4.api.mailgun.net/v3/domains/a.com/webhooks'))
+        .toThrow('is not a stored message');
+      expect(() => storage.parseStorageUrl('https://storage-us-east4.api.mailgun.net/v3/domains/a.com/messages/key?redirect=x'))
+        .toThrow('must not have credentials, a query or a fragment');
+      expect(() => storage.parseStorageUrl('not a url')).toThrow("Invalid storage URL 'not a url'");
+    });
+
+    test('accepts explicitly allowed origins', () => {
+      const location = storage.parseStorageUrl('http://localhost:8081/v3/domains/a.com/messages/key', {
+        allowedOrigins: ['http://localhost:8081'],
+      });
+
+      expect(location.baseUrl).toBe('http://localhost:8081');
+    });
+  });
+
+  describe('formatStoredMessage()', () => {
+    test('parses headers, bodies and attachments', () => {
+      const message = storage.formatStoredMessage({
+        From: 'App <app@example.com>',
+        Subject: 'Your receipt',
+        recipients: 'ada@example.com',
+        'message-headers': [
+          ['Received', 'by a'],
+          ['Received', 'by b'],
+          ['To', 'ada@example.com'],
+          ['Message-Id', '<1@example.com>'],
+        ],
+        'body-plain': 'Thanks',
+        'body-html': '<p>Thanks</p>',
+        attachments: [{ name: 'receipt.pdf', 'content-type': 'application/pdf', size: 1024, url: 'https://storage/att/0' }],
+      });
+
+      expect(message).toEqual({
+        from: 'App <app@example.com>',
+        to: 'ada@example.com',
+        recipients: 'ada@example.com',
+        subject: 'Your receipt',
+        date: null,
+        message_id: '<1@example.com>',
+        headers: { Received: ['by a', 'by b'], To: 'ada@example.com', 'Message-Id': '<1@example.com>' },
+        text: 'Thanks',
+        html: '<p>Thanks</p>',
+        attachments: [{ name: 'receipt.pdf', content_type: 'application/pdf', size: 1024, url: 'https://storage/att/0' }],
+      });
+    });
+  });
+});
@@ -0,0 +1,67 @@
+import * as templates from '../src/templates.js';
+
+describe('Templates', () => {
+  describe('applyTemplateVariables()', () => {
+    test('serializes variables into the variables header', () => {
+      const result = templates.applyTemplateVariables({ template: 'welcome', variables: { name: 'Ada', items: [1, 2] } });
+
+      expect(result).toEqual({ template: 'welcome', 'h:X-Mailgun-Variables': '{"name":"Ada","items":[1,2]}' });
+    });
+
+    test('leaves calls without variables unchanged', () => {
+      const params = { template: 'welcome', 'h:X-Mailgun-Variables': '{}' };
+
+      expect(templates.applyTemplateVariables(params)).toBe(params);
+    });
+
+    test('refuses variables given twice', () => {
+      expect(() => templates.applyTemplateVariables({ variables: {}, 'h:X-Mailgun-Variables': '{}' }))
+        .toThrow(/not both/);
+    });
+  });
+
+  describe('renderTemplate()', () => {
+    const render = (source, variables) => templates.renderTemplate(source, variables);
+
+    test('substitutes and escapes variables', () => {
+      const result = render('<p>Hi {{user.name}}, {{note}} {{{html}}}</p>', {
+        user: { name: 'Ada' },
+        note: '<b>&</b>',
+        html: '<i>raw</i>'
+      });
+
+      expect(result).toEqual({ output: '<p>Hi Ada, &lt;b&gt;&amp;&lt;/b&gt; <i>raw</i></p>', missing: [] });
+    });
+
+    test('reports variables without a value', () => {
+      expect(render('Hi {{name}}{{! a comment }}{{!-- {{ignored}} --}}', {})).toEqual({ output: 'Hi ', missing: ['name'] });
+    });
+
+    test('renders conditionals', () => {
+      const source = '{{#if vip}}VIP{{else}}regular{{/if}} {{#unless paid}}unpaid{{/unless}} {{#equal plan "pro"}}pro{{else}}free{{/equal}}';
+
+      expect(render(source, { vip: true, paid: false, plan: 'pro' }).output).toBe('VIP unpaid pro');
+      expect(render(source, { vip: [], paid: true, plan: 'basic' }).output).toBe('regular  free');
+    });
+
+    test('renders lists and objects with each', () => {
+      const source = '{{#each items}}{{@index}}:{{name}}{{#unless @last}}, {{/unless}}{{else}}none{{/each}} {{#each totals}}{{@key}}={{this}};{{/each}}';
+
+      expect(render(source, { items: [{ name: 'a' }, { name: 'b' }], totals: { x: 1 } }).output).toBe('0:a, 1:b x=1;');
+      expect(render(source, { items: [] }).output).toBe('none ');
+    });
+
+    test('changes the context with with and reaches parents with ../', () => {
+      const source = '{{#with user}}{{name}} from {{../company}}{{/with}}';
+
+      expect(render(source, { user: { name: 'Ada' }, company: 'Acme' }).output).toBe('Ada from Acme');
+    });
+
+    test('rejects malformed templates and unknown helpers', () => {
+      expect(() => render('{{#if a}}open', {})).toThrow(/Unclosed \{\{#if\}\} block/);
+      expect(() => render('{{#if a}}{{/each}}', {})).toThrow(/Unexpected \{\{\/each\}\}/);
+      expect(() => render('Hi {{name', {})).toThrow(/Unclosed tag/);
+      expect(() => render('{{#lookup a}}{{/lookup}}', {})).toThrow(/Unsupported helper 'lookup'/);
+    });
+  });
+});
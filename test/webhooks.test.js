@@ -0,0 +1,129 @@
+import crypto from 'node:crypto';
+import * as webhooks from '../src/webhooks.js';
+
+describe('Webhooks', () => {
+  const signingKey = 'key-secret';
+  const sign = (timestamp, token, key = signingKey) => ({
+    timestamp: String(timestamp),
+    token,
+    signature: crypto.createHmac('sha256', key).update(`${timestamp}${token}`).digest('hex'),
+  });
+
+  describe('getWebhookConfig()', () => {
+    test('is disabled without a signing key', () => {
+      expect(webhooks.getWebhookConfig({})).toBeNull();
+    });
+
+    test('reads the receiver settings', () => {
+      expect(webhooks.getWebhookConfig({
+        MAILGUN_WEBHOOK_SIGNING_KEY: 'k',
+        MAILGUN_WEBHOOK_BUFFER_SIZE: '10',
+        MAILGUN_WEBHOOK_MAX_AGE_SECONDS: 'soon',
+      })).toEqual({ signingKey: 'k', path: '/webhooks/mailgun', bufferSize: 10, maxAgeSeconds: 300 });
+    });
+  });
+
+  describe('verifyWebhookSignature()', () => {
+    test('accepts signatures made with the signing key', () => {
+      expect(webhooks.verifyWebhookSignature(sign(1700000000, 'token'), signingKey)).toBe(true);
+    });
+
+    test('rejects other signatures', () => {
+      expect(webhooks.verifyWebhookSignature(sign(1700000000, 'token', 'other-key'), signingKey)).toBe(false);
+      expect(webhooks.verifyWebhookSignature({ ...sign(1700000000, 'token'), token: 'changed' }, signingKey)).toBe(false);
+      expect(webhooks.verifyWebhookSignature({ timestamp: '1', token: 'x', signature: 'zz' }, signingKey)).toBe(false);
+      expect(webhooks.verifyWebhookSignature(undefined, signingKey)).toBe(false);
+    });
+  });
+
+  describe('eventDomain()', () => {
+    test('reads the domain of the stored message, then of the envelope sender', () => {
+      expect(webhooks.eventDomain({
+        storage: { url: 'https://se.api.mailgun.net/v3/domains/MG.example.com/messages/key' },
+        envelope: { sender: 'bob@other.com' },
+      })).toBe('mg.example.com');
+      expect(webhooks.eventDomain({ envelope: { sender: 'bob@other.com' } })).toBe('other.com');
+      expect(webhooks.eventDomain({ recipient: 'a@example.com' })).toBeNull();
+    });
+  });
+
+  describe('WebhookEventBuffer', () => {
+    test('keeps the most recent events', () => {
+      const buffer = new webhooks.WebhookEventBuffer({ size: 2 });
+      ['a', 'b', 'c'].forEach(recipient => buffer.add({ event: 'delivered', recipient, timestamp: 1 }));
+
+      expect(buffer.query().map(entry => [entry.seq, entry.event.recipient])).toEqual([[2, 'b'], [3, 'c']]);
+    });
+
+    test('filters events', () => {
+      const buffer = new webhooks.WebhookEventBuffer();
+      buffer.add({ event: 'delivered', recipient: 'a@example.com', timestamp: 100 });
+      buffer.add({ event: 'failed', recipient: 'B@example.com', timestamp: 200 });
+      buffer.add({ event: 'opened', recipient: 'b@example.com', timestamp: 300 });
+
+      const recipients = filters => buffer.query(filters).map(entry => entry.seq);
+      expect(recipients({ events: ['Failed', 'opened'] })).toEqual([2, 3]);
+      expect(recipients({ recipient: 'b@example.com' })).toEqual([2, 3]);
+      expect(recipients({ since: new Date(200 * 1000) })).toEqual([2, 3]);
+      expect(recipients({ after: 2 })).toEqual([3]);
+      expect(recipients({ limit: 1 })).toEqual([3]);
+    });
+
+    test('filters events by sending domain', () => {
+      const buffer = new webhooks.WebhookEventBuffer();
+      buffer.add({ event: 'delivered', storage: { url: 'https://storage-us-east4.api.mailgun.net/v3/domains/mg.example.com/messages/key' } });
+      buffer.add({ event: 'failed', envelope: { sender: 'bounce@Other.com' } });
+      buffer.add({ event: 'opened', recipient: 'c@example.com' });
+
+      expect(buffer.query({ domains: ['mg.example.com'] }).map(entry => entry.seq)).toEqual([1]);
+      expect(buffer.query({ domains: ['other.com', 'example.com'] }).map(entry => entry.seq)).toEqual([2]);
+    });
+
+    test('detects replayed tokens and forgets expired ones', () => {
+      const buffer = new webhooks.WebhookEventBuffer({ maxAgeSeconds: 60 });
+
+      expect(buffer.rememberToken('t1', 1000, 1000)).toBe(true);
+      expect(buffer.rememberToken('t1', 1000, 1010)).toBe(false);
+      expect(buffer.rememberToken('t2', 1100, 1100)).toBe(true);
+      expect(buffer.tokens.has('t1')).toBe(false);
+    });
+  });
+
+  describe('createWebhookHandler()', () => {
+    const now = 1700000000;
+    let buffer;
+    let handler;
+
+    const receive = body => {
+      const res = {
+        status(code) { this.statusCode = code; return this; },
+        json(payload) { this.payload = payload; return this; },
+      };
+      handler({ body }, res);
+      return res;
+    };
+
+    beforeEach(() => {
+      buffer = new webhooks.WebhookEventBuffer();
+      handler = webhooks.createWebhookHandler(buffer, { signingKey, maxAgeSeconds: 300, now: () => now * 1000 });
+    });
+
+    test('buffers signed events', () => {
+      const res = receive({ signature: sign(now, 'tok'), 'event-data': { event: 'failed', recipient: 'a@example.com' } });
+
+      expect(res.statusCode).toBe(200);
+      expect(buffer.query()[0].event).toEqual({ event: 'failed', recipient: 'a@example.com' });
+    });
+
+    test('rejects invalid, stale and replayed webhooks', () => {
+      const eventData = { event: 'delivered' };
+
+      expect(receive({ 'event-data': eventData }).statusCode).toBe(400);
+      expect(receive({ signature: sign(now, 'tok', 'wrong'), 'event-data': eventData }).payload.message).toBe('Invalid signature');
+      expect(receive({ signature: sign(now - 301, 'old'), 'event-data': eventData }).payload.message).toBe('Stale timestamp');
+      expect(receive({ signature: sign(now, 'tok'), 'event-data': eventData }).statusCode).toBe(200);
+      expect(receive({ signature: sign(now, 'tok'), 'event-data': eventData })).toMatchObject({ statusCode: 406, payload: { message: 'Replayed webhook' } });
+      expect(buffer.query()).toHaveLength(1);
+    });
+  });
+});